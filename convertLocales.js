@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+
+/**
+ * convertLocales.js
+ *
+ * Converts messages to and from the formats translators work in:
+ *
+ *     node convertLocales.js export po --locales fr,de --out po   # po/fr.po, po/de.po (Poedit)
+ *     node convertLocales.js export csv --out translations.csv    # key, one column per locale, description
+ *     node convertLocales.js import po/fr.po translations.csv     # merge the translations back
+ *
+ * Keys are the dotted paths produced by flattenObject() (msgctxt in .po files, the "key" column
+ * in CSV), so nested namespaces survive the round trip. ICU messages, plurals included, stay as
+ * they are; translators edit the text inside the options.
+ *
+ * Imports are validated like every other translation (ICU structure, glossary) and must match
+ * the current reference text, then deep-merged into each locale. Exports record a hash of each
+ * translation (an "X-Target-Hash" comment in .po files, "hash:<locale>" columns in CSV), so a
+ * translator's correction replaces a translation nobody touched since the export. A key whose
+ * translation changed on both sides is a conflict: conflicts are listed and the existing
+ * translation is kept unless --overwrite is given. Rejected entries or kept conflicts make the
+ * command exit with code 1.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildPo, parsePo } = require('./gettextPo');
+const { buildCsv, parseCsv, toRecords } = require('./csvTable');
+const { loadMessagesConfig, createMessageStore, deepMerge, flattenObject, unflattenObject } = require('./messageStore');
+const { loadTranslationLock, hashSource } = require('./translationLock');
+const { loadMessageMeta } = require('./translationContext');
+const { parseMessage, compareMessages } = require('./icuMessage');
+const { loadGlossary } = require('./glossary');
+
+const FORMATS = ['po', 'csv'];
+const DEFAULTS = {
+  LOCALE_FOLDER: 'messages',
+  OUT: { po: 'po', csv: 'translations.csv' },
+};
+
+function printHelp() {
+  console.log(`
+Usage:
+  node convertLocales.js export <${FORMATS.join('|')}> [options]
+  node convertLocales.js import <file.po|file.csv>... [options]
+
+Options:
+  -f, --folder <path>   Locale folder (default: ${DEFAULTS.LOCALE_FOLDER})
+  --locales <list>      export: comma-separated target locales (default: every locale but the reference)
+  --out <path>          export: folder for .po files (default: ${DEFAULTS.OUT.po}) or CSV file (default: ${DEFAULTS.OUT.csv})
+  --overwrite           import: replace conflicting translations (default: keep them and report)
+  --glossary <file>     import: glossary to check the translations against (default: i18n-glossary.json)
+  --dry-run             import: report what would change without writing
+  -h, --help            Show this help message
+`);
+}
+
+/** Turns the flags into { command, format, files, ...options of exportLocales()/importLocales() }. */
+function parseArgs(args = process.argv.slice(2)) {
+  const options = { files: [] };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        printHelp();
+        process.exit(0);
+      case '-f':
+      case '--folder':
+        options.folder = args[++i];
+        break;
+      case '--locales':
+        options.locales = args[++i].split(',').map(locale => locale.trim()).filter(Boolean);
+        break;
+      case '--out':
+        options.out = args[++i];
+        break;
+      case '--overwrite':
+        options.overwrite = true;
+        break;
+      case '--glossary':
+        options.glossary = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          console.error(`Unknown option: ${arg}`);
+          printHelp();
+          process.exit(1);
+        }
+        positional.push(arg);
+    }
+  }
+  options.command = positional.shift();
+  if (options.command === 'export') {
+    options.format = positional.shift();
+    if (!FORMATS.includes(options.format)) {
+      console.error(`Unknown export format: ${options.format || '(none)'} (expected ${FORMATS.join(' or ')})`);
+      process.exit(1);
+    }
+  } else if (options.command === 'import') {
+    options.files.push(...positional);
+    if (options.files.length === 0) {
+      console.error('Nothing to import: pass one or more .po or .csv files');
+      process.exit(1);
+    }
+  } else {
+    console.error(options.command ? `Unknown command: ${options.command}` : 'Missing command: export or import');
+    printHelp();
+    process.exit(1);
+  }
+  return options;
+}
+
+function loadConfig() {
+  const configPath = path.resolve('next-intl.config.js');
+  if (!fs.existsSync(configPath)) throw new Error('next-intl.config.js not found');
+  const config = require(configPath);
+  if (!Array.isArray(config.locales) || !config.defaultLocale) {
+    throw new Error('next-intl.config.js needs locales and defaultLocale');
+  }
+  return { locales: config.locales, referenceLocale: config.defaultLocale };
+}
+
+/** Locales, message store and translation lock of the locale folder. */
+function openProject(localeFolder) {
+  const { locales, referenceLocale } = loadConfig();
+  const store = createMessageStore(localeFolder, { ...loadMessagesConfig(), referenceLocale });
+  if (!store.exists(referenceLocale)) throw new Error(`No reference messages found at ${store.describe(referenceLocale)}`);
+  return { locales, referenceLocale, store, lock: loadTranslationLock(localeFolder) };
+}
+
+// Empty when there was no translation, so one added locally after the export is not overwritten
+function hashTarget(target) {
+  return target !== undefined ? hashSource(target) : '';
+}
+
+/** String leaves of a locale as a Map of dotted key path -> text. */
+function readStrings(store, locale) {
+  return new Map(flattenObject(store.read(locale))
+    .filter(({ value }) => typeof value === 'string')
+    .map(({ path: keyPath, value }) => [keyPath, value]));
+}
+
+function usesSelectors(message) {
+  try {
+    const hasSelector = nodes => nodes.some(node =>
+      node.options || (node.children && hasSelector(node.children)));
+    return hasSelector(parseMessage(message));
+  } catch (err) {
+    return false;
+  }
+}
+
+// -------------------------------------------------------------------------------------
+// Export
+// -------------------------------------------------------------------------------------
+
+/** Reference messages in file order as [{ keyPath, source, filePath }]. */
+function getReferenceEntries(store, referenceLocale) {
+  return store.readFiles(referenceLocale).flatMap(({ filePath, messages }) => flattenObject(messages)
+    .filter(({ value }) => typeof value === 'string')
+    .map(({ path: keyPath, value }) => ({ keyPath, source: value, filePath: path.relative(process.cwd(), filePath) })));
+}
+
+function exportPo(targetLocales, { store, lock, meta, referenceLocale, outDir }) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const referenceEntries = getReferenceEntries(store, referenceLocale);
+  return targetLocales.map((locale) => {
+    const targets = readStrings(store, locale);
+    const entries = referenceEntries.map(({ keyPath, source, filePath }) => {
+      const target = targets.get(keyPath);
+      const comments = [];
+      if (meta.get(keyPath)) comments.push(meta.get(keyPath));
+      if (usesSelectors(source)) {
+        comments.push('ICU message: keep the {name, plural|select, ...} structure and the option keywords, translate only the text inside the braces.');
+      }
+      // Poedit shows fuzzy entries as "needs work"; they are not imported until the flag is cleared
+      const outdated = target !== undefined && lock.isOutdated(locale, keyPath, source);
+      return {
+        context: keyPath,
+        source,
+        target,
+        comments,
+        references: [filePath],
+        flags: outdated ? ['fuzzy'] : [],
+        metadata: { 'X-Target-Hash': hashTarget(target) },
+      };
+    });
+    const outPath = path.join(outDir, `${locale}.po`);
+    const headers = { Language: locale, 'X-Source-Language': referenceLocale, 'X-Generator': 'convertLocales.js' };
+    fs.writeFileSync(outPath, buildPo({ headers, entries }), 'utf8');
+    console.log(`✅ ${locale}: Exported ${entries.length} message(s) to ${outPath}`);
+    return { outPath, locales: [locale], messageCount: entries.length };
+  });
+}
+
+function exportCsv(targetLocales, { store, meta, referenceLocale, outPath }) {
+  const targets = Object.fromEntries(targetLocales.map(locale => [locale, readStrings(store, locale)]));
+  const rows = [['key', referenceLocale, ...targetLocales, 'description', ...targetLocales.map(locale => `hash:${locale}`)]];
+  for (const { keyPath, source } of getReferenceEntries(store, referenceLocale)) {
+    const localeTargets = targetLocales.map(locale => targets[locale].get(keyPath));
+    rows.push([keyPath, source, ...localeTargets, meta.get(keyPath), ...localeTargets.map(hashTarget)]);
+  }
+  fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+  fs.writeFileSync(outPath, buildCsv(rows), 'utf8');
+  console.log(`✅ Exported ${rows.length - 1} message(s) for ${targetLocales.join(', ')} to ${outPath}`);
+  return [{ outPath, locales: targetLocales, messageCount: rows.length - 1 }];
+}
+
+/**
+ * Writes the messages of the target locales as .po files (one per locale) or one CSV file.
+ * Options mirror the flags: `folder`, `locales` (default: every locale but the reference) and
+ * `out`. Returns [{ outPath, locales, messageCount }], one per written file.
+ */
+function exportLocales(format, options = {}) {
+  if (!FORMATS.includes(format)) throw new Error(`Unknown export format: ${format} (expected ${FORMATS.join(' or ')})`);
+  const localeFolder = options.folder || DEFAULTS.LOCALE_FOLDER;
+  const { locales, referenceLocale, store, lock } = openProject(localeFolder);
+  const meta = loadMessageMeta(localeFolder, referenceLocale, store.layout);
+  const targetLocales = options.locales || locales.filter(locale => locale !== referenceLocale);
+  const out = options.out || DEFAULTS.OUT[format];
+  if (format === 'po') return exportPo(targetLocales, { store, lock, meta, referenceLocale, outDir: out });
+  return exportCsv(targetLocales, { store, meta, referenceLocale, outPath: out });
+}
+
+// -------------------------------------------------------------------------------------
+// Import
+// -------------------------------------------------------------------------------------
+
+/**
+ * Translations of a .po file as { [locale]: [{ keyPath, source, target, targetHash, where }] }.
+ * targetHash is the hash of the translation at export time (undefined for files without one).
+ */
+function readPoFile(filePath, rejected) {
+  const { headers, entries } = parsePo(fs.readFileSync(filePath, 'utf8'));
+  const locale = headers.Language;
+  if (!locale) throw new Error(`${filePath}: the header has no "Language" field`);
+  const translations = [];
+  let fuzzy = 0;
+  for (const entry of entries) {
+    const where = `${filePath}:${entry.line}`;
+    if (entry.plural) {
+      rejected.push({ where, keyPath: entry.context, reason: 'gettext plural forms are not supported, write the ICU plural in msgstr' });
+    } else if (!entry.context) {
+      rejected.push({ where, keyPath: entry.source, reason: 'no msgctxt with the key path' });
+    } else if (entry.flags.includes('fuzzy')) {
+      fuzzy++;
+    } else if (entry.target) {
+      translations.push({
+        keyPath: entry.context,
+        source: entry.source,
+        target: entry.target,
+        targetHash: entry.metadata['X-Target-Hash'],
+        where,
+      });
+    }
+  }
+  if (fuzzy > 0) console.log(`ℹ️ ${filePath}: ${fuzzy} fuzzy entr${fuzzy === 1 ? 'y' : 'ies'} skipped`);
+  return { [locale]: translations };
+}
+
+/** Translations of a CSV file as { [locale]: [...] }: every column named after a target locale. */
+function readCsvFile(filePath, { locales, referenceLocale }) {
+  const rows = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  const header = (rows[0] || []).map(column => column.trim());
+  if (!header.includes('key')) throw new Error(`${filePath}: the first row needs a "key" column`);
+  const localeColumns = header.filter(column => locales.includes(column) && column !== referenceLocale);
+  if (localeColumns.length === 0) throw new Error(`${filePath}: no column is named after a target locale`);
+  const result = Object.fromEntries(localeColumns.map(locale => [locale, []]));
+  for (const record of toRecords(rows)) {
+    if (!record.key) continue;
+    for (const locale of localeColumns) {
+      if (!record[locale]) continue;
+      result[locale].push({
+        keyPath: record.key.trim(),
+        // Without a reference column the source cannot be checked
+        source: header.includes(referenceLocale) ? record[referenceLocale] : null,
+        target: record[locale],
+        targetHash: header.includes(`hash:${locale}`) ? record[`hash:${locale}`] : undefined,
+        where: `${filePath} row ${record.row}`,
+      });
+    }
+  }
+  return result;
+}
+
+/** Returns why a translation cannot be imported, or null. */
+function checkTranslation({ keyPath, source, target }, { sources, locale, glossary }) {
+  const current = sources.get(keyPath);
+  if (current === undefined) return 'the key does not exist in the reference locale';
+  if (source !== null && source !== current) return 'the source text changed since the export; export it again';
+  const problems = [...compareMessages(current, target), ...glossary.check(current, target, locale)];
+  return problems.length > 0 ? problems.join('; ') : null;
+}
+
+function mergeLocale(locale, translations, { store, lock, glossary, referenceLocale, rejected, overwrite, dryRun }) {
+  const sources = readStrings(store, referenceLocale);
+  const accepted = new Map();
+  for (const translation of translations) {
+    const reason = checkTranslation(translation, { sources, locale, glossary });
+    const previous = accepted.get(translation.keyPath);
+    if (reason) {
+      rejected.push({ where: translation.where, keyPath: translation.keyPath, reason });
+    } else if (previous && previous.target !== translation.target) {
+      // The same key translated differently in two of the imported files: neither wins
+      rejected.push({ where: translation.where, keyPath: translation.keyPath, reason: `differs from ${previous.where}` });
+      accepted.delete(translation.keyPath);
+    } else {
+      accepted.set(translation.keyPath, translation);
+    }
+  }
+
+  const current = store.read(locale);
+  const before = new Map(flattenObject(current).map(({ path: keyPath, value }) => [keyPath, value]));
+  const conflicts = [];
+  const merged = deepMerge(current, unflattenObject([...accepted.values()].map(({ keyPath, target }) => ({ path: keyPath, value: target }))),
+    (keyPath, existing, incoming) => {
+      // Only a change on both sides since the export is a conflict
+      const { targetHash } = accepted.get(keyPath) || {};
+      if (targetHash !== undefined && targetHash === hashSource(existing)) return incoming;
+      if (targetHash !== undefined && targetHash === hashSource(incoming)) return existing;
+      conflicts.push({ locale, keyPath, existing, incoming });
+      return overwrite ? incoming : existing;
+    });
+
+  const after = new Map(flattenObject(merged).map(({ path: keyPath, value }) => [keyPath, value]));
+  let added = 0;
+  let updated = 0;
+  for (const keyPath of accepted.keys()) {
+    if (!after.has(keyPath) || before.get(keyPath) === after.get(keyPath)) continue;
+    if (before.has(keyPath)) updated++;
+    else added++;
+    lock.record(locale, keyPath, sources.get(keyPath));
+  }
+
+  if (dryRun) {
+    console.log(`💡 [DRY-RUN] ${locale}: Would add ${added} and update ${updated} translation(s)`);
+  } else if (added + updated > 0) {
+    const written = store.write(locale, merged);
+    console.log(`✅ ${locale}: Added ${added}, updated ${updated} translation(s) in ${written.join(', ')}`);
+  } else {
+    console.log(`ℹ️ ${locale}: No new translations`);
+  }
+  if (conflicts.length > 0) {
+    console.log(`⚠️ ${locale}: ${conflicts.length} conflict(s) with existing translations (${overwrite ? 'overwritten' : 'kept, use --overwrite to replace them'}):`);
+    for (const { keyPath, existing, incoming } of conflicts) {
+      console.log(`   - ${keyPath}: ${JSON.stringify(existing)} <> ${JSON.stringify(incoming)}`);
+    }
+  }
+  return { added, updated, conflicts };
+}
+
+/**
+ * Merges the translations of .po and CSV files into the message files. Options mirror the
+ * flags: `folder`, `overwrite`, `glossary` and `dryRun`. Returns { added, updated, conflicts,
+ * rejected }: added/updated count the merged translations; conflicts are
+ * [{ locale, keyPath, existing, incoming }] (kept unless `overwrite`), rejected entries are
+ * [{ where, keyPath, reason }]. Throws on an unsupported file or an unknown target locale.
+ */
+function importLocales(files, options = {}) {
+  const { locales, referenceLocale, store, lock } = openProject(options.folder || DEFAULTS.LOCALE_FOLDER);
+  const glossary = loadGlossary(options.glossary || null);
+  const overwrite = Boolean(options.overwrite);
+  const dryRun = Boolean(options.dryRun);
+  const rejected = [];
+  const byLocale = {};
+  for (const filePath of files) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension !== '.po' && extension !== '.csv') throw new Error(`${filePath}: expected a .po or .csv file`);
+    const translations = extension === '.po'
+      ? readPoFile(filePath, rejected)
+      : readCsvFile(filePath, { locales, referenceLocale });
+    for (const [locale, entries] of Object.entries(translations)) {
+      if (!locales.includes(locale) || locale === referenceLocale) {
+        throw new Error(`${filePath}: "${locale}" is not one of the target locales`);
+      }
+      byLocale[locale] = [...(byLocale[locale] || []), ...entries];
+    }
+  }
+
+  const result = { added: 0, updated: 0, conflicts: [], rejected };
+  for (const [locale, translations] of Object.entries(byLocale)) {
+    const { added, updated, conflicts } = mergeLocale(locale, translations, {
+      store, lock, glossary, referenceLocale, rejected, overwrite, dryRun,
+    });
+    result.added += added;
+    result.updated += updated;
+    result.conflicts.push(...conflicts);
+  }
+  if (rejected.length > 0) {
+    console.log(`❌ ${rejected.length} entr${rejected.length === 1 ? 'y' : 'ies'} rejected:`);
+    rejected.forEach(({ where, keyPath, reason }) => console.log(`   - ${where} ${keyPath}: ${reason}`));
+  }
+  if (!dryRun) lock.save();
+  return result;
+}
+
+module.exports = {
+  exportLocales,
+  importLocales,
+};
+
+if (require.main === module) {
+  const { command, format, files, ...options } = parseArgs();
+  try {
+    if (command === 'export') {
+      exportLocales(format, options);
+    } else {
+      const { conflicts, rejected } = importLocales(files, options);
+      if (rejected.length > 0 || (!options.overwrite && conflicts.length > 0)) process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * csvTable.js
+ *
+ * Reads and writes RFC 4180 CSV for spreadsheet translators (see convertLocales.js):
+ *
+ *     key,en,fr,de,description
+ *     UserProfile.title,Profile,Profil,Profil,Page heading of the profile page
+ *     Cart.items,"{count, plural, one {# item} other {# items}}",,,
+ *
+ * Fields with commas, quotes or line breaks are quoted. Files are written with a UTF-8 byte
+ * order mark so Excel detects the encoding; it is stripped again when reading.
+ */
+
+function formatCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** rows: arrays of cell values, the first row being the header. */
+function buildCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/** Parses CSV into an array of rows (arrays of strings). Empty lines are skipped. */
+function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+  while (i < text.length) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else cell += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\r' && text[i + 1] === '\n') {
+      endRow();
+      i++;
+    } else if (ch === '\n' || ch === '\r') {
+      endRow();
+    } else {
+      cell += ch;
+    }
+    i++;
+  }
+  if (quoted) throw new Error('Unterminated quoted field at the end of the file');
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/** Turns rows into objects keyed by the header row. */
+function toRecords(rows) {
+  const [header = [], ...body] = rows;
+  return body.map((cells, index) => {
+    const record = { row: index + 2 };
+    header.forEach((column, columnIndex) => {
+      record[column.trim()] = cells[columnIndex] ?? '';
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  buildCsv,
+  parseCsv,
+  toRecords,
+};
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+/**
+ * exchangeXliff.js
+ *
+ * Round-trips messages through XLIFF 2.0 for human translators and agencies:
+ *
+ *     node exchangeXliff.js export --locales fr,de --out xliff   # writes xliff/fr.xlf, xliff/de.xlf
+ *     node exchangeXliff.js import xliff/fr.xlf                  # merges the translations back
+ *
+ * Export writes one unit per reference message, grouped by message file, with:
+ *   - state "initial" (untranslated or outdated), "translated", or "reviewed" (signed off by a
+ *     reviewer on a previous import),
+ *   - the key description from common.meta.json and an "outdated" note as <note>s,
+ *   - the hashes of the reference text and the current translation as metadata.
+ *
+ * Import validates every returned unit and merges only the good ones:
+ *   - the key must still exist and its reference text must be unchanged since the export,
+ *   - the translation must not have been changed locally since the export (no clobbering),
+ *   - the target must keep the ICU arguments, plurals and tags of the source and follow the glossary.
+ * Units in state "initial" or without a target are skipped. Rejected units are listed and make
+ * the command exit with code 1. Units in state "reviewed" or "final" are remembered as reviewed
+ * in the translation lock (.i18n-lock.json).
+ *
+ * Locales, the reference locale and the messages layout come from next-intl.config.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildXliff, parseXliff } = require('./xliff');
+const { loadMessagesConfig, createMessageStore } = require('./messageStore');
+const { loadTranslationLock, hashSource } = require('./translationLock');
+const { loadMessageMeta } = require('./translationContext');
+const { compareMessages } = require('./icuMessage');
+const { loadGlossary } = require('./glossary');
+
+const DEFAULTS = {
+  LOCALE_FOLDER: 'messages',
+  OUT_DIR: 'xliff',
+};
+
+function printHelp() {
+  console.log(`
+Usage:
+  node exchangeXliff.js export [options]
+  node exchangeXliff.js import <file.xlf>... [options]
+
+Options:
+  -f, --folder <path>   Locale folder (default: ${DEFAULTS.LOCALE_FOLDER})
+  --locales <list>      export: comma-separated target locales (default: every locale but the reference)
+  --out <dir>           export: output folder, one <locale>.xlf per locale (default: ${DEFAULTS.OUT_DIR})
+  --missing-only        export: only untranslated and outdated messages
+  --glossary <file>     import: glossary to check the translations against (default: i18n-glossary.json)
+  --dry-run             import: report what would change without writing
+  -h, --help            Show this help message
+`);
+}
+
+/** Turns the flags into { command, files, ...options of exportXliff()/importXliff() }. */
+function parseArgs(args = process.argv.slice(2)) {
+  const options = { command: null, files: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        printHelp();
+        process.exit(0);
+      case '-f':
+      case '--folder':
+        options.folder = args[++i];
+        break;
+      case '--locales':
+        options.locales = args[++i].split(',').map(locale => locale.trim()).filter(Boolean);
+        break;
+      case '--out':
+        options.out = args[++i];
+        break;
+      case '--missing-only':
+        options.missingOnly = true;
+        break;
+      case '--glossary':
+        options.glossary = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          console.error(`Unknown option: ${arg}`);
+          printHelp();
+          process.exit(1);
+        }
+        if (!options.command) options.command = arg;
+        else options.files.push(arg);
+    }
+  }
+  if (options.command !== 'export' && options.command !== 'import') {
+    console.error(options.command ? `Unknown command: ${options.command}` : 'Missing command: export or import');
+    printHelp();
+    process.exit(1);
+  }
+  if (options.command === 'import' && options.files.length === 0) {
+    console.error('Nothing to import: pass one or more .xlf files');
+    process.exit(1);
+  }
+  return options;
+}
+
+function loadConfig() {
+  const configPath = path.resolve('next-intl.config.js');
+  if (!fs.existsSync(configPath)) throw new Error('next-intl.config.js not found');
+  const config = require(configPath);
+  if (!Array.isArray(config.locales) || !config.defaultLocale) {
+    throw new Error('next-intl.config.js needs locales and defaultLocale');
+  }
+  return { locales: config.locales, referenceLocale: config.defaultLocale };
+}
+
+/** Locales, message store and translation lock of the locale folder. */
+function openProject(localeFolder) {
+  const { locales, referenceLocale } = loadConfig();
+  const store = createMessageStore(localeFolder, { ...loadMessagesConfig(), referenceLocale });
+  if (!store.exists(referenceLocale)) throw new Error(`No reference messages found at ${store.describe(referenceLocale)}`);
+  return { locales, referenceLocale, store, lock: loadTranslationLock(localeFolder) };
+}
+
+/** String messages of an object as a Map of dotted key path -> text. */
+function flattenMessages(messages, prefix = '', result = new Map()) {
+  for (const [key, value] of Object.entries(messages || {})) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) flattenMessages(value, keyPath, result);
+    else if (typeof value === 'string') result.set(keyPath, value);
+  }
+  return result;
+}
+
+function setMessage(messages, keyPath, value) {
+  const parts = keyPath.split('.');
+  let current = messages;
+  for (const part of parts.slice(0, -1)) {
+    if (!current[part] || typeof current[part] !== 'object') current[part] = {};
+    current = current[part];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+// -------------------------------------------------------------------------------------
+// Export
+// -------------------------------------------------------------------------------------
+
+function exportLocale(locale, { store, lock, meta, referenceLocale, outDir, missingOnly }) {
+  const targets = flattenMessages(store.read(locale));
+  const files = [];
+  let unitCount = 0;
+  for (const { file, filePath, messages } of store.readFiles(referenceLocale)) {
+    const units = [];
+    for (const [keyPath, source] of flattenMessages(messages)) {
+      const target = targets.get(keyPath);
+      const outdated = target !== undefined && lock.isOutdated(locale, keyPath, source);
+      let state = 'initial';
+      if (target !== undefined && !outdated) state = lock.isReviewed(locale, keyPath, source) ? 'reviewed' : 'translated';
+      if (missingOnly && state !== 'initial') continue;
+
+      const notes = [];
+      if (meta.get(keyPath)) notes.push({ category: 'description', text: meta.get(keyPath) });
+      if (outdated) notes.push({ category: 'status', text: 'Outdated: the source text changed since this was translated' });
+      units.push({
+        id: keyPath,
+        source,
+        target,
+        state,
+        notes,
+        metadata: {
+          sourceHash: hashSource(source),
+          // Empty when there was no translation, so a translation added locally later is not overwritten
+          targetHash: target !== undefined ? hashSource(target) : '',
+        },
+      });
+    }
+    if (units.length > 0) files.push({ id: file, original: path.relative(process.cwd(), filePath), units });
+    unitCount += units.length;
+  }
+
+  const outPath = path.join(outDir, `${locale}.xlf`);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(outPath, buildXliff({ srcLang: referenceLocale, trgLang: locale, files }), 'utf8');
+  console.log(`✅ ${locale}: Exported ${unitCount} message(s) to ${outPath}`);
+  return { locale, outPath, unitCount };
+}
+
+/**
+ * Writes one <locale>.xlf per target locale. Options mirror the flags: `folder`, `locales`
+ * (default: every locale but the reference), `out` and `missingOnly`.
+ * Returns [{ locale, outPath, unitCount }].
+ */
+function exportXliff(options = {}) {
+  const localeFolder = options.folder || DEFAULTS.LOCALE_FOLDER;
+  const { locales, referenceLocale, store, lock } = openProject(localeFolder);
+  const meta = loadMessageMeta(localeFolder, referenceLocale, store.layout);
+  const targetLocales = options.locales || locales.filter(locale => locale !== referenceLocale);
+  const outDir = options.out || DEFAULTS.OUT_DIR;
+  return targetLocales.map(locale => exportLocale(locale, {
+    store, lock, meta, referenceLocale, outDir, missingOnly: Boolean(options.missingOnly),
+  }));
+}
+
+// -------------------------------------------------------------------------------------
+// Import
+// -------------------------------------------------------------------------------------
+
+/** Returns why a unit cannot be imported, or null when its target can be merged. */
+function checkUnit(unit, { sources, targets, locale, glossary }) {
+  const source = sources.get(unit.id);
+  if (source === undefined) return 'The key no longer exists in the reference locale';
+  const exportedSourceHash = unit.metadata.sourceHash || hashSource(unit.source);
+  if (exportedSourceHash !== hashSource(source)) return 'The source text changed since the export; export it again';
+  const current = targets.get(unit.id);
+  if (unit.metadata.targetHash !== undefined) {
+    const exportedTargetHash = unit.metadata.targetHash || null;
+    const currentTargetHash = current !== undefined ? hashSource(current) : null;
+    if (exportedTargetHash !== currentTargetHash && current !== unit.target) {
+      return 'The translation was changed locally since the export';
+    }
+  }
+  const problems = [...compareMessages(source, unit.target), ...glossary.check(source, unit.target, locale)];
+  return problems.length > 0 ? problems.join('; ') : null;
+}
+
+function importFile(filePath, { store, lock, glossary, locales, referenceLocale, dryRun }) {
+  const { srcLang, trgLang, units } = parseXliff(fs.readFileSync(filePath, 'utf8'));
+  if (srcLang !== referenceLocale) {
+    throw new Error(`${filePath}: srcLang "${srcLang}" does not match the reference locale "${referenceLocale}"`);
+  }
+  if (!locales.includes(trgLang) || trgLang === referenceLocale) {
+    throw new Error(`${filePath}: trgLang "${trgLang}" is not one of the target locales (${locales.filter(l => l !== referenceLocale).join(', ')})`);
+  }
+
+  const locale = trgLang;
+  const sources = flattenMessages(store.read(referenceLocale));
+  const messages = store.read(locale);
+  const targets = flattenMessages(messages);
+  const rejected = [];
+  let imported = 0;
+  let unchanged = 0;
+  let skipped = 0;
+  for (const unit of units) {
+    if (unit.state === 'initial' || unit.target === null || unit.target === '') {
+      skipped++;
+      continue;
+    }
+    const reason = checkUnit(unit, { sources, targets, locale, glossary });
+    if (reason) {
+      rejected.push({ id: unit.id, reason });
+      continue;
+    }
+    const reviewed = unit.state === 'reviewed' || unit.state === 'final';
+    if (reviewed) lock.markReviewed(locale, unit.id, sources.get(unit.id));
+    else lock.record(locale, unit.id, sources.get(unit.id));
+    if (targets.get(unit.id) === unit.target) {
+      unchanged++;
+      continue;
+    }
+    // Only the imported keys are set: keys added since the export are left alone
+    setMessage(messages, unit.id, unit.target);
+    imported++;
+  }
+
+  if (dryRun) {
+    console.log(`💡 [DRY-RUN] ${locale}: Would import ${imported} translation(s) from ${filePath}`);
+  } else if (imported > 0) {
+    const written = store.write(locale, messages);
+    console.log(`✅ ${locale}: Imported ${imported} translation(s) from ${filePath} into ${written.join(', ')}`);
+  } else {
+    console.log(`ℹ️ ${locale}: Nothing new in ${filePath}`);
+  }
+  if (unchanged > 0) console.log(`   ${unchanged} unchanged`);
+  if (skipped > 0) console.log(`   ${skipped} untranslated unit(s) skipped`);
+  if (rejected.length > 0) {
+    console.log(`❌ ${locale}: ${rejected.length} unit(s) rejected:`);
+    rejected.forEach(({ id, reason }) => console.log(`   - ${id}: ${reason}`));
+  }
+  return { filePath, locale, imported, unchanged, skipped, rejected };
+}
+
+/**
+ * Merges the translations of XLIFF files into the message files. Options mirror the flags:
+ * `folder`, `glossary` and `dryRun`. Returns one
+ * { filePath, locale, imported, unchanged, skipped, rejected: [{ id, reason }] } per file;
+ * throws on a file for another reference locale or an unknown target locale.
+ */
+function importXliff(files, options = {}) {
+  const localeFolder = options.folder || DEFAULTS.LOCALE_FOLDER;
+  const { locales, referenceLocale, store, lock } = openProject(localeFolder);
+  const glossary = loadGlossary(options.glossary || null);
+  const dryRun = Boolean(options.dryRun);
+  const results = files.map(filePath => importFile(filePath, { store, lock, glossary, locales, referenceLocale, dryRun }));
+  if (!dryRun) lock.save();
+  return results;
+}
+
+module.exports = {
+  exportXliff,
+  importXliff,
+};
+
+if (require.main === module) {
+  const { command, files, ...options } = parseArgs();
+  try {
+    if (command === 'export') {
+      exportXliff(options);
+    } else {
+      const results = importXliff(files, options);
+      if (results.some(({ rejected }) => rejected.length > 0)) process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
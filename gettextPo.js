@@ -0,0 +1,149 @@
+/**
+ * gettextPo.js
+ *
+ * Reads and writes gettext .po files for Poedit and similar editors (see convertLocales.js).
+ * Every message is one entry whose msgctxt is its dotted key path:
+ *
+ *     #. Page heading of the profile page
+ *     #: messages/en/common.json
+ *     msgctxt "UserProfile.title"
+ *     msgid "Profile"
+ *     msgstr "Profil"
+ *
+ * Machine-readable data goes into extracted comments named like headers ("#. X-Target-Hash: 1a2b")
+ * and is returned as `metadata` instead of `comments`.
+ *
+ * ICU messages are kept as they are, plurals included ("{count, plural, one {# item} other
+ * {# items}}"): gettext plural forms (msgid_plural) cannot express ICU selectors, so entries
+ * that use them are reported instead of imported.
+ */
+
+function escapePo(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+function unescapePo(text) {
+  return text.replace(/\\(["\\ntr])/g, (match, ch) => ({ n: '\n', t: '\t', r: '\r' }[ch] || ch));
+}
+
+/** `keyword "text"`, split after every newline the way gettext tools do. */
+function formatField(keyword, text) {
+  const lines = String(text).split(/(?<=\n)/);
+  if (lines.length <= 1) return `${keyword} "${escapePo(text)}"`;
+  return [`${keyword} ""`, ...lines.map(line => `"${escapePo(line)}"`)].join('\n');
+}
+
+/**
+ * Builds a .po file.
+ * headers: { Language: 'fr', ... }; entries: [{ context, source, target, comments, references, flags, metadata }]
+ */
+function buildPo({ headers, entries }) {
+  const headerText = Object.entries({
+    'Content-Type': 'text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding': '8bit',
+    ...headers,
+  }).map(([name, value]) => `${name}: ${value}\n`).join('');
+  const blocks = [['msgid ""', formatField('msgstr', headerText)].join('\n')];
+  for (const entry of entries) {
+    const lines = [];
+    for (const comment of entry.comments || []) lines.push(...comment.split('\n').map(line => `#. ${line}`));
+    for (const [name, value] of Object.entries(entry.metadata || {})) lines.push(`#. ${name}: ${value}`);
+    for (const reference of entry.references || []) lines.push(`#: ${reference}`);
+    if (entry.flags && entry.flags.length > 0) lines.push(`#, ${entry.flags.join(', ')}`);
+    lines.push(formatField('msgctxt', entry.context));
+    lines.push(formatField('msgid', entry.source));
+    lines.push(formatField('msgstr', entry.target || ''));
+    blocks.push(lines.join('\n'));
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Parses a .po file into { headers, entries }, where every entry is
+ * { context, source, target, comments, metadata, flags, plural, line }. Obsolete (#~) entries are dropped.
+ */
+function parsePo(content) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+  const newEntry = line => ({ context: null, source: null, target: null, comments: [], metadata: {}, flags: [], plural: false, line });
+  const finish = () => {
+    if (entry && entry.source !== null) entries.push(entry);
+    entry = null;
+    field = null;
+  };
+
+  content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+    if (!line) {
+      finish();
+      return;
+    }
+    if (line.startsWith('#~')) return;
+    if (line.startsWith('#')) {
+      // A comment after msgstr starts the next entry
+      if (entry && entry.target !== null) finish();
+      entry = entry || newEntry(lineNumber);
+      if (line.startsWith('#.')) {
+        const comment = line.slice(2).trim();
+        const metadata = comment.match(/^(X-[A-Za-z0-9-]+):\s*(.*)$/);
+        if (metadata) entry.metadata[metadata[1]] = metadata[2];
+        else entry.comments.push(comment);
+      } else if (line.startsWith('#,')) {
+        entry.flags.push(...line.slice(2).split(',').map(flag => flag.trim()).filter(Boolean));
+      }
+      return;
+    }
+    const keywordMatch = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+"(.*)"$/);
+    if (keywordMatch) {
+      const [, keyword, text] = keywordMatch;
+      if ((keyword === 'msgctxt' || keyword === 'msgid') && entry && entry.target !== null) finish();
+      entry = entry || newEntry(lineNumber);
+      if (keyword === 'msgctxt') field = 'context';
+      else if (keyword === 'msgid') field = 'source';
+      else if (keyword === 'msgid_plural') {
+        entry.plural = true;
+        field = null;
+        return;
+      } else if (keyword.startsWith('msgstr[')) {
+        entry.plural = true;
+        if (keyword !== 'msgstr[0]') {
+          field = null;
+          return;
+        }
+        field = 'target';
+      } else field = 'target';
+      entry[field] = unescapePo(text);
+      return;
+    }
+    const continuation = line.match(/^"(.*)"$/);
+    if (continuation) {
+      if (!entry) throw new Error(`Line ${lineNumber}: text outside of an entry`);
+      if (field) entry[field] += unescapePo(continuation[1]);
+      return;
+    }
+    throw new Error(`Line ${lineNumber}: cannot parse "${line.slice(0, 60)}"`);
+  });
+  finish();
+
+  const headers = {};
+  const headerEntry = entries.find(e => e.source === '' && e.context === null);
+  if (headerEntry) {
+    for (const headerLine of (headerEntry.target || '').split('\n')) {
+      const separator = headerLine.indexOf(':');
+      if (separator > 0) headers[headerLine.slice(0, separator).trim()] = headerLine.slice(separator + 1).trim();
+    }
+  }
+  return { headers, entries: entries.filter(e => e !== headerEntry) };
+}
+
+module.exports = {
+  buildPo,
+  parsePo,
+};
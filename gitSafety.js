@@ -0,0 +1,181 @@
+/**
+ * gitSafety.js
+ *
+ * Git safety net for makeMultilingual.js:
+ *
+ *   - ensureCleanWorkingTree()  refuse to run on a dirty tree unless forced
+ *   - startRun()                optionally create a work branch and remember where the run started
+ *   - commitStep()              commit the paths the last step changed ("i18n: <step>")
+ *   - undoLastRun()             throw away every commit (and branch) of the last run
+ *
+ * A run only starts on a clean tree, so every change a step leaves belongs to the run and the
+ * user's own work never ends up in its commits. Undo stashes uncommitted changes instead of
+ * discarding them.
+ *
+ * Run state lives in .git/nextjs-utils-last-run.json so it never shows up in the tree.
+ * Every commit carries an "I18n-Run: <id>" trailer to make the run easy to spot in `git log`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const STATE_FILE = 'nextjs-utils-last-run.json';
+
+function git(args, options = {}) {
+  return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], ...options }).trim();
+}
+
+function isGitRepository() {
+  try {
+    return git(['rev-parse', '--is-inside-work-tree']) === 'true';
+  } catch (err) {
+    return false;
+  }
+}
+
+function getStatePath() {
+  return path.resolve(git(['rev-parse', '--git-dir']), STATE_FILE);
+}
+
+function readRunState() {
+  const statePath = getStatePath();
+  return fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : null;
+}
+
+function writeRunState(state) {
+  fs.writeFileSync(getStatePath(), JSON.stringify(state, null, 2), 'utf8');
+}
+
+function getDirtyFiles() {
+  const status = git(['status', '--porcelain']);
+  return status ? status.split('\n') : [];
+}
+
+/** Paths with changes, untracked files listed one by one (both sides of a rename). */
+function getChangedPaths() {
+  const status = execFileSync('git', ['status', '--porcelain', '-z', '--untracked-files=all'], { encoding: 'utf8' });
+  const entries = status.split('\0').filter(Boolean);
+  const paths = [];
+  for (let i = 0; i < entries.length; i++) {
+    const [status, filePath] = [entries[i].slice(0, 2), entries[i].slice(3)];
+    paths.push(filePath);
+    if (/[RC]/.test(status)) paths.push(entries[++i]);
+  }
+  return paths;
+}
+
+function hasCommits() {
+  try {
+    git(['rev-parse', '--verify', 'HEAD']);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Throws when the working tree has uncommitted changes, unless `force` is set.
+ * Returns true when the tree is clean.
+ */
+function ensureCleanWorkingTree(force) {
+  const dirty = getDirtyFiles();
+  if (dirty.length === 0) return true;
+  if (!force) {
+    throw new Error(
+      `❌ Your working tree has ${dirty.length} uncommitted change(s). Commit or stash them first, or pass --force.\n` +
+      dirty.slice(0, 10).map(line => `   ${line}`).join('\n')
+    );
+  }
+  console.warn(`⚠️ Running on a dirty working tree (${dirty.length} change(s)) because of --force.`);
+  return false;
+}
+
+/**
+ * Records the starting point of a run and optionally switches to a new work branch.
+ * `branch` may be true (generated name) or a branch name. Throws on a dirty tree: the per-step
+ * commits would otherwise take the uncommitted changes with them.
+ */
+function startRun({ branch } = {}) {
+  if (!hasCommits()) {
+    throw new Error('❌ The repository has no commits yet. Create an initial commit before running the setup.');
+  }
+  if (getDirtyFiles().length > 0) {
+    throw new Error('❌ Per-step commits need a clean working tree. Commit or stash your changes first.');
+  }
+  const runId = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const previousBranch = git(['rev-parse', '--abbrev-ref', 'HEAD']);
+  const startSha = git(['rev-parse', 'HEAD']);
+  let workBranch = null;
+  if (branch) {
+    workBranch = typeof branch === 'string' ? branch : `i18n/setup-${runId}`;
+    git(['checkout', '-b', workBranch]);
+    console.log(`🌿 Created work branch ${workBranch}`);
+  }
+  writeRunState({ runId, startSha, previousBranch, workBranch, commits: [] });
+  return runId;
+}
+
+/**
+ * Commits the paths changed by the current step: the run started clean and every earlier step
+ * was committed, so they are exactly what this step wrote. Returns the new commit SHA, or null
+ * when nothing changed.
+ */
+function commitStep(message) {
+  const state = readRunState();
+  if (!state) return null;
+  const paths = getChangedPaths();
+  if (paths.length === 0) return null;
+  // Literal pathspecs: app/[locale]/page.tsx is a file name, not a glob
+  git(['--literal-pathspecs', 'add', '-A', '--', ...paths]);
+  git(['--literal-pathspecs', 'commit', '--no-verify', '-m', `i18n: ${message}`, '-m', `I18n-Run: ${state.runId}`, '--', ...paths]);
+  const sha = git(['rev-parse', 'HEAD']);
+  state.commits.push({ sha, message, paths });
+  writeRunState(state);
+  console.log(`📌 Committed "${message}" (${sha.slice(0, 7)})`);
+  return sha;
+}
+
+/**
+ * Reverts the last run: resets to the commit the run started from (or deletes the work branch).
+ * Refuses when HEAD moved past the run's last commit, or when the tree is dirty and `force` is not
+ * set. With `force`, uncommitted changes (untracked files included) are stashed, never deleted.
+ */
+function undoLastRun(force) {
+  const state = readRunState();
+  if (!state) {
+    throw new Error('❌ No previous run recorded. Nothing to undo.');
+  }
+  const expectedHead = state.commits.length ? state.commits[state.commits.length - 1].sha : state.startSha;
+  const head = git(['rev-parse', 'HEAD']);
+  if (head !== expectedHead) {
+    throw new Error(`❌ HEAD (${head.slice(0, 7)}) is not the last commit of run ${state.runId} (${expectedHead.slice(0, 7)}). Undo it manually.`);
+  }
+  if (getDirtyFiles().length > 0) {
+    if (!force) {
+      throw new Error('❌ Your working tree has uncommitted changes. Commit them, or pass --force to stash them first.');
+    }
+    git(['stash', 'push', '--include-untracked', '-m', `nextjs-utils: before undoing run ${state.runId}`]);
+    console.log('📦 Stashed your uncommitted changes. Get them back with `git stash pop`.');
+  }
+  if (state.workBranch) {
+    git(['checkout', state.previousBranch]);
+    git(['branch', '-D', state.workBranch]);
+    console.log(`↩️ Deleted work branch ${state.workBranch} and returned to ${state.previousBranch}`);
+  } else {
+    git(['reset', '--hard', state.startSha]);
+    console.log(`↩️ Reset ${state.previousBranch} to ${state.startSha.slice(0, 7)}`);
+  }
+  for (const commit of [...state.commits].reverse()) {
+    console.log(`   removed ${commit.sha.slice(0, 7)} i18n: ${commit.message}`);
+  }
+  fs.unlinkSync(getStatePath());
+}
+
+module.exports = {
+  isGitRepository,
+  ensureCleanWorkingTree,
+  startRun,
+  commitStep,
+  undoLastRun,
+};
@@ -0,0 +1,131 @@
+/**
+ * glossary.js
+ *
+ * Project glossary shared by makeMultilingual.js and populateLocales.js.
+ *
+ * The glossary file (default: ./i18n-glossary.json) lists terms that must never be translated
+ * and, per target locale, terms that must always be translated the same way:
+ *
+ *     {
+ *       "doNotTranslate": ["Acme", "Acme Cloud"],
+ *       "locales": {
+ *         "fr": {
+ *           "terms": { "workspace": "espace de travail", "Terms of Service": "Conditions d'utilisation" },
+ *           "doNotTranslate": ["Checkout"]
+ *         }
+ *       }
+ *     }
+ *
+ * getRules() returns the rules that apply to one source string, which are passed to the
+ * translation providers; check() verifies a translation actually follows them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GLOSSARY_FILE_NAME = 'i18n-glossary.json';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Matches `term` as a whole word (letters and digits around it do not count as a match). */
+function containsTerm(text, term, caseSensitive) {
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, caseSensitive ? 'u' : 'iu');
+  return regex.test(text);
+}
+
+function createGlossary(data = {}) {
+  const globalKeep = data.doNotTranslate || [];
+  const locales = data.locales || {};
+
+  function getLocaleRules(locale) {
+    const localeRules = locales[locale] || locales[String(locale).split('-')[0]] || {};
+    return {
+      doNotTranslate: [...globalKeep, ...(localeRules.doNotTranslate || [])],
+      terms: Object.entries(localeRules.terms || {}).map(([source, target]) => ({ source, target })),
+    };
+  }
+
+  return {
+    isEmpty: globalKeep.length === 0 && Object.keys(locales).length === 0,
+    doNotTranslate: globalKeep,
+    /**
+     * Rules relevant to `text` for `locale`: { doNotTranslate: [term], terms: [{ source, target }] }.
+     * Longer terms come first so "Acme Cloud" wins over "Acme".
+     */
+    getRules(text, locale) {
+      const rules = getLocaleRules(locale);
+      const byLength = (a, b) => b.length - a.length;
+      return {
+        doNotTranslate: rules.doNotTranslate.filter(term => containsTerm(text, term, true)).sort(byLength),
+        terms: rules.terms
+          .filter(({ source }) => containsTerm(text, source, false))
+          .sort((a, b) => byLength(a.source, b.source)),
+      };
+    },
+    /** Returns the glossary violations of `translated` (empty array when it follows the glossary). */
+    check(source, translated, locale) {
+      if (typeof source !== 'string' || typeof translated !== 'string') return [];
+      const { doNotTranslate, terms } = this.getRules(source, locale);
+      const problems = [];
+      for (const term of doNotTranslate) {
+        if (!containsTerm(translated, term, true)) problems.push(`Glossary: "${term}" must not be translated`);
+      }
+      for (const { source: term, target } of terms) {
+        if (!containsTerm(translated, target, false)) problems.push(`Glossary: "${term}" must be translated as "${target}"`);
+      }
+      return problems;
+    },
+  };
+}
+
+/** Prompt lines for LLMs, or an empty string when no rule applies. */
+function formatGlossaryInstructions(rules) {
+  if (!rules) return '';
+  const lines = [];
+  if (rules.doNotTranslate.length > 0) {
+    lines.push(`Never translate these terms, keep them exactly as written: ${rules.doNotTranslate.map(term => `"${term}"`).join(', ')}.`);
+  }
+  if (rules.terms.length > 0) {
+    lines.push(`Always use these translations: ${rules.terms.map(({ source, target }) => `"${source}" -> "${target}"`).join(', ')}.`);
+  }
+  return lines.join('\n');
+}
+
+/** Merges the rules of several strings (e.g. every leaf of a namespace) into one rule set. */
+function mergeGlossaryRules(rulesList) {
+  const doNotTranslate = new Set();
+  const terms = new Map();
+  for (const rules of rulesList) {
+    rules.doNotTranslate.forEach(term => doNotTranslate.add(term));
+    rules.terms.forEach(term => terms.set(term.source, term));
+  }
+  return { doNotTranslate: [...doNotTranslate], terms: [...terms.values()] };
+}
+
+/**
+ * Loads the glossary. A missing default file yields an empty glossary; a missing file that
+ * was asked for explicitly is an error.
+ */
+function loadGlossary(filePath) {
+  const resolved = path.resolve(filePath || GLOSSARY_FILE_NAME);
+  if (!fs.existsSync(resolved)) {
+    if (filePath) throw new Error(`Glossary file not found: ${resolved}`);
+    return createGlossary();
+  }
+  try {
+    return createGlossary(JSON.parse(fs.readFileSync(resolved, 'utf8')));
+  } catch (err) {
+    throw new Error(`Invalid glossary ${resolved}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  GLOSSARY_FILE_NAME,
+  containsTerm,
+  createGlossary,
+  loadGlossary,
+  formatGlossaryInstructions,
+  mergeGlossaryRules,
+};
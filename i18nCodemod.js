@@ -0,0 +1,401 @@
+/**
+ * i18nCodemod.js
+ *
+ * Deterministic, offline alternative to the REFACTOR prompt. Rewrites a file through the
+ * AST produced by i18nScanner.js:
+ *
+ *   - every untranslated literal inside a component is replaced with t('<key>')
+ *     (template literals become t('<key>', { name }) with an ICU "{name}" argument, and so do
+ *     sentences around variables: <p>Hello {name}, welcome</p> is one "Hello {name}, welcome")
+ *   - client/sync components get `const t = useTranslations('<Namespace>')`,
+ *     async components get `const t = await getTranslations('<Namespace>')`
+ *   - the matching import from 'next-intl' / 'next-intl/server' is added when missing
+ *
+ * Only the replaced ranges are touched, so formatting and comments are preserved.
+ * Returns the same { needsUpdate, updatedCode, locales } shape as processFileWithOpenAI().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanSource, walk } = require('./i18nScanner');
+
+// Next.js file conventions whose component name says nothing about the content
+const GENERIC_COMPONENT_NAMES = ['Page', 'Layout', 'Template', 'Loading', 'Error', 'NotFound', 'Default', 'Component'];
+const KEY_MAX_WORDS = 5;
+
+function toPascalCase(text) {
+  return text
+    .replace(/\[|\]|\(|\)|\.\.\./g, '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/** "Welcome back!" -> "welcome_back"; attributes are prefixed ("alt_user_avatar"). */
+function toKey(text, prefix = '') {
+  const slug = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\$\{[^}]*\}|\{[^}]*\}/g, ' ')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, KEY_MAX_WORDS)
+    .join('_');
+  const base = [prefix.toLowerCase().replace(/[^a-z0-9]+/g, '_'), slug || 'text'].filter(Boolean).join('_');
+  return /^[0-9]/.test(base) ? `text_${base}` : base;
+}
+
+function escapeIcu(text) {
+  return text.replace(/[{}]/g, (char) => `'${char}'`);
+}
+
+function getNamespaceFallback(filePath) {
+  const dirName = path.basename(path.dirname(filePath));
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const prefix = ['app', 'pages', 'src', '.'].includes(dirName) ? 'Home' : toPascalCase(dirName);
+  return `${prefix}${toPascalCase(baseName)}`;
+}
+
+// -------------------------------------------------------------------------------------
+// Component Discovery
+// -------------------------------------------------------------------------------------
+function collectComponents(ast, filePath) {
+  const components = [];
+  const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+  function visit(node, ancestors) {
+    if (!node || typeof node.type !== 'string') return;
+    if (FUNCTION_TYPES.includes(node.type)) {
+      const name = getFunctionName(node, ancestors);
+      if (name && /^[A-Z]/.test(name)) {
+        components.push({ node, name, namespace: resolveNamespace(name, filePath) });
+      }
+    }
+    const nextAncestors = [...ancestors, node];
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key.endsWith('Comments')) continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(item => visit(item, nextAncestors));
+      else if (child && typeof child.type === 'string') visit(child, nextAncestors);
+    }
+  }
+
+  visit(ast.program, []);
+  return components;
+}
+
+function getFunctionName(node, ancestors) {
+  if (node.id && node.id.name) return node.id.name;
+  // const Card = memo(forwardRef(() => ...)) -> "Card"
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const ancestor = ancestors[i];
+    if (ancestor.type === 'CallExpression') continue;
+    if (ancestor.type === 'VariableDeclarator' && ancestor.id.type === 'Identifier') return ancestor.id.name;
+    if (ancestor.type === 'ExportDefaultDeclaration') return 'Default';
+    return null;
+  }
+  return null;
+}
+
+function resolveNamespace(name, filePath) {
+  return GENERIC_COMPONENT_NAMES.includes(name) ? getNamespaceFallback(filePath) : name;
+}
+
+/** Finds an existing `const t = useTranslations('Ns')` / `await getTranslations('Ns')` in the component body. */
+function findExistingTranslator(component) {
+  const { body } = component.node;
+  if (!body || body.type !== 'BlockStatement') return null;
+  for (const statement of body.body) {
+    if (statement.type !== 'VariableDeclaration') continue;
+    for (const declarator of statement.declarations) {
+      if (declarator.id.type !== 'Identifier' || declarator.id.name !== 't' || !declarator.init) continue;
+      const call = declarator.init.type === 'AwaitExpression' ? declarator.init.argument : declarator.init;
+      if (call.type !== 'CallExpression' || !['useTranslations', 'getTranslations'].includes(call.callee.name)) continue;
+      const [arg] = call.arguments;
+      if (!arg) return { namespace: null };
+      if (arg.type === 'StringLiteral') return { namespace: arg.value };
+      if (arg.type === 'ObjectExpression') {
+        const ns = arg.properties.find(p => p.key && p.key.name === 'namespace' && p.value.type === 'StringLiteral');
+        return { namespace: ns ? ns.value.value : null };
+      }
+    }
+  }
+  return null;
+}
+
+// -------------------------------------------------------------------------------------
+// Transform
+// -------------------------------------------------------------------------------------
+function getIndentAt(code, index) {
+  const lineStart = code.lastIndexOf('\n', index - 1) + 1;
+  return code.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/** ICU message and t() call for text parts and expressions: [{ text } | { expression }]. */
+function buildMessageCall(parts, code, key) {
+  const args = [];
+  const usedNames = new Set();
+  let message = '';
+  let i = -1;
+  parts.forEach((part) => {
+    if (part.text !== undefined) {
+      message += escapeIcu(part.text);
+      return;
+    }
+    i++;
+    const { expression } = part;
+    let name = expression.type === 'Identifier'
+      ? expression.name
+      : ['MemberExpression', 'OptionalMemberExpression'].includes(expression.type) && !expression.computed
+        ? expression.property.name
+        : `value${i}`;
+    while (usedNames.has(name)) name = `${name}${i}`;
+    usedNames.add(name);
+    const source = code.slice(expression.start, expression.end);
+    args.push(source === name ? name : `${name}: ${source}`);
+    message += `{${name}}`;
+  });
+  return { call: `t('${key}', { ${args.join(', ')} })`, message };
+}
+
+function buildTemplateCall(literal, code, key) {
+  const { node } = literal;
+  const parts = node.quasis.flatMap((quasi, i) => (
+    node.expressions[i] ? [{ text: quasi.value.cooked || '' }, { expression: node.expressions[i] }] : [{ text: quasi.value.cooked || '' }]
+  ));
+  return buildMessageCall(parts, code, key);
+}
+
+// -------------------------------------------------------------------------------------
+// Sentences
+// -------------------------------------------------------------------------------------
+// <p>Hello {name}, welcome</p> is one message, not "Hello" and ", welcome": translations
+// must be free to move {name}. Runs of JSX text and simple expressions are merged.
+
+const SIMPLE_EXPRESSION_TYPES = ['Identifier', 'MemberExpression', 'OptionalMemberExpression'];
+
+/** JSX text as React renders it: lines trimmed, line breaks between words become one space. */
+function cleanJsxText(value) {
+  const lines = value.split(/\r\n|\n|\r/);
+  const lastNonEmpty = lines.reduce((last, line, i) => (/[^ \t]/.test(line) ? i : last), -1);
+  return lines.map((line, i) => {
+    let trimmed = line.replace(/\t/g, ' ');
+    if (i > 0) trimmed = trimmed.replace(/^ +/, '');
+    if (i < lines.length - 1) trimmed = trimmed.replace(/ +$/, '');
+    return trimmed && i !== lastNonEmpty ? `${trimmed} ` : trimmed;
+  }).join('');
+}
+
+function toSentencePart(child) {
+  if (child.type === 'JSXText') return { text: cleanJsxText(child.value), node: child };
+  if (child.type !== 'JSXExpressionContainer') return null;
+  const { expression } = child;
+  // {' '} keeps words apart; strings with letters are literals of their own
+  if (expression.type === 'StringLiteral' && !/\p{L}/u.test(expression.value)) return { text: expression.value, node: child };
+  if (SIMPLE_EXPRESSION_TYPES.includes(expression.type)) return { expression, node: child };
+  return null;
+}
+
+/** Maps every JSXText node that belongs to a sentence with variables to that sentence. */
+function collectSentences(ast) {
+  const sentences = new Map();
+  const addRun = (run) => {
+    while (run.length && run[0].text !== undefined && !run[0].text.trim()) run.shift();
+    while (run.length && run[run.length - 1].text !== undefined && !run[run.length - 1].text.trim()) run.pop();
+    if (!run.some(part => part.expression) || !run.some(part => /\p{L}/u.test(part.text || ''))) return;
+    const first = run[0].node;
+    const last = run[run.length - 1].node;
+    const raw = (node, side) => (node.type === 'JSXText' ? node.value.match(side === 'start' ? /^\s*/ : /\s*$/)[0].length : 0);
+    const parts = run.map(({ text, expression }) => (expression ? { expression } : { text }));
+    parts[0].text = parts[0].text?.trimStart();
+    parts[parts.length - 1].text = parts[parts.length - 1].text?.trimEnd();
+    const sentence = { start: first.start + raw(first, 'start'), end: last.end - raw(last, 'end'), parts };
+    for (const { node } of run) if (node.type === 'JSXText') sentences.set(node, sentence);
+  };
+  walk(ast.program, (node) => {
+    if (node.type !== 'JSXElement' && node.type !== 'JSXFragment') return true;
+    let run = [];
+    for (const child of node.children) {
+      const part = toSentencePart(child);
+      if (part) {
+        run.push(part);
+      } else {
+        addRun(run);
+        run = [];
+      }
+    }
+    addRun(run);
+    return true;
+  });
+  return sentences;
+}
+
+/** Short note for translators on where a literal is used (stored in common.meta.json). */
+function describeLiteral(literal, owner, filePath) {
+  const where = `<${owner.name}> (${path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/')})`;
+  if (literal.kind === 'attribute') return `"${literal.attribute}" attribute in ${where}`;
+  if (literal.kind === 'jsxText') return `Text content in ${where}`;
+  return `String built in ${where}`;
+}
+
+/**
+ * Rewrites `code` and returns { needsUpdate, updatedCode, locales, descriptions, skipped }.
+ *
+ * Options:
+ *   messages        Default-locale messages already known (e.g. common.json). Exact text matches reuse
+ *                   their key; new keys are registered in this object so concurrent files stay unique.
+ *   doNotTranslate  Glossary terms (brand names, ...). Literals that consist only of one are left alone.
+ */
+function codemodSource(code, filePath, { messages = {}, doNotTranslate = [] } = {}) {
+  const scan = scanSource(code, filePath);
+  if (!scan) {
+    throw new Error('@babel/parser is required for --codemod. Install it in your project (e.g. yarn add -D @babel/parser).');
+  }
+  if (scan.literals.length === 0) {
+    return { needsUpdate: false, updatedCode: '', locales: {}, descriptions: {}, skipped: [] };
+  }
+
+  const isClient = scan.ast.program.directives.some(d => d.value.value === 'use client');
+  const components = collectComponents(scan.ast, filePath);
+  const edits = [];
+  const locales = {};
+  const descriptions = {};
+  const skipped = [];
+  const usedComponents = new Map();
+  const sentences = collectSentences(scan.ast);
+  const handledSentences = new Set();
+
+  function registerKey(namespace, text, prefix, description) {
+    const scope = namespace ? (messages[namespace] = messages[namespace] || {}) : messages;
+    const existing = Object.keys(scope).find(k => scope[k] === text);
+    const key = existing || (() => {
+      const base = toKey(text, prefix);
+      let candidate = base;
+      for (let n = 2; scope[candidate] !== undefined && scope[candidate] !== text; n++) candidate = `${base}_${n}`;
+      return candidate;
+    })();
+    scope[key] = text;
+    const target = namespace ? (locales[namespace] = locales[namespace] || {}) : locales;
+    target[key] = text;
+    const keyPath = namespace ? `${namespace}.${key}` : key;
+    descriptions[keyPath] = descriptions[keyPath] || description;
+    return key;
+  }
+
+  for (const literal of scan.literals) {
+    const sentence = sentences.get(literal.node);
+    if (sentence && handledSentences.has(sentence)) continue;
+    if (!sentence && doNotTranslate.includes(literal.value.trim())) continue;
+    const owner = components
+      .filter(c => c.node.start <= literal.start && literal.end <= c.node.end)
+      .sort((a, b) => b.node.start - a.node.start)[0];
+    if (!owner) {
+      skipped.push(literal);
+      continue;
+    }
+    if (!usedComponents.has(owner)) {
+      usedComponents.set(owner, findExistingTranslator(owner) || { namespace: owner.namespace, insert: true });
+    }
+    const { namespace } = usedComponents.get(owner);
+    const prefix = literal.attribute ? literal.attribute : '';
+    const description = describeLiteral(literal, owner, filePath);
+
+    if (sentence) {
+      handledSentences.add(sentence);
+      const key = registerKey(namespace, buildMessageCall(sentence.parts, code, 'key').message, prefix, description);
+      edits.push({ start: sentence.start, end: sentence.end, text: `{${buildMessageCall(sentence.parts, code, key).call}}` });
+    } else if (literal.kind === 'template') {
+      const provisionalKey = registerKey(namespace, buildTemplateCall(literal, code, 'key').message, prefix, description);
+      const { call } = buildTemplateCall(literal, code, provisionalKey);
+      edits.push({ start: literal.start, end: literal.end, text: call });
+    } else if (literal.kind === 'jsxText') {
+      const raw = code.slice(literal.start, literal.end);
+      const leading = raw.match(/^\s*/)[0].length;
+      const trailing = raw.match(/\s*$/)[0].length;
+      const key = registerKey(namespace, escapeIcu(literal.value), prefix, description);
+      edits.push({ start: literal.start + leading, end: literal.end - trailing, text: `{t('${key}')}` });
+    } else {
+      const key = registerKey(namespace, escapeIcu(literal.value), prefix, description);
+      // alt="..." needs braces, alt={'...'} or {cond ? '...' : '...'} does not
+      const isBareAttribute = literal.kind === 'attribute' && /=\s*$/.test(code.slice(0, literal.start));
+      edits.push({ start: literal.start, end: literal.end, text: isBareAttribute ? `{t('${key}')}` : `t('${key}')` });
+    }
+  }
+
+  if (edits.length === 0) {
+    return { needsUpdate: false, updatedCode: '', locales: {}, descriptions: {}, skipped };
+  }
+
+  // Declare t in every component that did not have it yet
+  let needsUseTranslations = false;
+  let needsGetTranslations = false;
+  for (const [component, translator] of usedComponents) {
+    if (!translator.insert) continue;
+    const isAsync = component.node.async && !isClient;
+    if (isAsync) needsGetTranslations = true;
+    else needsUseTranslations = true;
+    const declaration = isAsync
+      ? `const t = await getTranslations('${translator.namespace}');`
+      : `const t = useTranslations('${translator.namespace}');`;
+    const { body } = component.node;
+    if (body.type === 'BlockStatement') {
+      const firstStatement = body.body[0];
+      const indent = firstStatement ? getIndentAt(code, firstStatement.start) : `${getIndentAt(code, component.node.start)}  `;
+      edits.push({ start: body.start + 1, end: body.start + 1, text: `\n${indent}${declaration}` });
+    } else {
+      // Expression-bodied arrow: () => (<div/>) becomes a block with a return statement
+      const indent = getIndentAt(code, component.node.start);
+      const start = body.extra && body.extra.parenthesized ? body.extra.parenStart : body.start;
+      let end = body.end;
+      if (body.extra && body.extra.parenthesized) end = code.indexOf(')', body.end) + 1;
+      edits.push({ start, end: start, text: `{\n${indent}  ${declaration}\n${indent}  return ` });
+      edits.push({ start: end, end, text: `;\n${indent}}` });
+    }
+  }
+
+  addImport(scan.ast, code, edits, needsUseTranslations, 'useTranslations', 'next-intl');
+  addImport(scan.ast, code, edits, needsGetTranslations, 'getTranslations', 'next-intl/server');
+
+  let updatedCode = code;
+  edits
+    .map((edit, order) => ({ ...edit, order }))
+    .sort((a, b) => b.start - a.start || b.order - a.order)
+    .forEach(({ start, end, text }) => {
+      updatedCode = updatedCode.slice(0, start) + text + updatedCode.slice(end);
+    });
+
+  return { needsUpdate: true, updatedCode, locales, descriptions, skipped };
+}
+
+function addImport(ast, code, edits, needed, specifier, source) {
+  if (!needed) return;
+  const imports = ast.program.body.filter(node => node.type === 'ImportDeclaration');
+  const existing = imports.find(node => node.source.value === source);
+  if (existing) {
+    if (existing.specifiers.some(s => s.imported && s.imported.name === specifier)) return;
+    const lastNamed = [...existing.specifiers].reverse().find(s => s.type === 'ImportSpecifier');
+    if (lastNamed) {
+      edits.push({ start: lastNamed.end, end: lastNamed.end, text: `, ${specifier}` });
+      return;
+    }
+  }
+  const statement = `import { ${specifier} } from '${source}';`;
+  const anchor = imports.length ? imports[imports.length - 1] : ast.program.directives[ast.program.directives.length - 1];
+  if (anchor) {
+    edits.push({ start: anchor.end, end: anchor.end, text: `\n${statement}` });
+  } else {
+    edits.push({ start: 0, end: 0, text: `${statement}\n\n` });
+  }
+}
+
+function codemodFile(filePath, options) {
+  return codemodSource(fs.readFileSync(filePath, 'utf8'), filePath, options);
+}
+
+module.exports = {
+  toKey,
+  codemodSource,
+  codemodFile,
+};
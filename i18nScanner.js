@@ -0,0 +1,176 @@
+/**
+ * i18nScanner.js
+ *
+ * AST-based scan for untranslated, user-facing string literals in React/Next.js files.
+ *
+ * Reported literals:
+ *   - jsxText     Text between JSX tags:                 <h1>Welcome</h1>
+ *   - attribute   User-facing attributes:                alt, title, placeholder, label and the text
+ *                 ARIA attributes (aria-label, aria-description, aria-placeholder,
+ *                 aria-roledescription, aria-valuetext); aria-hidden, aria-live, ... are not text
+ *   - template    Template literals rendered in JSX:     <p>{`Hello ${name}`}</p>
+ *   - expression  String literals rendered in JSX:       <p>{isOpen ? 'Close' : 'Open'}</p>
+ *
+ * Anything already wrapped in t('...') is an identifier/call and therefore never reported,
+ * so partly migrated files still show their remaining literals.
+ *
+ * Parsing uses @babel/parser, resolved from the project first (Next.js apps almost always
+ * have it) and then from this script's folder. When it cannot be found, scanSource()
+ * returns null and callers fall back to the legacy regex heuristic.
+ */
+
+const path = require('path');
+
+const USER_FACING_ATTRIBUTES = [
+  'alt', 'title', 'placeholder', 'label',
+  'aria-label', 'aria-description', 'aria-placeholder', 'aria-roledescription', 'aria-valuetext',
+];
+const SKIPPED_AST_KEYS = new Set([
+  'loc', 'start', 'end', 'extra', 'range', 'comments', 'leadingComments', 'trailingComments', 'innerComments',
+]);
+
+let babelParser; // Lazily resolved; false once we know it is unavailable
+
+function loadBabelParser() {
+  if (babelParser === undefined) {
+    try {
+      babelParser = require(require.resolve('@babel/parser', { paths: [process.cwd(), __dirname] }));
+    } catch (err) {
+      babelParser = false;
+    }
+  }
+  return babelParser || null;
+}
+
+function isScannerAvailable() {
+  return Boolean(loadBabelParser());
+}
+
+function parseSource(code, filePath) {
+  const parser = loadBabelParser();
+  if (!parser) return null;
+  const ext = path.extname(filePath);
+  // Plain .ts files must not get the jsx plugin, otherwise generics like <T> parse as JSX
+  const plugins = ext === '.ts' ? ['typescript'] : ext === '.tsx' ? ['jsx', 'typescript'] : ['jsx'];
+  return parser.parse(code, {
+    sourceType: 'module',
+    plugins,
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+  });
+}
+
+/** Depth-first walk over a Babel AST. Returning false from visit() skips the node's children. */
+function walk(node, visit, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visit(node, parent) === false) return;
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_AST_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const item of child) walk(item, visit, node);
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, node);
+    }
+  }
+}
+
+function hasLetters(text) {
+  return /\p{L}/u.test(text);
+}
+
+function getAttributeName(attribute) {
+  const { name } = attribute;
+  if (name.type === 'JSXNamespacedName') return `${name.namespace.name}:${name.name.name}`;
+  return name.name;
+}
+
+function isUserFacingAttribute(name) {
+  return USER_FACING_ATTRIBUTES.includes(name);
+}
+
+function isJsxParent(node) {
+  return node && (node.type === 'JSXElement' || node.type === 'JSXFragment');
+}
+
+/**
+ * Scans source code and returns
+ *   { ast, literals: [{ kind, value, line, start, end, node, attribute? }], counts: { jsxText, attribute, template, expression, total } }
+ * or null when no parser is available.
+ */
+function scanSource(code, filePath) {
+  const ast = parseSource(code, filePath);
+  if (!ast) return null;
+  const literals = [];
+
+  function record(kind, node, value, extra = {}) {
+    literals.push({ kind, value, line: node.loc.start.line, start: node.start, end: node.end, node, ...extra });
+  }
+
+  // Only follows the branches that end up rendered; calls such as t('key') or clsx('a') are skipped
+  function collectExpression(expression, extra) {
+    if (!expression) return;
+    switch (expression.type) {
+      case 'StringLiteral':
+        if (hasLetters(expression.value)) record(extra.attribute ? 'attribute' : 'expression', expression, expression.value, extra);
+        break;
+      case 'TemplateLiteral':
+        if (expression.quasis.some(q => hasLetters(q.value.cooked || ''))) {
+          record('template', expression, code.slice(expression.start + 1, expression.end - 1), extra);
+        }
+        break;
+      case 'ConditionalExpression':
+        collectExpression(expression.consequent, extra);
+        collectExpression(expression.alternate, extra);
+        break;
+      case 'LogicalExpression':
+        if (expression.operator !== '&&') collectExpression(expression.left, extra);
+        collectExpression(expression.right, extra);
+        break;
+      default:
+        break;
+    }
+  }
+
+  walk(ast.program, (node, parent) => {
+    if (node.type === 'JSXText' && isJsxParent(parent)) {
+      const text = node.value.replace(/\s+/g, ' ').trim();
+      if (text && hasLetters(text)) record('jsxText', node, text);
+    } else if (node.type === 'JSXAttribute') {
+      const name = getAttributeName(node);
+      if (!isUserFacingAttribute(name) || !node.value) return false;
+      if (node.value.type === 'StringLiteral') {
+        if (hasLetters(node.value.value)) record('attribute', node.value, node.value.value, { attribute: name });
+      } else if (node.value.type === 'JSXExpressionContainer') {
+        collectExpression(node.value.expression, { attribute: name });
+      }
+      return false;
+    } else if (node.type === 'JSXExpressionContainer' && isJsxParent(parent)) {
+      collectExpression(node.expression, {});
+    }
+    return true;
+  });
+
+  const counts = { jsxText: 0, attribute: 0, template: 0, expression: 0 };
+  for (const literal of literals) counts[literal.kind]++;
+  counts.total = literals.length;
+  return { ast, literals, counts };
+}
+
+function formatScanCounts(counts) {
+  const parts = [];
+  if (counts.jsxText) parts.push(`${counts.jsxText} JSX text`);
+  if (counts.attribute) parts.push(`${counts.attribute} attribute`);
+  if (counts.template) parts.push(`${counts.template} template`);
+  if (counts.expression) parts.push(`${counts.expression} expression`);
+  return `${counts.total} untranslated string(s)${parts.length ? ` (${parts.join(', ')})` : ''}`;
+}
+
+module.exports = {
+  USER_FACING_ATTRIBUTES,
+  isScannerAvailable,
+  parseSource,
+  walk,
+  scanSource,
+  formatScanCounts,
+};
@@ -0,0 +1,170 @@
+/**
+ * i18nUsage.js
+ *
+ * Finds the translation keys a React/Next.js file uses:
+ *
+ *     const t = useTranslations('UserProfile');          // or await getTranslations('UserProfile')
+ *     t('title'); t.rich('bio', {...}); t.markup('terms', {...}); t.raw('list'); t.has('badge');
+ *
+ *     extractTranslationUsages(code, filePath)
+ *     // -> [{ key: 'UserProfile.title', namespace: 'UserProfile', method: 't', line: 3, dynamic: false }, ...]
+ *
+ * Any variable name works (const tNav = useTranslations('Nav')); each call resolves to the
+ * declaration of the innermost enclosing function. getTranslations({ locale, namespace }) is
+ * understood too. Keys built at runtime (t(`status_${x}`)) are reported with dynamic: true
+ * and their static prefix as key.
+ *
+ * Uses @babel/parser through i18nScanner.js, with a regex fallback when it is not installed.
+ */
+
+const { parseSource, walk } = require('./i18nScanner');
+
+const TRANSLATOR_FACTORIES = new Set(['useTranslations', 'getTranslations']);
+const TRANSLATOR_METHODS = new Set(['rich', 'markup', 'raw', 'has']);
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod',
+]);
+
+function joinKey(namespace, key) {
+  return namespace && key ? `${namespace}.${key}` : namespace || key;
+}
+
+function getStringValue(node) {
+  if (!node) return undefined;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return undefined;
+}
+
+/** Namespace passed to useTranslations()/getTranslations(): a string, '' for none, null when dynamic. */
+function getNamespaceArgument(call) {
+  const [arg] = call.arguments;
+  if (!arg) return '';
+  const value = getStringValue(arg);
+  if (value !== undefined) return value;
+  if (arg.type === 'ObjectExpression') {
+    const property = arg.properties.find(p => p.type === 'ObjectProperty' && (p.key.name || p.key.value) === 'namespace');
+    if (!property) return '';
+    const namespace = getStringValue(property.value);
+    return namespace !== undefined ? namespace : null;
+  }
+  return null;
+}
+
+function getTranslatorCall(init) {
+  const call = init && init.type === 'AwaitExpression' ? init.argument : init;
+  if (call && call.type === 'CallExpression' && call.callee.type === 'Identifier' && TRANSLATOR_FACTORIES.has(call.callee.name)) {
+    return call;
+  }
+  return null;
+}
+
+function extractWithAst(ast) {
+  const scopes = [{ start: 0, end: Infinity }];
+  const declarations = [];
+  const calls = [];
+  walk(ast.program, (node) => {
+    if (FUNCTION_TYPES.has(node.type)) scopes.push({ start: node.start, end: node.end });
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      const call = getTranslatorCall(node.init);
+      if (call) declarations.push({ name: node.id.name, namespace: getNamespaceArgument(call), start: node.start });
+    }
+    if (node.type === 'CallExpression') calls.push(node);
+  });
+
+  const innermostScope = position => scopes
+    .filter(scope => scope.start <= position && position < scope.end)
+    .reduce((inner, scope) => (scope.start >= inner.start ? scope : inner));
+  for (const declaration of declarations) declaration.scope = innermostScope(declaration.start);
+
+  const usages = [];
+  for (const call of calls) {
+    const { callee } = call;
+    let name;
+    let method = 't';
+    if (callee.type === 'Identifier') {
+      name = callee.name;
+    } else if (
+      callee.type === 'MemberExpression' &&
+      callee.object.type === 'Identifier' &&
+      !callee.computed &&
+      TRANSLATOR_METHODS.has(callee.property.name)
+    ) {
+      name = callee.object.name;
+      method = `t.${callee.property.name}`;
+    } else {
+      continue;
+    }
+    const declaration = declarations
+      .filter(d => d.name === name && d.scope.start <= call.start && call.start < d.scope.end)
+      .sort((a, b) => b.scope.start - a.scope.start)[0];
+    if (!declaration) continue;
+
+    const [keyNode] = call.arguments;
+    const line = call.loc ? call.loc.start.line : null;
+    const key = getStringValue(keyNode);
+    if (declaration.namespace === null) {
+      usages.push({ key: null, namespace: null, method, line, dynamic: true });
+    } else if (key !== undefined) {
+      usages.push({ key: joinKey(declaration.namespace, key), namespace: declaration.namespace, method, line, dynamic: false });
+    } else {
+      // t(`status_${x}`): only the static prefix is known
+      const prefix = keyNode && keyNode.type === 'TemplateLiteral' ? keyNode.quasis[0].value.cooked : '';
+      usages.push({ key: joinKey(declaration.namespace, prefix), namespace: declaration.namespace, method, line, dynamic: true });
+    }
+  }
+  return usages;
+}
+
+function getLine(code, index) {
+  return code.slice(0, index).split('\n').length;
+}
+
+/** Regex fallback: calls resolve to the closest preceding declaration, string keys only. */
+function extractWithRegex(code) {
+  const declarations = [];
+  const declarationPattern = /\b([A-Za-z_$][\w$]*)\s*=\s*(?:await\s+)?(?:useTranslations|getTranslations)\(\s*(?:(['"`])([^'"`]*)\2|\{[^}]*?namespace:\s*(['"`])([^'"`]*)\4[^}]*\})?\s*\)/g;
+  let match;
+  while ((match = declarationPattern.exec(code)) !== null) {
+    declarations.push({ name: match[1], namespace: match[3] ?? match[5] ?? '', index: match.index });
+  }
+  const usages = [];
+  for (const name of new Set(declarations.map(d => d.name))) {
+    const callPattern = new RegExp(`(?<![\\w$.])${name.replace(/\$/g, '\\$')}(?:\\.(rich|markup|raw|has))?\\(\\s*(['"\`])([^'"\`]*)\\2`, 'g');
+    while ((match = callPattern.exec(code)) !== null) {
+      const declaration = declarations.filter(d => d.name === name && d.index < match.index).pop();
+      if (!declaration) continue;
+      const dynamic = match[2] === '`' && match[3].includes('${');
+      const key = dynamic ? match[3].slice(0, match[3].indexOf('${')) : match[3];
+      usages.push({
+        key: joinKey(declaration.namespace, key),
+        namespace: declaration.namespace,
+        method: match[1] ? `t.${match[1]}` : 't',
+        line: getLine(code, match.index),
+        dynamic,
+      });
+    }
+  }
+  return usages;
+}
+
+function extractTranslationUsages(code, filePath) {
+  const ast = parseSource(code, filePath);
+  return ast ? extractWithAst(ast) : extractWithRegex(code);
+}
+
+/** Dotted paths of every leaf message. */
+function collectMessageKeys(messages, prefix = '') {
+  const keys = [];
+  for (const [key, value] of Object.entries(messages || {})) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) keys.push(...collectMessageKeys(value, keyPath));
+    else keys.push(keyPath);
+  }
+  return keys;
+}
+
+module.exports = {
+  extractTranslationUsages,
+  collectMessageKeys,
+};
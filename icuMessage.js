@@ -0,0 +1,267 @@
+/**
+ * icuMessage.js
+ *
+ * Minimal ICU MessageFormat parser (the syntax next-intl uses) and a validator that checks a
+ * translation against its source message:
+ *
+ *     const problems = compareMessages('{count, plural, =0 {None} other {# items}}', translated);
+ *     // -> [] when valid, or e.g. ['"#" is missing in {count, plural}']
+ *
+ * Checked: the message parses, every argument keeps its name and format
+ * ({firstName}, {n, number}, {d, date}, {count, plural, ...}), select options and explicit
+ * plural options (=0, =1, ...) are kept, "#" survives in plurals and rich-text tags
+ * (<b>...</b>) are kept. Plural categories (one, few, many, ...) may differ per language.
+ */
+
+const PLURAL_TYPES = new Set(['plural', 'selectordinal']);
+const SIMPLE_FORMATS = new Set(['number', 'date', 'time', 'spellout', 'ordinal', 'duration']);
+
+// -------------------------------------------------------------------------------------
+// Parser
+// -------------------------------------------------------------------------------------
+
+/**
+ * Parses a message into nodes:
+ *   { type: 'text', value } | { type: 'argument', name, format, style } | { type: 'pound' }
+ *   { type: 'plural' | 'selectordinal' | 'select', name, options: { [selector]: nodes } }
+ *   { type: 'tag', name, children }
+ * Throws on syntax errors.
+ */
+function parseMessage(message) {
+  let pos = 0;
+
+  function fail(reason) {
+    throw new Error(`${reason} (at position ${pos})`);
+  }
+
+  function skipSpace() {
+    while (pos < message.length && /\s/.test(message[pos])) pos++;
+  }
+
+  function match(regex) {
+    regex.lastIndex = pos;
+    const result = regex.exec(message);
+    if (result) pos += result[0].length;
+    return result;
+  }
+
+  // Apostrophes quote syntax characters: '{' is a literal brace, '' is a literal apostrophe
+  function readQuoted(inPlural) {
+    const next = message[pos + 1];
+    if (next === "'") {
+      pos += 2;
+      return "'";
+    }
+    if (next === undefined || !('{}<'.includes(next) || (inPlural && next === '#'))) {
+      pos++;
+      return "'";
+    }
+    let text = '';
+    pos++;
+    while (pos < message.length) {
+      if (message[pos] === "'") {
+        if (message[pos + 1] === "'") {
+          text += "'";
+          pos += 2;
+          continue;
+        }
+        pos++;
+        return text;
+      }
+      text += message[pos++];
+    }
+    return text;
+  }
+
+  function parseNodes(depth, inPlural, tagName) {
+    const nodes = [];
+    let text = '';
+    const flush = () => {
+      if (text) nodes.push({ type: 'text', value: text });
+      text = '';
+    };
+    while (pos < message.length) {
+      const ch = message[pos];
+      if (ch === '{') {
+        flush();
+        nodes.push(parseArgument(depth));
+      } else if (ch === '}') {
+        if (depth === 0) fail('Unexpected "}"');
+        break;
+      } else if (ch === '#' && inPlural) {
+        flush();
+        nodes.push({ type: 'pound' });
+        pos++;
+      } else if (ch === "'") {
+        text += readQuoted(inPlural);
+      } else if (ch === '<' && /^<\/[A-Za-z]/.test(message.slice(pos, pos + 3))) {
+        if (message.startsWith(`</${tagName}>`, pos)) break;
+        fail(`Unexpected closing tag ${message.slice(pos).match(/^<\/[^>]*>?/)[0]}`);
+      } else if (ch === '<' && /^<[A-Za-z]/.test(message.slice(pos, pos + 2))) {
+        flush();
+        const open = match(/<([A-Za-z][\w-]*)\s*(\/?)>/y);
+        if (!open) fail('Invalid tag');
+        const children = open[2] ? [] : parseNodes(depth, inPlural, open[1]);
+        if (!open[2] && !match(new RegExp(`</${open[1]}>`, 'y'))) fail(`Unclosed tag <${open[1]}>`);
+        nodes.push({ type: 'tag', name: open[1], children });
+      } else {
+        text += ch;
+        pos++;
+      }
+    }
+    flush();
+    return nodes;
+  }
+
+  function parseArgument(depth) {
+    pos++; // {
+    skipSpace();
+    const name = match(/[^\s{},]+/y);
+    if (!name) fail('Expected an argument name');
+    skipSpace();
+    if (message[pos] === '}') {
+      pos++;
+      return { type: 'argument', name: name[0], format: null, style: null };
+    }
+    if (message[pos] !== ',') fail(`Unclosed argument {${name[0]}`);
+    pos++;
+    skipSpace();
+    const type = match(/[A-Za-z]+/y);
+    if (!type) fail(`Expected a format after {${name[0]},`);
+    skipSpace();
+
+    if (PLURAL_TYPES.has(type[0]) || type[0] === 'select') {
+      if (message[pos] !== ',') fail(`Expected options in {${name[0]}, ${type[0]}}`);
+      pos++;
+      const options = {};
+      for (;;) {
+        skipSpace();
+        if (pos >= message.length) fail(`Unclosed argument {${name[0]}, ${type[0]}}`);
+        if (message[pos] === '}') {
+          pos++;
+          break;
+        }
+        if (PLURAL_TYPES.has(type[0]) && match(/offset:\s*\d+/y)) continue;
+        const selector = match(/[^\s{}]+/y);
+        if (!selector) fail(`Expected a selector in {${name[0]}, ${type[0]}}`);
+        skipSpace();
+        if (message[pos] !== '{') fail(`Expected "{" after selector "${selector[0]}"`);
+        pos++;
+        options[selector[0]] = parseNodes(depth + 1, PLURAL_TYPES.has(type[0]), null);
+        if (message[pos] !== '}') fail(`Unclosed option "${selector[0]}" in {${name[0]}, ${type[0]}}`);
+        pos++;
+      }
+      if (!options.other) fail(`Missing "other" option in {${name[0]}, ${type[0]}}`);
+      return { type: type[0], name: name[0], options };
+    }
+
+    if (!SIMPLE_FORMATS.has(type[0])) fail(`Unknown format "${type[0]}" in {${name[0]}, ${type[0]}}`);
+    let style = null;
+    if (message[pos] === ',') {
+      pos++;
+      style = match(/[^}]*/y)[0].trim();
+    }
+    if (message[pos] !== '}') fail(`Unclosed argument {${name[0]}, ${type[0]}}`);
+    pos++;
+    return { type: 'argument', name: name[0], format: type[0], style };
+  }
+
+  return parseNodes(0, false, null);
+}
+
+// -------------------------------------------------------------------------------------
+// Validation
+// -------------------------------------------------------------------------------------
+
+/** Collects what a translation has to preserve. */
+function getSignature(nodes) {
+  const signature = { arguments: new Map(), selectors: new Map(), pounds: new Set(), tags: new Set() };
+  function visit(list, pluralName) {
+    for (const node of list) {
+      if (node.type === 'pound') {
+        signature.pounds.add(pluralName);
+      } else if (node.type === 'tag') {
+        signature.tags.add(node.name);
+        visit(node.children, pluralName);
+      } else if (node.type !== 'text') {
+        const label = node.type === 'argument' ? node.format || 'simple' : node.type;
+        if (!signature.arguments.has(node.name)) signature.arguments.set(node.name, new Set());
+        signature.arguments.get(node.name).add(label);
+        if (node.options) {
+          const kept = Object.keys(node.options).filter(selector => node.type === 'select' || selector.startsWith('='));
+          const key = `${node.name}, ${node.type}`;
+          signature.selectors.set(key, new Set([...(signature.selectors.get(key) || []), ...kept]));
+          for (const option of Object.values(node.options)) {
+            visit(option, PLURAL_TYPES.has(node.type) ? key : null);
+          }
+        }
+      }
+    }
+  }
+  visit(nodes, null);
+  return signature;
+}
+
+function isValidMessage(message) {
+  try {
+    parseMessage(message);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Returns the problems of `translated` compared to `source` (empty array when valid).
+ * Sources that are not valid ICU messages themselves are not checked.
+ */
+function compareMessages(source, translated) {
+  if (typeof source !== 'string') return [];
+  if (typeof translated !== 'string') return ['Translation is not a string'];
+  let sourceNodes;
+  try {
+    sourceNodes = parseMessage(source);
+  } catch (err) {
+    return [];
+  }
+  let translatedNodes;
+  try {
+    translatedNodes = parseMessage(translated);
+  } catch (err) {
+    return [`Invalid ICU message: ${err.message}`];
+  }
+
+  const expected = getSignature(sourceNodes);
+  const actual = getSignature(translatedNodes);
+  const problems = [];
+  for (const [name, labels] of expected.arguments) {
+    for (const label of labels) {
+      if (!actual.arguments.get(name)?.has(label)) {
+        problems.push(label === 'simple' ? `Missing {${name}}` : `Missing {${name}, ${label}}`);
+      }
+    }
+  }
+  for (const name of actual.arguments.keys()) {
+    if (!expected.arguments.has(name)) problems.push(`Unknown argument {${name}}`);
+  }
+  for (const [key, selectors] of expected.selectors) {
+    const missing = [...selectors].filter(selector => !actual.selectors.get(key)?.has(selector));
+    if (missing.length > 0) problems.push(`Missing option(s) ${missing.join(', ')} in {${key}}`);
+  }
+  for (const key of expected.pounds) {
+    if (key && !actual.pounds.has(key)) problems.push(`"#" is missing in {${key}}`);
+  }
+  for (const name of expected.tags) {
+    if (!actual.tags.has(name)) problems.push(`Missing tag <${name}>`);
+  }
+  for (const name of actual.tags) {
+    if (!expected.tags.has(name)) problems.push(`Unknown tag <${name}>`);
+  }
+  return problems;
+}
+
+module.exports = {
+  parseMessage,
+  isValidMessage,
+  compareMessages,
+};
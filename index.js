@@ -0,0 +1,57 @@
+/**
+ * index.js
+ *
+ * Programmatic API of the i18n scripts, for build scripts and tests. Requiring it runs nothing;
+ * the CLIs (makeMultilingual.js, populateLocales.js, lintI18n.js, exchangeXliff.js,
+ * convertLocales.js) are thin wrappers over the same functions.
+ *
+ *     const { setup, translate, lint, exportXliff, importLocales } = require('./index');
+ *
+ *     // Whole setup, options instead of flags (any project setting, see projectConfig.js)
+ *     await setup.run({ defaultLocale: 'en', locales: ['en', 'fr'], steps: { build: false } });
+ *
+ *     // Or single steps, after configure()
+ *     setup.configure({ localeFolder: 'messages', git: false });
+ *     const files = setup.getEligibleFiles('app');
+ *     await setup.processFiles(files);
+ *     await setup.autoTranslateCommonJson();
+ *
+ *     // Translate the missing keys of every locale
+ *     const success = await translate.run({ batch: true });
+ *
+ *     // Check the keys, exchange translations with translators
+ *     const { errorCount } = lint({ allowUnused: true });
+ *     exportXliff({ locales: ['fr'] });
+ *     const { conflicts, rejected } = importLocales(['po/fr.po']);
+ *
+ * lint() and the export/import functions take their options per call. Each configure() or
+ * run(options) starts from the default options, so nothing carries over from an earlier call;
+ * the functions of a script then share them, like the flags of the CLI.
+ * Project settings: nextjs-utils.config.{json,js} is read first unless `config: false`.
+ * Errors are thrown instead of exiting the process.
+ */
+
+const setup = require('./makeMultilingual');
+const translate = require('./populateLocales');
+const { loadProjectConfig, createPathFilter } = require('./projectConfig');
+const { createMessageStore, flattenObject, unflattenObject } = require('./messageStore');
+const { lint } = require('./lintI18n');
+const { exportXliff, importXliff } = require('./exchangeXliff');
+const { exportLocales, importLocales } = require('./convertLocales');
+
+module.exports = {
+  setup,
+  translate,
+  findMissingKeys: translate.findMissingKeys,
+  flattenObject,
+  unflattenObject,
+  unflattenTranslations: translate.unflattenTranslations,
+  createMessageStore,
+  loadProjectConfig,
+  createPathFilter,
+  lint,
+  exportXliff,
+  importXliff,
+  exportLocales,
+  importLocales,
+};
@@ -0,0 +1,146 @@
+/**
+ * jsonReply.js
+ *
+ * Reads JSON out of AI replies and checks its shape, so a reply wrapped in ```json fences or
+ * prose, or with raw line breaks inside strings, does not cost a whole new request:
+ *
+ *     const { parseJsonReply } = require('./jsonReply');
+ *     parseJsonReply('Sure!\n```json\n{ "needsUpdate": false, "updatedCode": "" }\n```', {
+ *       type: 'object',
+ *       properties: { needsUpdate: { type: 'boolean' }, updatedCode: { type: 'string' } },
+ *       required: ['needsUpdate', 'updatedCode'],
+ *     });
+ *     // { needsUpdate: false, updatedCode: '' }
+ *
+ * Repairs, in order: the reply as is, without code fences, then the first balanced {...} in
+ * it; each also with raw control characters inside strings escaped. The schemas are the subset
+ * of JSON Schema sent as response_format: type, properties, required, items and
+ * additionalProperties.
+ */
+
+const FENCE_PATTERN = /```(?:json|JSON)?\s*\n?([\s\S]*?)\n?\s*```/;
+const CONTROL_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/** Escapes the line breaks and tabs models leave inside strings (e.g. in "updatedCode"). */
+function escapeControlCharacters(text) {
+  let result = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString && ch === '\\') {
+      result += ch + (text[i + 1] ?? '');
+      i++;
+      continue;
+    }
+    if (ch === '"') inString = !inString;
+    result += inString && CONTROL_ESCAPES[ch] ? CONTROL_ESCAPES[ch] : ch;
+  }
+  return result;
+}
+
+/** The first balanced {...} of the text that parses, skipping braces inside strings. */
+function findBalancedObject(text) {
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}' && --depth === 0) {
+        const candidate = text.slice(start, i + 1);
+        const value = tryParse(candidate);
+        if (value !== undefined) return value;
+        break;
+      }
+    }
+  }
+  return undefined;
+}
+
+function tryParse(text) {
+  for (const candidate of [text, escapeControlCharacters(text)]) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // Try the next repair
+    }
+  }
+  return undefined;
+}
+
+/** Parses the JSON of an AI reply, repairing it when needed. Throws when there is none. */
+function extractJson(text) {
+  if (typeof text !== 'string' || !text.trim()) throw new Error('The reply is empty.');
+  const trimmed = text.trim();
+  const fenced = trimmed.match(FENCE_PATTERN);
+  for (const candidate of fenced ? [trimmed, fenced[1]] : [trimmed]) {
+    const value = tryParse(candidate);
+    if (value !== undefined) return value;
+  }
+  const value = findBalancedObject(trimmed);
+  if (value !== undefined) return value;
+  try {
+    JSON.parse(trimmed);
+  } catch (err) {
+    throw new Error(`The reply is not valid JSON: ${err.message}`);
+  }
+  throw new Error('The reply is not valid JSON.');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/** Problems of `value` against `schema`, as ["$.updatedCode must be a string", ...]. */
+function validateJsonShape(value, schema, location = '$') {
+  if (!schema) return [];
+  const actual = typeOf(value);
+  const expected = [].concat(schema.type || []);
+  if (expected.length > 0 && !expected.includes(actual) && !(actual === 'integer' && expected.includes('number'))) {
+    return [`${location} must be ${expected.join(' or ')}, got ${actual}`];
+  }
+  const problems = [];
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${location}.${key} is missing`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemSchema = schema.properties?.[key]
+        ?? (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (schema.additionalProperties === false && !schema.properties?.[key]) {
+        problems.push(`${location}.${key} is not expected`);
+      } else {
+        problems.push(...validateJsonShape(item, itemSchema, `${location}.${key}`));
+      }
+    }
+  } else if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => problems.push(...validateJsonShape(item, schema.items, `${location}[${index}]`)));
+  }
+  return problems;
+}
+
+/** extractJson() followed by validateJsonShape(); throws with every problem found. */
+function parseJsonReply(text, schema) {
+  const value = extractJson(text);
+  const problems = validateJsonShape(value, schema);
+  if (problems.length > 0) {
+    throw new Error(`The reply does not match the expected JSON: ${problems.join('; ')}`);
+  }
+  return value;
+}
+
+module.exports = {
+  escapeControlCharacters,
+  extractJson,
+  validateJsonShape,
+  parseJsonReply,
+};
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * lintI18n.js
+ *
+ * Cross-checks the translation keys the app uses against the message files, so broken or
+ * stale keys fail a pull request instead of showing up as raw keys in production:
+ *
+ *     node lintI18n.js                      # scans app/, src/, pages/ and components/
+ *     node lintI18n.js --dir app --dir lib --folder messages
+ *
+ * Reported (every problem makes the command exit with code 1):
+ *   - keys used in code (t('key'), t.rich, t.markup, t.raw) that the default locale does not
+ *     define, with a hint when the key exists under another namespace
+ *   - namespaces passed to useTranslations()/getTranslations() that do not exist
+ *   - keys of the default locale missing from another locale (and keys only that locale has)
+ *   - keys the default locale defines but no code uses (warnings only with --allow-unused)
+ *   - with a right-to-left locale (ar, he, fa, ...): physical styles such as ml-4, text-left or
+ *     margin-left that will not mirror (warnings unless --strict-rtl)
+ *
+ * Keys built at runtime (t(`status_${x}`)) count as using every key under their static prefix.
+ * Locales, the default locale and the messages layout come from next-intl.config.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractTranslationUsages, collectMessageKeys } = require('./i18nUsage');
+const { loadMessagesConfig, createMessageStore } = require('./messageStore');
+const { getTextDirection, scanForPhysicalStyles } = require('./rtlStyles');
+
+const DEFAULTS = {
+  SOURCE_DIRS: ['app', 'src', 'pages', 'components'],
+  LOCALE_FOLDERS: ['src/i18n/messages', 'messages'],
+  EXTENSIONS: ['.js', '.jsx', '.ts', '.tsx'],
+  IGNORED_DIRS: ['node_modules', '.next', '.git', 'out', 'dist'],
+};
+
+function printHelp() {
+  console.log(`
+Usage: node lintI18n.js [options]
+
+Options:
+  --dir <path>        Source folder to scan, repeatable (default: ${DEFAULTS.SOURCE_DIRS.join(', ')})
+  -f, --folder <path> Locale folder (default: ${DEFAULTS.LOCALE_FOLDERS.join(' or ')})
+  --allow-unused      Report unused keys as warnings instead of failing
+  --strict-rtl        Fail on styles that do not mirror in right-to-left locales (default: warn)
+  -h, --help          Show this help message
+`);
+}
+
+/** Turns the flags into the options of lint(). */
+function parseArgs(args = process.argv.slice(2)) {
+  const options = { dirs: [] };
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--dir':
+        options.dirs.push(args[++i]);
+        break;
+      case '-f':
+      case '--folder':
+        options.folder = args[++i];
+        break;
+      case '--allow-unused':
+        options.allowUnused = true;
+        break;
+      case '--strict-rtl':
+        options.strictRtl = true;
+        break;
+      case '-h':
+      case '--help':
+        printHelp();
+        process.exit(0);
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        printHelp();
+        process.exit(1);
+    }
+  }
+  return options;
+}
+
+// -------------------------------------------------------------------------------------
+// Collecting usages and messages
+// -------------------------------------------------------------------------------------
+
+function listSourceFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!DEFAULTS.IGNORED_DIRS.includes(entry.name)) files.push(...listSourceFiles(fullPath));
+    } else if (DEFAULTS.EXTENSIONS.includes(path.extname(entry.name)) && !entry.name.endsWith('.d.ts')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+function collectUsages(dirs) {
+  const usages = [];
+  const files = [...new Set(dirs.flatMap(listSourceFiles))];
+  for (const filePath of files) {
+    const code = fs.readFileSync(filePath, 'utf8');
+    if (!/\b(useTranslations|getTranslations)\b/.test(code)) continue;
+    try {
+      for (const usage of extractTranslationUsages(code, filePath)) usages.push({ ...usage, filePath });
+    } catch (err) {
+      console.warn(`⚠️ Could not parse ${filePath}: ${err.message}`);
+    }
+  }
+  return { usages, fileCount: files.length };
+}
+
+function loadLocales(messageStore) {
+  const configPath = path.resolve('next-intl.config.js');
+  if (fs.existsSync(configPath)) {
+    const config = require(configPath);
+    if (Array.isArray(config.locales) && config.locales.length > 0) {
+      return { locales: config.locales, defaultLocale: config.defaultLocale || config.locales[0] };
+    }
+  }
+  // Without a config, every locale that has messages counts and the first one is the default
+  const locales = messageStore.listLocales();
+  return { locales, defaultLocale: locales[0] };
+}
+
+function readMessages(messageStore, locale) {
+  return messageStore.exists(locale) ? messageStore.read(locale) : null;
+}
+
+// -------------------------------------------------------------------------------------
+// Checks
+// -------------------------------------------------------------------------------------
+
+function formatLocation({ filePath, line }) {
+  return line ? `${filePath}:${line}` : filePath;
+}
+
+/** A key is defined when it is a message or (for t.raw) a group of messages. */
+function isDefined(keySet, key) {
+  if (keySet.has(key)) return true;
+  for (const k of keySet) if (k.startsWith(`${key}.`)) return true;
+  return false;
+}
+
+function checkUsedKeys(usages, definedKeys) {
+  const problems = [];
+  const namespaces = new Set([...definedKeys].flatMap(key => {
+    const parts = key.split('.');
+    return parts.slice(1).map((_, i) => parts.slice(0, i + 1).join('.'));
+  }));
+  const reportedNamespaces = new Set();
+  for (const usage of usages) {
+    if (usage.namespace && !namespaces.has(usage.namespace)) {
+      if (!reportedNamespaces.has(usage.namespace)) {
+        problems.push(`Unknown namespace "${usage.namespace}" (${formatLocation(usage)})`);
+        reportedNamespaces.add(usage.namespace);
+      }
+      continue;
+    }
+    if (usage.dynamic || usage.method === 't.has' || isDefined(definedKeys, usage.key)) continue;
+    const localKey = usage.namespace ? usage.key.slice(usage.namespace.length + 1) : usage.key;
+    const elsewhere = [...definedKeys].filter(key => key === localKey || key.endsWith(`.${localKey}`));
+    const hint = elsewhere.length > 0 ? ` - defined as ${elsewhere.map(key => `"${key}"`).join(', ')}; wrong namespace?` : '';
+    problems.push(`Missing key "${usage.key}" (${formatLocation(usage)})${hint}`);
+  }
+  return problems;
+}
+
+function findUnusedKeys(usages, definedKeys) {
+  // A dynamic namespace can reach any key
+  if (usages.some(usage => usage.key === null)) return [];
+  const exact = new Set(usages.filter(usage => !usage.dynamic).map(usage => usage.key));
+  // t(`status_${x}`) may read any key starting with "status_", t.raw('list') every key below "list"
+  const prefixes = usages
+    .filter(usage => usage.dynamic || usage.method === 't.raw')
+    .map(usage => (usage.dynamic && usage.key !== usage.namespace ? usage.key : `${usage.key}.`));
+  return [...definedKeys].filter(key => !exact.has(key) && !prefixes.some(prefix => key.startsWith(prefix)));
+}
+
+function checkLocale(messageStore, locale, referenceKeys) {
+  const messages = readMessages(messageStore, locale);
+  if (!messages) return { missing: [...referenceKeys], extra: [], fileMissing: true };
+  const keys = new Set(collectMessageKeys(messages));
+  return {
+    missing: [...referenceKeys].filter(key => !keys.has(key)),
+    extra: [...keys].filter(key => !referenceKeys.has(key)),
+    fileMissing: false,
+  };
+}
+
+// -------------------------------------------------------------------------------------
+// Main
+// -------------------------------------------------------------------------------------
+
+function printList(title, items, icon) {
+  if (items.length === 0) return;
+  console.log(`\n${icon} ${title} (${items.length}):`);
+  for (const item of items) console.log(`   - ${item}`);
+}
+
+/**
+ * Runs every check and prints the report. Options mirror the flags: `dirs` (default: the
+ * DEFAULTS.SOURCE_DIRS that exist), `folder`, `allowUnused` and `strictRtl`. Returns
+ * { errorCount, missingKeys, unusedKeys, locales: { [locale]: { missing, extra, fileMissing } },
+ * physicalStyles }; throws when there are no locales or default messages to check against.
+ */
+function lint(options = {}) {
+  const sourceDirs = options.dirs && options.dirs.length > 0
+    ? options.dirs
+    : DEFAULTS.SOURCE_DIRS.filter(dir => fs.existsSync(dir));
+  const localeFolder = options.folder
+    || DEFAULTS.LOCALE_FOLDERS.find(dir => fs.existsSync(dir))
+    || DEFAULTS.LOCALE_FOLDERS[1];
+  const allowUnused = Boolean(options.allowUnused);
+  const strictRtl = Boolean(options.strictRtl);
+
+  const messageStore = createMessageStore(localeFolder, loadMessagesConfig());
+  const { locales, defaultLocale } = loadLocales(messageStore);
+  if (!defaultLocale) {
+    throw new Error(`No locales found (next-intl.config.js or messages in ${localeFolder})`);
+  }
+  const defaultMessages = readMessages(messageStore, defaultLocale);
+  if (!defaultMessages) {
+    throw new Error(`Missing ${messageStore.describe(defaultLocale)}`);
+  }
+  const definedKeys = new Set(collectMessageKeys(defaultMessages));
+  const { usages, fileCount } = collectUsages(sourceDirs);
+  console.log(`🔍 Scanned ${fileCount} file(s) in ${sourceDirs.join(', ') || '(none)'}: ${usages.length} translation call(s), ${definedKeys.size} key(s) in ${defaultLocale}`);
+
+  let errorCount = 0;
+  const missingKeys = checkUsedKeys(usages, definedKeys);
+  printList(`Used in code but missing in ${defaultLocale}`, missingKeys, '❌');
+  errorCount += missingKeys.length;
+
+  const unusedKeys = findUnusedKeys(usages, definedKeys);
+  printList(`Defined in ${defaultLocale} but never used`, unusedKeys, allowUnused ? '⚠️' : '❌');
+  if (!allowUnused) errorCount += unusedKeys.length;
+
+  const localeResults = {};
+  for (const locale of locales.filter(locale => locale !== defaultLocale)) {
+    const result = checkLocale(messageStore, locale, definedKeys);
+    localeResults[locale] = result;
+    if (result.fileMissing) {
+      console.log(`\n❌ ${locale}: ${messageStore.describe(locale)} does not exist`);
+      errorCount++;
+      continue;
+    }
+    printList(`${locale}: missing keys`, result.missing, '❌');
+    printList(`${locale}: keys not in ${defaultLocale}`, result.extra, '❌');
+    errorCount += result.missing.length + result.extra.length;
+  }
+
+  let physicalStyles = [];
+  const rtlLocales = locales.filter(locale => getTextDirection(locale) === 'rtl');
+  if (rtlLocales.length > 0) {
+    physicalStyles = scanForPhysicalStyles(sourceDirs);
+    const descriptions = physicalStyles
+      .map(finding => `${finding.found} → ${finding.suggestion} (${formatLocation(finding)})`);
+    printList(`Styles that do not mirror in ${rtlLocales.join(', ')}`, descriptions, strictRtl ? '❌' : '⚠️');
+    if (strictRtl) errorCount += physicalStyles.length;
+  }
+
+  if (errorCount > 0) {
+    console.log(`\n❌ ${errorCount} i18n problem(s) found`);
+  } else {
+    console.log('\n✅ All translation keys are consistent');
+  }
+  return { errorCount, missingKeys, unusedKeys, locales: localeResults, physicalStyles };
+}
+
+module.exports = {
+  lint,
+};
+
+if (require.main === module) {
+  try {
+    const { errorCount } = lint(parseArgs());
+    if (errorCount > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -3,26 +3,42 @@
 /**
  * setup-i18n.js
  *
- * Adds i18n to Next.js using next-intl (without i18n routing).
+ * Adds i18n to Next.js using next-intl (without i18n routing unless --routing is given). The App
+ * Router (app/), the Pages Router (pages/) and projects using both are detected and set up.
  * 
  * This script performs the following actions:
  *
  *  A. Create or update next-intl.config.js using supported locales computed
  *     from DEFAULT_LOCALE and DEFAULT_ADDITIONAL_LOCALES.
  *
- *  B. (Documentation Only) Leaves next.config.js untouched (no URL‑based locale).
+ *  B. Pages Router only: add the locales to next.config.js (i18n). App Router projects keep
+ *     next.config.js untouched (no URL‑based locale).
  *
  *  C. Create or update the i18n request configuration file (request.ts) so that translations
- *     are loaded from your LOCALE_FOLDER (which is now "messages").
+ *     are loaded from your LOCALE_FOLDER (which is now "messages"). Without --routing it picks the
+ *     locale from the NEXT_LOCALE cookie, then Accept-Language, then DEFAULT_LOCALE; the cookie is
+ *     set by the setUserLocale server action (i18n/locale.ts).
+ *
+ *  C2. With --routing, generate the next-intl routing definition (i18n/routing.ts), navigation
+ *      helpers (i18n/navigation.ts) and middleware.ts, move app/* under app/[locale]/ and add
+ *      generateStaticParams for every locale to its layout.
+ *
+ *  C3. Pages Router: generate i18n/messages.ts (loadMessages), wrap pages/_app with
+ *      NextIntlClientProvider and make every page return its messages from getStaticProps.
  *
  *  D. Create or update the translation folder (in "messages") with example common.json files.
  *
  *  E. Patch your RootLayout (in the app folder) via AI so that it wraps children with
- *     NextIntlClientProvider.
+ *     NextIntlClientProvider and sets <html dir> from the locale (i18n/direction.ts), so Arabic,
+ *     Hebrew, ... render right to left.
  *
- *  F. Optionally run AI‑based i18n refactoring/auto‑translation on your pages/components.
+ *  F. Optionally run AI‑based i18n refactoring/auto‑translation on your pages/components. With a
+ *     right-to-left locale, styles that will not mirror (ml-4, text-left, margin-left, ...) are
+ *     reported with their logical equivalents (see rtlStyles.js).
  *
- *  G. Create a LanguagePicker component in your components directory.
+ *  G. Create a LanguagePicker component in your components directory: a <select> of every locale in
+ *     its own language that switches through setUserLocale (or the locale prefix with --routing).
+ *     With vitest or jest and @testing-library/react, a LanguagePicker.test.tsx comes with it.
  *
  *  H. Optionally run a build check.
  *
@@ -32,17 +48,19 @@
  *         module.exports = {
  *           locales: [SUPPORTED_LOCALES],
  *           defaultLocale: '<DEFAULT_LOCALE>',
- *           pages: { '*': ['common'] }
+ *           messagesLayout: 'directory',
+ *           messageFiles: {}
  *         };
  *
  *   - The request.ts file (using getRequestConfig from next-intl/server) will be created in src/i18n (if exists)
- *     or in i18n/ otherwise.
+ *     or in i18n/ otherwise. It merges every message file of the locale (see messageStore.js).
  *
- *   - The translation folder will be created as "messages" with a common.json per locale.
+ *   - The translation folder will be created as "messages" with a common.json per locale
+ *     (or a <locale>.json per locale with --messages-layout flat).
  *
  *   - The RootLayout (in app/) will be patched via AI so that it imports and wraps children with NextIntlClientProvider.
  *
- *   - A basic LanguagePicker component will be created.
+ *   - A LanguagePicker component will be created from the configured locales.
  *
  *   - In the AI prompt for refactoring, only user-facing strings are targeted (developer-only strings like those in console.log() are skipped).
  *
@@ -51,29 +69,85 @@
  * Options:
  *   -y, --yes             Run unattended (accept defaults)
  *   -h, --help            Show help message
+ *   --config <file>       Project config file (default: nextjs-utils.config.json or .js, see projectConfig.js)
  *   -m, --model           Specify OpenAI model (default: gpt-4o-mini)
  *   -c, --concurrency     Max concurrent OpenAI requests (default: 30)
  *   -l, --locale          Default locale (default: es)
  *   -a, --locales         Comma-separated additional locales (default: en,fr,de,zh,ar,pt,ru,ja)
  *   -f, --folder          Locale folder path (default: messages)
+ *   --messages-layout     directory (messages/<locale>/<file>.json) or flat (messages/<locale>.json)
+ *   --routing <mode>      Locale in the URL: prefix (/en/about), as-needed (no prefix for the default
+ *                         locale) or domains (one domain per locale). Default: no URL routing
+ *   --domains <list>      Domains for --routing domains, e.g. en=example.com,fr=example.fr
+ *   --router <router>     app, pages or hybrid (both). Default: detected from app/ and pages/
  *   -p, --package-manager Which package manager to use (yarn|npm|pnpm) (default: yarn)
+ *   --provider            Translation provider (openai|deepl|libretranslate|google) (default: openai)
+ *   --tm <file>           Translation memory file (default: .translation-memory.json next to the locale folder)
+ *   --no-tm               Do not read or write the translation memory
+ *   --glossary <file>     Glossary of required and do-not-translate terms (default: i18n-glossary.json)
+ *   --base-url            OpenAI-compatible API base URL (e.g. http://localhost:11434/v1 for Ollama)
+ *   --auth-header         Header used to send OPENAI_API_KEY (default: Authorization, "none" to disable)
+ *   --model-capabilities  Request parameters the model accepts (max-tokens|max-completion-tokens,
+ *                         temperature|no-temperature, json-schema|json-object|no-response-format)
+ *   --record <dir>        Save every AI request and response in <dir>, keyed by prompt hash
+ *   --replay <dir>        Answer AI requests from a --record folder without network (see openaiClient.js)
  *   -v, --verbose         Enable verbose mode
  *   --dry-run             Only calculate token usage & cost; skip OpenAI calls
+ *   --codemod             Refactor with the offline AST codemod instead of OpenAI
+ *   --preview             Show colored per-file diffs of the refactor without writing anything
+ *   --patch <file>        Write the refactor as a unified .patch file without touching the sources
+ *   --interactive         Accept, reject or edit every refactored file and proposed key before writing
+ *   --branch [name]       Run on a new git work branch (default name: i18n/setup-<timestamp>)
+ *   --force               Run even if the git working tree has uncommitted changes
+ *   --no-git              Disable the dirty-tree check and the per-step git commits
+ *   --undo                Revert every commit made by the last run
  *   --pages-dir           Manually specify your Next.js pages/app directory
  *   --components-dir      Manually specify your Next.js components directory
+ *   --key-strategy        How the AI names new keys: purpose (header_title) or text (welcome_back)
+ *   --include <glob>      Only refactor matching files (repeatable)
+ *   --exclude <glob>      Never refactor matching files (repeatable)
+ *   --steps <toggles>     Turn setup steps on or off, e.g. install=false,build=false
  *   -b, --build-only      Skip i18n setup steps & jump to build checks
  *
  * Environment variable:
- *   OPENAI_API_KEY  Your OpenAI API key must be set.
+ *   OPENAI_API_KEY  Your OpenAI API key must be set (unless OPENAI_BASE_URL points to a local server).
+ *   OPENAI_BASE_URL, OPENAI_AUTH_HEADER, OPENAI_MODEL_CAPABILITIES  Same as the flags above.
+ *   OPENAI_RECORD_DIR, OPENAI_REPLAY_DIR  Same as --record and --replay.
+ *   DEEPL_API_KEY, LIBRETRANSLATE_URL, GOOGLE_TRANSLATE_API_KEY  Credentials for the other
+ *                   translation providers (only used for auto-translation).
+ *   I18N_LOCALES, I18N_STEPS, ...  Every setting of the config file (see projectConfig.js).
+ *
+ * Precedence: defaults < nextjs-utils.config.{json,js} < environment variables < flags.
+ *
+ * Programmatic use (see index.js): requiring this file runs nothing.
+ *
+ *     const setup = require('./makeMultilingual');
+ *     setup.configure({ defaultLocale: 'en', locales: ['en', 'fr'], git: false });
+ *     setup.stepCreateLocalesFolder();
+ *     const success = await setup.run({ steps: { install: false } });
  *
- * NOTE: next.config.js is NOT updated by this script.
+ * NOTE: next.config.js is only updated for the Pages Router.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-
-let fetch; // Dynamically imported if needed
+const { DEFAULT_PROVIDER, PROVIDER_NAMES, createTranslationProvider } = require('./translationProviders');
+const { isScannerAvailable, scanSource, formatScanCounts } = require('./i18nScanner');
+const { codemodFile } = require('./i18nCodemod');
+const { extractTranslationUsages, collectMessageKeys } = require('./i18nUsage');
+const { createUnifiedDiff, colorizeDiff, reviewChanges } = require('./refactorPreview');
+const { loadTranslationLock } = require('./translationLock');
+const { getDefaultMemoryPath, createTranslationMemory, formatMemoryStats } = require('./translationMemory');
+const { compareMessages } = require('./icuMessage');
+const { loadGlossary, mergeGlossaryRules } = require('./glossary');
+const { loadLocaleStyles, getLocaleStyle, getStyleId, loadMessageMeta } = require('./translationContext');
+const { LAYOUTS, DEFAULT_LAYOUT, DEFAULT_FILE, loadMessagesConfig, createMessageStore } = require('./messageStore');
+const { isGitRepository, ensureCleanWorkingTree, startRun, commitStep, undoLastRun } = require('./gitSafety');
+const { RTL_LANGUAGES, getTextDirection, scanForPhysicalStyles } = require('./rtlStyles');
+const { configureOpenAIClient, resetOpenAIClient, getOpenAIClientConfig, checkOpenAIConfig, createChatCompletion } = require('./openaiClient');
+const { parseJsonReply } = require('./jsonReply');
+const { STEP_NAMES, KEY_STRATEGIES, parseStepToggles, checkSettings, loadProjectConfig, createPathFilter } = require('./projectConfig');
 
 // -------------------------------------------------------------------------------------
 // Default / Reference Config
@@ -85,10 +159,17 @@ const DEFAULTS = {
   DEFAULT_ADDITIONAL_LOCALES: 'en,fr,de,zh,ar,pt,ru,ja',
   LOCALE_FOLDER: 'messages', // Using "messages" per App Router setup without i18n routing
   PACKAGE_MANAGER: 'yarn',
+  MAX_ICU_RETRIES: 2,
+  KEY_STRATEGY: 'purpose',
 };
 
 const PAGES_CANDIDATES = ['pages', 'src/pages', 'app', 'src/app'];
 const COMPONENTS_CANDIDATES = ['components', 'src/components'];
+// --routing modes and the next-intl localePrefix each one uses
+const ROUTING_MODES = { prefix: 'always', 'as-needed': 'as-needed', domains: 'as-needed' };
+// Next.js routers: app/ (App Router), pages/ (Pages Router) or both in a project that is migrating
+const ROUTERS = ['app', 'pages', 'hybrid'];
+const NEXT_CONFIG_FILES = ['next.config.js', 'next.config.mjs', 'next.config.ts', 'next.config.cjs'];
 
 const COST_PER_1K_TOKENS = {
   input: { 'gpt-4o': 0.0025, 'gpt-4o-mini': 0.00015, 'gpt-4': 0.03 },
@@ -100,23 +181,124 @@ const TASK = {
   FIX_ERROR: 'FIX_ERROR',
   EXTRACT_ERRORS: 'EXTRACT_ERRORS',
   PROCESS_ROOT_LAYOUT: 'PROCESS_ROOT_LAYOUT',
+  PROCESS_PAGES_APP: 'PROCESS_PAGES_APP',
+};
+
+// JSON of the AI reply per TASK (the structure each prompt asks for), sent as response_format
+// where the endpoint supports it and checked on every reply. "updatedCode" may be left out
+// when nothing changes; an empty one is caught by validateUpdatedCode().
+const UPDATED_FILE_SCHEMA = {
+  type: 'object',
+  properties: { needsUpdate: { type: 'boolean' }, updatedCode: { type: 'string' } },
+  required: ['needsUpdate'],
+};
+const TASK_SCHEMAS = {
+  REFACTOR: {
+    type: 'object',
+    properties: {
+      ...UPDATED_FILE_SCHEMA.properties,
+      locales: { type: 'object' },
+      descriptions: { type: 'object', additionalProperties: { type: 'string' } },
+    },
+    required: ['needsUpdate'],
+  },
+  FIX_ERROR: {
+    type: 'object',
+    properties: { fixExplanation: { type: 'string' }, updatedCode: { type: 'string' } },
+    required: ['fixExplanation', 'updatedCode'],
+  },
+  EXTRACT_ERRORS: {
+    type: 'object',
+    properties: {
+      extractedErrors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { filePath: { type: 'string' }, errorType: { type: 'string' }, errorDescription: { type: 'string' } },
+          required: ['filePath', 'errorDescription'],
+        },
+      },
+    },
+    required: ['extractedErrors'],
+  },
+  PROCESS_ROOT_LAYOUT: UPDATED_FILE_SCHEMA,
+  PROCESS_PAGES_APP: UPDATED_FILE_SCHEMA,
 };
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-let UNATTENDED = false;
-let OPENAI_MODEL = DEFAULTS.OPENAI_MODEL;
-let MAX_CONCURRENT_REQUESTS = DEFAULTS.MAX_CONCURRENT_REQUESTS;
-let DEFAULT_LOCALE = DEFAULTS.DEFAULT_LOCALE;
-let ADDITIONAL_LOCALES = DEFAULTS.DEFAULT_ADDITIONAL_LOCALES;
-let LOCALE_FOLDER = DEFAULTS.LOCALE_FOLDER;
-let PACKAGE_MANAGER = DEFAULTS.PACKAGE_MANAGER;
-let DRY_RUN = false;
-let VERBOSE = false;
-let PAGES_DIR_OVERRIDE = null;
-let COMPONENTS_DIR_OVERRIDE = null;
-let BUILD_ONLY = false;
-let TRANSLATE_ONLY = false;
+// Options, set by the flags (parseArgs) or configure(); resetOptions() holds the defaults
+let UNATTENDED;
+let OPENAI_MODEL;
+let MAX_CONCURRENT_REQUESTS;
+let DEFAULT_LOCALE;
+let ADDITIONAL_LOCALES;
+let LOCALE_FOLDER;
+let MESSAGES_LAYOUT;
+let ROUTING;
+let DOMAINS;
+let ROUTER;
+let PACKAGE_MANAGER;
+let DRY_RUN;
+let CODEMOD;
+let PREVIEW;
+let PATCH_FILE;
+let INTERACTIVE;
+let GIT_ENABLED;
+let FORCE;
+let WORK_BRANCH;
+let UNDO;
+let TRANSLATION_MEMORY_PATH;
+let USE_TRANSLATION_MEMORY;
+let GLOSSARY_PATH;
+let VERBOSE;
+let PAGES_DIR_OVERRIDE;
+let COMPONENTS_DIR_OVERRIDE;
+let BUILD_ONLY;
+let TRANSLATE_ONLY;
+let TRANSLATION_PROVIDER;
+let KEY_STRATEGY;
+let INCLUDE;
+let EXCLUDE;
+let STEPS;
+let CONFIG_PATH;
+
+function resetOptions() {
+  UNATTENDED = false;
+  OPENAI_MODEL = DEFAULTS.OPENAI_MODEL;
+  MAX_CONCURRENT_REQUESTS = DEFAULTS.MAX_CONCURRENT_REQUESTS;
+  DEFAULT_LOCALE = DEFAULTS.DEFAULT_LOCALE;
+  ADDITIONAL_LOCALES = DEFAULTS.DEFAULT_ADDITIONAL_LOCALES;
+  LOCALE_FOLDER = DEFAULTS.LOCALE_FOLDER;
+  MESSAGES_LAYOUT = null;
+  ROUTING = null;
+  DOMAINS = {};
+  ROUTER = null;
+  PACKAGE_MANAGER = DEFAULTS.PACKAGE_MANAGER;
+  DRY_RUN = false;
+  CODEMOD = false;
+  PREVIEW = false;
+  PATCH_FILE = null;
+  INTERACTIVE = false;
+  GIT_ENABLED = true;
+  FORCE = false;
+  WORK_BRANCH = null;
+  UNDO = false;
+  TRANSLATION_MEMORY_PATH = null;
+  USE_TRANSLATION_MEMORY = true;
+  GLOSSARY_PATH = null;
+  VERBOSE = false;
+  PAGES_DIR_OVERRIDE = null;
+  COMPONENTS_DIR_OVERRIDE = null;
+  BUILD_ONLY = false;
+  TRANSLATE_ONLY = false;
+  TRANSLATION_PROVIDER = process.env.TRANSLATION_PROVIDER || DEFAULT_PROVIDER;
+  KEY_STRATEGY = DEFAULTS.KEY_STRATEGY;
+  INCLUDE = [];
+  EXCLUDE = [];
+  // Steps of the setup, turned off with "steps" in the config file, I18N_STEPS or --steps
+  STEPS = Object.fromEntries(STEP_NAMES.map(name => [name, true]));
+  CONFIG_PATH = null;
+}
+resetOptions();
 
 // Compute supported locales (will be updated interactively if not unattended)
 let SUPPORTED_LOCALES = [
@@ -134,25 +316,174 @@ Usage: ${path.basename(process.argv[1])} [options]
 Options:
   -y, --yes               Run unattended (accept defaults)
   -h, --help              Show this help message
+  --config <file>         Project config file (default: nextjs-utils.config.json or nextjs-utils.config.js)
   -m, --model             Specify OpenAI model (default: ${DEFAULTS.OPENAI_MODEL})
   -c, --concurrency       Max concurrent OpenAI requests (default: ${DEFAULTS.MAX_CONCURRENT_REQUESTS})
   -l, --locale            Default locale (default: ${DEFAULTS.DEFAULT_LOCALE})
   -a, --locales           Comma-separated additional locales (default: ${DEFAULTS.DEFAULT_ADDITIONAL_LOCALES})
   -f, --folder            Locale folder path (default: ${DEFAULTS.LOCALE_FOLDER})
+  --messages-layout       ${LAYOUTS.join('|')}: messages/<locale>/<file>.json or messages/<locale>.json
+                          (default: messagesLayout in next-intl.config.js, else ${DEFAULT_LAYOUT})
+  --routing <mode>        Put the locale in the URL: ${Object.keys(ROUTING_MODES).join('|')} (default: no URL routing)
+  --router <router>       Next.js router to set up: ${ROUTERS.join('|')} (default: detected from app/ and pages/)
+  --domains <list>        Domain of each locale for --routing domains, e.g. en=example.com,fr=example.fr
   -p, --package-manager   Which package manager to use (yarn|npm|pnpm) (default: ${DEFAULTS.PACKAGE_MANAGER})
+  --provider              Translation provider: ${PROVIDER_NAMES.join('|')} (default: ${DEFAULT_PROVIDER})
+  --tm <file>             Translation memory file (default: .translation-memory.json next to the locale folder)
+  --no-tm                 Do not read or write the translation memory
+  --glossary <file>       Glossary of required and do-not-translate terms (default: i18n-glossary.json)
+  --base-url              OpenAI-compatible API base URL (e.g. http://localhost:11434/v1 for Ollama)
+  --auth-header           Header used to send OPENAI_API_KEY (default: Authorization, "none" to disable)
+  --model-capabilities    Request parameters the model accepts, e.g. "max-tokens,temperature"
+  --record <dir>          Save every AI request and response in <dir>, keyed by prompt hash
+  --replay <dir>          Answer AI requests from a --record folder, without network
   -v, --verbose           Enable verbose mode
   --dry-run               Only calculate token usage & cost; skip OpenAI calls
+  --codemod               Refactor with the offline AST codemod instead of OpenAI (needs @babel/parser)
+  --preview               Show colored per-file diffs of the refactor without writing anything
+  --patch <file>          Write the refactor as a unified .patch file without touching the sources
+  --interactive           Accept, reject or edit every refactored file and proposed key before writing
+  --branch [name]         Run on a new git work branch (default name: i18n/setup-<timestamp>)
+  --force                 Run even if the git working tree has uncommitted changes
+  --no-git                Disable the dirty-tree check and the per-step git commits
+  --undo                  Revert every commit made by the last run
   --pages-dir             Manually specify your Next.js pages/app directory
   --components-dir        Manually specify your Next.js components directory
+  --key-strategy          How new keys are named: ${KEY_STRATEGIES.join('|')} (default: ${DEFAULTS.KEY_STRATEGY})
+  --include <glob>        Only refactor matching files, repeatable (e.g. "app/**")
+  --exclude <glob>        Never refactor matching files, repeatable (e.g. "**/*.stories.tsx")
+  --steps <toggles>       Turn setup steps on or off, e.g. install=false,build=false
+                          (${STEP_NAMES.join(', ')})
   -b, --build-only        Skip i18n setup steps & jump to build checks
-  --translate-only, -t    Skip setup steps & only do auto-translation of common.json
-
-Environment variable:
-  OPENAI_API_KEY          Your OpenAI API key must be set.
+  --translate-only, -t    Skip setup steps & only do auto-translation of the default locale's messages
+
+Environment variables:
+  OPENAI_API_KEY            Your OpenAI API key must be set (unless OPENAI_BASE_URL points to a local server).
+  OPENAI_BASE_URL           OpenAI-compatible API base URL (default: https://api.openai.com/v1)
+  OPENAI_RECORD_DIR, OPENAI_REPLAY_DIR  Same as --record and --replay
+  DEEPL_API_KEY             Required by the deepl provider (DEEPL_API_URL to use the pro endpoint)
+  LIBRETRANSLATE_URL        LibreTranslate server (default: http://localhost:5000)
+  GOOGLE_TRANSLATE_API_KEY  Required by the google provider
+  I18N_DEFAULT_LOCALE, I18N_LOCALES, I18N_STEPS, ...  Override the config file (see projectConfig.js)
+
+Precedence: defaults < config file < environment variables < flags.
 `);
 }
 
+/** Settings of nextjs-utils.config.{json,js} and the environment; flags are applied afterwards. */
+function applyProjectConfig() {
+  try {
+    const { settings, configPath } = loadProjectConfig(process.argv.slice(2));
+    CONFIG_PATH = configPath;
+    applySettings(settings);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/** Applies project settings (the keys of the config file, see projectConfig.js). Throws on invalid values. */
+function applySettings(settings) {
+  if (settings.defaultLocale) DEFAULT_LOCALE = settings.defaultLocale;
+  if (settings.locales) ADDITIONAL_LOCALES = settings.locales.filter(locale => locale !== DEFAULT_LOCALE).join(',');
+  if (settings.localeFolder) LOCALE_FOLDER = settings.localeFolder;
+  if (settings.messagesLayout) MESSAGES_LAYOUT = settings.messagesLayout;
+  if (settings.routing) {
+    if (!ROUTING_MODES[settings.routing]) {
+      throw new Error(`Unknown routing mode: ${settings.routing} (expected ${Object.keys(ROUTING_MODES).join(', ')})`);
+    }
+    ROUTING = settings.routing;
+  }
+  if (settings.router) {
+    if (!ROUTERS.includes(settings.router)) {
+      throw new Error(`Unknown router: ${settings.router} (expected ${ROUTERS.join(', ')})`);
+    }
+    ROUTER = settings.router;
+  }
+  if (settings.domains) DOMAINS = { ...settings.domains };
+  if (settings.provider) TRANSLATION_PROVIDER = settings.provider;
+  if (settings.model) OPENAI_MODEL = settings.model;
+  configureOpenAIClient({
+    baseUrl: settings.baseUrl,
+    authHeader: settings.authHeader,
+    capabilities: settings.modelCapabilities,
+  });
+  if (settings.concurrency) MAX_CONCURRENT_REQUESTS = settings.concurrency;
+  if (settings.translationMemory === false) USE_TRANSLATION_MEMORY = false;
+  else if (settings.translationMemory) TRANSLATION_MEMORY_PATH = settings.translationMemory;
+  if (settings.glossary) GLOSSARY_PATH = settings.glossary;
+  if (settings.packageManager) PACKAGE_MANAGER = settings.packageManager;
+  if (settings.keyStrategy) KEY_STRATEGY = settings.keyStrategy;
+  if (settings.include) INCLUDE = settings.include;
+  if (settings.exclude) EXCLUDE = settings.exclude;
+  if (settings.include || settings.exclude) pathFilter = null;
+  if (settings.steps) Object.assign(STEPS, settings.steps);
+}
+
+// Options of configure() besides the project settings, with the flag each one stands for
+const RUN_OPTIONS = {
+  config: () => {},
+  unattended: (value) => { UNATTENDED = value; }, // -y
+  verbose: (value) => { VERBOSE = value; }, // --verbose
+  dryRun: (value) => { DRY_RUN = value; }, // --dry-run
+  codemod: (value) => { CODEMOD = value; }, // --codemod
+  preview: (value) => { PREVIEW = value; }, // --preview
+  patch: (value) => { PATCH_FILE = value; }, // --patch <file>
+  interactive: (value) => { INTERACTIVE = value; }, // --interactive
+  branch: (value) => { WORK_BRANCH = value; }, // --branch [name]
+  force: (value) => { FORCE = value; }, // --force
+  git: (value) => { GIT_ENABLED = value; }, // --no-git
+  undo: (value) => { UNDO = value; }, // --undo
+  pagesDir: (value) => { PAGES_DIR_OVERRIDE = value; }, // --pages-dir
+  componentsDir: (value) => { COMPONENTS_DIR_OVERRIDE = value; }, // --components-dir
+  buildOnly: (value) => { BUILD_ONLY = value; }, // --build-only
+  translateOnly: (value) => { TRANSLATE_ONLY = value; }, // --translate-only
+  record: (value) => { configureOpenAIClient({ record: value }); }, // --record <dir>
+  replay: (value) => { configureOpenAIClient({ replay: value }); }, // --replay <dir>
+};
+
+/**
+ * Sets the options of run() and the exported steps, the programmatic counterpart of the flags:
+ * any project setting (defaultLocale, locales, steps, ...) plus the RUN_OPTIONS above.
+ * Every call starts from the defaults, so nothing carries over from an earlier configure() or
+ * run(options) in the same process. nextjs-utils.config.{json,js} is read first unless
+ * `config: false` (`config: '<file>'` reads another file), so the precedence is the CLI's with
+ * the options in place of the flags. Programmatic runs never prompt unless `unattended: false`
+ * is given. Throws on invalid options.
+ */
+function configure(options = {}) {
+  const settings = {};
+  const runOptions = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (RUN_OPTIONS[key]) runOptions[key] = value;
+    else settings[key] = value;
+  }
+  checkSettings(settings, 'configure() options');
+  resetOptions();
+  resetOpenAIClient();
+  // Built from the previous options on first use
+  pathFilter = null;
+  messagesConfig = undefined;
+  translationProvider = undefined;
+  translationMemory = undefined;
+  glossary = undefined;
+  localeStyles = undefined;
+  messageMeta = undefined;
+  gitCommitsEnabled = false;
+  if (options.config !== false) {
+    const loaded = loadProjectConfig(options.config ? ['--config', options.config] : []);
+    CONFIG_PATH = loaded.configPath;
+    applySettings(loaded.settings);
+  }
+  applySettings(settings);
+  UNATTENDED = true;
+  for (const [key, value] of Object.entries(runOptions)) RUN_OPTIONS[key](value);
+}
+
 function parseArgs() {
+  // Repeated --include/--exclude flags replace the lists of the config file
+  const includeFlags = [];
+  const excludeFlags = [];
   const args = process.argv.slice(2);
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -161,6 +492,10 @@ function parseArgs() {
       case '--yes':
         UNATTENDED = true;
         break;
+      case '--config':
+        // Read by applyProjectConfig()
+        i++;
+        break;
       case '-h':
       case '--help':
         printHelp();
@@ -190,11 +525,81 @@ function parseArgs() {
         LOCALE_FOLDER = args[i + 1];
         i++;
         break;
+      case '--messages-layout':
+        MESSAGES_LAYOUT = args[i + 1];
+        i++;
+        if (!LAYOUTS.includes(MESSAGES_LAYOUT)) {
+          console.error(`Unknown messages layout: ${MESSAGES_LAYOUT} (expected ${LAYOUTS.join(' or ')})`);
+          process.exit(1);
+        }
+        break;
+      case '--routing':
+        ROUTING = args[i + 1];
+        i++;
+        if (!ROUTING_MODES[ROUTING]) {
+          console.error(`Unknown routing mode: ${ROUTING} (expected ${Object.keys(ROUTING_MODES).join(', ')})`);
+          process.exit(1);
+        }
+        break;
+      case '--router':
+        ROUTER = args[i + 1];
+        i++;
+        if (!ROUTERS.includes(ROUTER)) {
+          console.error(`Unknown router: ${ROUTER} (expected ${ROUTERS.join(', ')})`);
+          process.exit(1);
+        }
+        break;
+      case '--domains':
+        for (const pair of (args[i + 1] || '').split(',').filter(Boolean)) {
+          const [locale, domain] = pair.split('=').map(part => part.trim());
+          if (!locale || !domain) {
+            console.error(`Invalid --domains entry: ${pair} (expected <locale>=<domain>)`);
+            process.exit(1);
+          }
+          DOMAINS[locale] = domain;
+        }
+        i++;
+        break;
       case '-p':
       case '--package-manager':
         PACKAGE_MANAGER = args[i + 1];
         i++;
         break;
+      case '--provider':
+        TRANSLATION_PROVIDER = args[i + 1];
+        i++;
+        break;
+      case '--tm':
+        TRANSLATION_MEMORY_PATH = args[i + 1];
+        i++;
+        break;
+      case '--no-tm':
+        USE_TRANSLATION_MEMORY = false;
+        break;
+      case '--glossary':
+        GLOSSARY_PATH = args[i + 1];
+        i++;
+        break;
+      case '--base-url':
+        configureOpenAIClient({ baseUrl: args[i + 1] });
+        i++;
+        break;
+      case '--auth-header':
+        configureOpenAIClient({ authHeader: args[i + 1] });
+        i++;
+        break;
+      case '--model-capabilities':
+        configureOpenAIClient({ capabilities: args[i + 1] });
+        i++;
+        break;
+      case '--record':
+        configureOpenAIClient({ record: args[i + 1] });
+        i++;
+        break;
+      case '--replay':
+        configureOpenAIClient({ replay: args[i + 1] });
+        i++;
+        break;
       case '-v':
       case '--verbose':
         VERBOSE = true;
@@ -202,6 +607,36 @@ function parseArgs() {
       case '--dry-run':
         DRY_RUN = true;
         break;
+      case '--codemod':
+        CODEMOD = true;
+        break;
+      case '--preview':
+        PREVIEW = true;
+        break;
+      case '--patch':
+        PATCH_FILE = args[i + 1];
+        i++;
+        break;
+      case '--interactive':
+        INTERACTIVE = true;
+        break;
+      case '--branch':
+        if (args[i + 1] && !args[i + 1].startsWith('-')) {
+          WORK_BRANCH = args[i + 1];
+          i++;
+        } else {
+          WORK_BRANCH = true;
+        }
+        break;
+      case '--force':
+        FORCE = true;
+        break;
+      case '--no-git':
+        GIT_ENABLED = false;
+        break;
+      case '--undo':
+        UNDO = true;
+        break;
       case '--pages-dir':
         PAGES_DIR_OVERRIDE = args[i + 1];
         i++;
@@ -210,6 +645,31 @@ function parseArgs() {
         COMPONENTS_DIR_OVERRIDE = args[i + 1];
         i++;
         break;
+      case '--key-strategy':
+        KEY_STRATEGY = args[i + 1];
+        i++;
+        if (!KEY_STRATEGIES.includes(KEY_STRATEGY)) {
+          console.error(`Unknown key strategy: ${KEY_STRATEGY} (expected ${KEY_STRATEGIES.join(', ')})`);
+          process.exit(1);
+        }
+        break;
+      case '--include':
+        includeFlags.push(args[i + 1]);
+        i++;
+        break;
+      case '--exclude':
+        excludeFlags.push(args[i + 1]);
+        i++;
+        break;
+      case '--steps':
+        try {
+          Object.assign(STEPS, parseStepToggles(args[i + 1] || ''));
+        } catch (err) {
+          console.error(err.message);
+          process.exit(1);
+        }
+        i++;
+        break;
       case '-b':
       case '--build-only':
         BUILD_ONLY = true;
@@ -225,9 +685,9 @@ function parseArgs() {
         process.exit(1);
     }
   }
+  if (includeFlags.length > 0) INCLUDE = includeFlags;
+  if (excludeFlags.length > 0) EXCLUDE = excludeFlags;
 }
-parseArgs();
-
 // -------------------------------------------------------------------------------------
 // Basic Prompt Helper
 // -------------------------------------------------------------------------------------
@@ -258,7 +718,7 @@ async function stepPromptForLocales() {
 function getAllLocales() {
   const splitted = ADDITIONAL_LOCALES.split(',');
   const trimmed = splitted.map((loc) => loc.trim()).filter(Boolean);
-  return [DEFAULT_LOCALE, ...trimmed];
+  return [...new Set([DEFAULT_LOCALE, ...trimmed])];
 }
 
 // -------------------------------------------------------------------------------------
@@ -269,7 +729,10 @@ function stepCreateNextIntlConfigFile() {
   const configContent = `module.exports = {
   locales: ${JSON.stringify(getAllLocales())},
   defaultLocale: '${DEFAULT_LOCALE}',
-  pages: { '*': ['common'] },
+  // "directory": ${LOCALE_FOLDER}/<locale>/<file>.json, "flat": ${LOCALE_FOLDER}/<locale>.json
+  messagesLayout: '${getMessagesConfig().layout}',
+  // File each namespace goes to, e.g. { checkout: ['Checkout', 'Cart'] }; new namespaces default to ${DEFAULT_FILE}.json
+  messageFiles: {},
 };
 `;
   if (!fs.existsSync(configPath)) {
@@ -281,66 +744,441 @@ function stepCreateNextIntlConfigFile() {
 }
 
 // -------------------------------------------------------------------------------------
-// Step B: (Documentation Only) Skip Updating next.config.js
+// Step B: Add the i18n Locales to next.config.js (Pages Router only)
 // -------------------------------------------------------------------------------------
-console.log('ℹ️ Skipping next.config.js update (using no URL path i18n).');
+/**
+ * With an i18n block in next.config.js the Pages Router routes the locales itself (/fr/about) and
+ * detects them from NEXT_LOCALE and Accept-Language. The App Router does not support it, so
+ * next.config.js stays untouched for app/ only projects.
+ */
+function stepUpdateNextConfig() {
+  if (getRouter() === 'app') {
+    console.log(ROUTING
+      ? `ℹ️ Skipping next.config.js update (URL routing "${ROUTING}" is handled by middleware.ts).`
+      : 'ℹ️ Skipping next.config.js update (using no URL path i18n).');
+    return;
+  }
+  if (ROUTING === 'prefix') {
+    console.warn('⚠️ The Pages Router serves the default locale without a prefix (/about). --routing prefix only applies to app/.');
+  }
+  const i18nConfig = getNextConfigI18n();
+  const configPath = NEXT_CONFIG_FILES.map(name => path.resolve(name)).find(fs.existsSync);
+  if (!configPath) {
+    fs.writeFileSync(path.resolve('next.config.js'), `
+/** @type {import('next').NextConfig} */
+const nextConfig = {
+${i18nConfig}
+};
+
+module.exports = nextConfig;
+`.trim() + '\n', 'utf8');
+    console.log('✅ Created next.config.js with the i18n locales');
+    return;
+  }
+  const code = fs.readFileSync(configPath, 'utf8');
+  if (/\bi18n\s*:/.test(code)) {
+    console.log(`ℹ️ ${path.basename(configPath)} already has an i18n block. Skipping update.`);
+    return;
+  }
+  // const nextConfig = {, module.exports = { or export default {
+  const configObject = [
+    /(?:const|let|var)\s+\w*[Cc]onfig\w*(?:\s*:\s*[\w.]+)?\s*=\s*\{/,
+    /module\.exports\s*=\s*\{/,
+    /export\s+default\s*\{/,
+  ].map(pattern => code.match(pattern)).find(Boolean);
+  if (!configObject) {
+    console.warn(`⚠️ Could not find the config object in ${configPath}. Add the locales to it by hand:\n${i18nConfig}`);
+    return;
+  }
+  const insertAt = configObject.index + configObject[0].length;
+  fs.writeFileSync(configPath, `${code.slice(0, insertAt)}\n${i18nConfig}${code.slice(insertAt)}`, 'utf8');
+  console.log(`✅ Added the i18n locales to ${configPath}`);
+}
+
+function getNextConfigI18n() {
+  const lines = [
+    '  i18n: {',
+    `    locales: ${JSON.stringify(getAllLocales())},`,
+    `    defaultLocale: '${DEFAULT_LOCALE}',`,
+  ];
+  if (ROUTING === 'domains') {
+    const locales = getAllLocales().filter(locale => DOMAINS[locale]);
+    if (locales.length < getAllLocales().length) {
+      console.warn('⚠️ Locales without a domain (--domains) are served from the path (/fr/about) in pages/.');
+    }
+    lines.push('    // Each domain serves its own locale', '    domains: [');
+    for (const locale of locales) lines.push(`      { domain: '${DOMAINS[locale]}', defaultLocale: '${locale}' },`);
+    lines.push('    ],');
+  }
+  lines.push('  },');
+  return lines.join('\n');
+}
 
 // -------------------------------------------------------------------------------------
 // Step C: Create or Update the Request Configuration File (request.ts)
 // -------------------------------------------------------------------------------------
 function stepCreateOrUpdateRequestTs() {
-  let baseFolder;
-  if (fs.existsSync(path.resolve('src'))) {
-    baseFolder = path.resolve('src/i18n');
-    // Create request.ts using NextIntl’s getRequestConfig
-    const requestTsPath = path.join(baseFolder, 'request.ts');
-    const content = `
-import { getRequestConfig } from 'next-intl/server';
-
-export default getRequestConfig(async () => {
-  // Here you can provide dynamic locale selection (e.g., via cookies)
-  const locale = '${DEFAULT_LOCALE}';
-  return {
-    locale,
-    messages: (await import(\`../../messages/\${locale}/common.json\`)).default
-  };
-});
-`.trim();
-    if (!fs.existsSync(requestTsPath)) {
-      if (!fs.existsSync(baseFolder)) {
-        fs.mkdirSync(baseFolder, { recursive: true });
+  const baseFolder = getI18nFolder();
+  if (!fs.existsSync(baseFolder)) {
+    fs.mkdirSync(baseFolder, { recursive: true });
+    console.log(`✅ Created i18n folder at ${baseFolder}`);
+  }
+  if (!ROUTING) {
+    // Locale list and cookie name shared by request.ts and the setUserLocale server action
+    writeIfMissing(path.join(baseFolder, 'config.ts'), getLocaleConfigTsContent());
+    writeIfMissing(path.join(baseFolder, 'locale.ts'), getLocaleActionTsContent());
+  }
+  const requestTsPath = path.join(baseFolder, 'request.ts');
+  const messageFiles = getRequestMessageFiles();
+  if (fs.existsSync(requestTsPath)) {
+    const existing = fs.readFileSync(requestTsPath, 'utf8');
+    const generated = [REQUEST_TS_LOCALE_PLACEHOLDER, REQUEST_TS_DETECTION_COMMENT].some(comment => existing.includes(comment));
+    if (ROUTING && !existing.includes('requestLocale')) {
+      if (generated) {
+        fs.writeFileSync(requestTsPath, getRequestTsContent(baseFolder, messageFiles), 'utf8');
+        console.log(`✅ Updated ${requestTsPath} to read the locale from the URL (requestLocale)`);
+      } else {
+        console.warn(`⚠️ ${requestTsPath} does not use requestLocale. Update getRequestConfig to read the locale from the URL: https://next-intl.dev/docs/routing/setup`);
       }
-      fs.writeFileSync(requestTsPath, content, 'utf8');
-      console.log(`✅ Created request.ts at ${requestTsPath}`);
-    } else {
+      return;
+    }
+    if (!ROUTING && existing.includes(REQUEST_TS_LOCALE_PLACEHOLDER)) {
+      // Generated by an older setup with a fixed locale
+      fs.writeFileSync(requestTsPath, getRequestTsContent(baseFolder, messageFiles), 'utf8');
+      console.log(`✅ Updated ${requestTsPath} to detect the locale (${LOCALE_COOKIE} cookie, Accept-Language, ${DEFAULT_LOCALE})`);
+      return;
+    }
+    if (!updateMessageFileList(requestTsPath, messageFiles)) {
       console.log(`ℹ️ request.ts already exists at ${requestTsPath}. Skipping creation.`);
     }
+    return;
+  }
+  fs.writeFileSync(requestTsPath, getRequestTsContent(baseFolder, messageFiles), 'utf8');
+  console.log(`✅ Created request.ts at ${requestTsPath}`);
+}
+
+/** src/i18n when the project has a src folder, i18n otherwise. */
+function getI18nFolder() {
+  return fs.existsSync(path.resolve('src')) ? path.resolve('src/i18n') : path.resolve('i18n');
+}
+
+// Comments that mark a request.ts written by this setup, so it can be regenerated: the fixed
+// locale of older versions, and the cookie / Accept-Language detection
+const REQUEST_TS_LOCALE_PLACEHOLDER = 'Here you can provide dynamic locale selection';
+const REQUEST_TS_DETECTION_COMMENT = 'The locale the user picked (setUserLocale), else the best match for the browser languages';
+// Same cookie name as the next-intl middleware, so switching to --routing later keeps the choice
+const LOCALE_COOKIE = 'NEXT_LOCALE';
+
+/** Message files request.ts merges: common, the files named in messageFiles and the ones that exist. */
+function getRequestMessageFiles() {
+  const files = new Set([DEFAULT_FILE, ...Object.keys(getMessagesConfig().files)]);
+  getMessageStore(LOCALE_FOLDER).listFiles(DEFAULT_LOCALE).forEach(({ file }) => files.add(file));
+  return [...files];
+}
+
+/** Keeps the MESSAGE_FILES list of a generated loader in sync with the message files that exist now. */
+function updateMessageFileList(filePath, messageFiles) {
+  const existing = fs.readFileSync(filePath, 'utf8');
+  const updated = existing.replace(/const MESSAGE_FILES = \[[^\]]*\];/, `const MESSAGE_FILES = ${JSON.stringify(messageFiles)};`);
+  if (updated === existing) return false;
+  fs.writeFileSync(filePath, updated, 'utf8');
+  console.log(`✅ Updated the message files loaded by ${filePath}: ${messageFiles.join(', ')}`);
+  return true;
+}
+
+function getRequestTsContent(baseFolder, messageFiles) {
+  const messagesPath = path.relative(baseFolder, path.resolve(LOCALE_FOLDER)).split(path.sep).join('/');
+  const imports = [`import { getRequestConfig } from 'next-intl/server';`];
+  let localeSelection;
+  if (ROUTING) {
+    imports.push(`import { hasLocale } from 'next-intl';`, `import { routing } from './routing';`);
+    localeSelection = `
+  // The [locale] segment of the URL (set by middleware.ts), if it is a known locale
+  const requested = await requestLocale;
+  const locale = hasLocale(routing.locales, requested) ? requested : routing.defaultLocale;`;
   } else {
-    // No src folder – create in i18n folder at root
-    baseFolder = path.resolve('i18n');
-    if (!fs.existsSync(baseFolder)) {
-      fs.mkdirSync(baseFolder, { recursive: true });
-      console.log(`✅ Created i18n folder at ${baseFolder}`);
-    }
-    const requestTsPath = path.join(baseFolder, 'request.ts');
-    const content = `
-import { getRequestConfig } from 'next-intl/server';
+    imports.unshift(`import { cookies, headers } from 'next/headers';`);
+    imports.push(
+      `import { hasLocale } from 'next-intl';`,
+      `import { defaultLocale, localeCookie, locales, type Locale } from './config';`,
+      `
+/** The configured locale that best matches an Accept-Language header ("fr-CH, fr;q=0.9, en;q=0.8"). */
+function negotiateLocale(acceptLanguage: string | null): Locale | undefined {
+  const requested = (acceptLanguage || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().toLowerCase().split(';');
+      const quality = params.find((param) => param.trim().startsWith('q='));
+      return { tag: tag.trim(), q: quality ? parseFloat(quality.trim().slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q);
+  for (const { tag } of requested) {
+    // Exact match first ("pt-br"), then the same language ("fr-ch" -> "fr")
+    const match = locales.find((locale) => locale.toLowerCase() === tag)
+      ?? locales.find((locale) => locale.toLowerCase().split('-')[0] === tag.split('-')[0]);
+    if (match) return match;
+  }
+  return undefined;
+}`
+    );
+    localeSelection = `
+  // ${REQUEST_TS_DETECTION_COMMENT}, else the default
+  const cookieLocale = (await cookies()).get(localeCookie)?.value;
+  const locale = hasLocale(locales, cookieLocale)
+    ? cookieLocale
+    : negotiateLocale((await headers()).get('accept-language')) ?? defaultLocale;`;
+  }
+  const configParams = ROUTING ? '{ requestLocale }' : '';
+
+  if (getMessagesConfig().layout === 'flat') {
+    return `
+${imports.join('\n')}
 
-export default getRequestConfig(async () => {
-  const locale = '${DEFAULT_LOCALE}';
+export default getRequestConfig(async (${configParams}) => {${localeSelection}
   return {
     locale,
-    messages: (await import(\`../messages/\${locale}.json\`)).default
+    messages: (await import(\`${messagesPath}/\${locale}.json\`)).default
   };
 });
-`.trim();
-    if (!fs.existsSync(requestTsPath)) {
-      fs.writeFileSync(requestTsPath, content, 'utf8');
-      console.log(`✅ Created request.ts at ${requestTsPath}`);
-    } else {
-      console.log(`ℹ️ request.ts already exists at ${requestTsPath}. Skipping creation.`);
+`.trim() + '\n';
+  }
+  return `
+${imports.join('\n')}
+
+// Every file holds top-level namespaces; add new files here (or re-run the setup)
+const MESSAGE_FILES = ${JSON.stringify(messageFiles)};
+
+export default getRequestConfig(async (${configParams}) => {${localeSelection}
+  // A locale may not have every file yet; its missing namespaces fall back to the keys
+  const files = await Promise.all(
+    MESSAGE_FILES.map((file) => import(\`${messagesPath}/\${locale}/\${file}.json\`).then((m) => m.default, () => ({})))
+  );
+  return {
+    locale,
+    messages: Object.assign({}, ...files)
+  };
+});
+`.trim() + '\n';
+}
+
+function getLocaleConfigTsContent() {
+  return `
+export const locales = ${JSON.stringify(getAllLocales())} as const;
+
+export type Locale = (typeof locales)[number];
+
+export const defaultLocale: Locale = '${DEFAULT_LOCALE}';
+
+// Remembers the locale picked with setUserLocale (i18n/locale.ts)
+export const localeCookie = '${LOCALE_COOKIE}';
+`.trim() + '\n';
+}
+
+function getLocaleActionTsContent() {
+  return `
+'use server';
+
+import { cookies } from 'next/headers';
+import { hasLocale } from 'next-intl';
+import { localeCookie, locales } from './config';
+
+/**
+ * Switches the language: stores the locale in a cookie that request.ts reads on every request.
+ * Call it from a client component (e.g. the LanguagePicker): setting the cookie re-renders the page.
+ */
+export async function setUserLocale(locale: string) {
+  if (!hasLocale(locales, locale)) throw new Error(\`Unsupported locale: \${locale}\`);
+  (await cookies()).set(localeCookie, locale, { path: '/', maxAge: 60 * 60 * 24 * 365, sameSite: 'lax' });
+}
+`.trim() + '\n';
+}
+
+// -------------------------------------------------------------------------------------
+// Step C2: Locale-Prefixed Routing (--routing)
+// -------------------------------------------------------------------------------------
+// Entries that stay directly in app/: route handlers, metadata files and global-error (which
+// renders its own <html>). Everything else moves under app/[locale]/.
+const APP_ROOT_ENTRIES = [
+  /^\[locale\]$/,
+  /^api$/,
+  /^favicon\.ico$/,
+  /^(robots|sitemap|manifest)\.\w+$/,
+  /^(icon|apple-icon)\d*\.\w+$/,
+  /^global-error\.\w+$/,
+];
+const RELATIVE_IMPORT_PATTERN = /(\bfrom\s*|\bimport\s*\(\s*|\brequire\s*\(\s*|\bimport\s+)(['"])(\.{1,2}\/[^'"]*)\2/g;
+
+function stepSetupLocaleRouting() {
+  const baseFolder = getI18nFolder();
+  fs.mkdirSync(baseFolder, { recursive: true });
+  writeIfMissing(path.join(baseFolder, 'routing.ts'), getRoutingTsContent());
+  writeIfMissing(path.join(baseFolder, 'navigation.ts'), `
+import { createNavigation } from 'next-intl/navigation';
+import { routing } from './routing';
+
+// Locale-aware wrappers around Next.js navigation: <Link href="/about" locale="fr">, router.replace(pathname, { locale })
+export const { Link, redirect, usePathname, useRouter, getPathname } = createNavigation(routing);
+`.trim() + '\n');
+
+  const appDir = findAppDir();
+  // middleware.ts has to sit next to app/ (src/middleware.ts for src/app)
+  const middlewareDir = appDir ? path.dirname(appDir) : process.cwd();
+  const existingMiddleware = ['middleware.ts', 'middleware.js'].map(name => path.join(middlewareDir, name)).find(fs.existsSync);
+  if (existingMiddleware) {
+    if (!fs.readFileSync(existingMiddleware, 'utf8').includes('next-intl/middleware')) {
+      console.warn(`⚠️ ${existingMiddleware} already exists. Call createMiddleware(routing) from 'next-intl/middleware' in it: https://next-intl.dev/docs/routing/middleware`);
+    }
+  } else {
+    writeIfMissing(path.join(middlewareDir, 'middleware.ts'), `
+import createMiddleware from 'next-intl/middleware';
+import { routing } from '${toImportPath(middlewareDir, path.join(baseFolder, 'routing'))}';
+
+export default createMiddleware(routing);
+
+export const config = {
+  // Every path except API routes, Next.js internals and files with an extension (favicon.ico, ...)
+  matcher: '/((?!api|trpc|_next|_vercel|.*\\\\..*).*)'
+};
+`.trim() + '\n');
+  }
+
+  if (!appDir) {
+    console.log('ℹ️ No app directory found. Skipping the move to app/[locale].');
+    return;
+  }
+  moveAppIntoLocaleSegment(appDir);
+  addGenerateStaticParams(path.join(appDir, '[locale]'), baseFolder);
+}
+
+function getRoutingTsContent() {
+  const locales = getAllLocales();
+  const options = [
+    `  locales: ${JSON.stringify(locales)},`,
+    `  defaultLocale: '${DEFAULT_LOCALE}',`,
+    {
+      prefix: `  // Every URL starts with the locale: /${DEFAULT_LOCALE}/about, /${locales[1] || DEFAULT_LOCALE}/about`,
+      'as-needed': `  // The default locale has no prefix: /about, /${locales[1] || DEFAULT_LOCALE}/about`,
+      domains: '  // No prefix for the default locale of each domain',
+    }[ROUTING],
+    `  localePrefix: '${ROUTING_MODES[ROUTING]}',`,
+  ];
+  if (ROUTING === 'domains') {
+    const missing = locales.filter(locale => !DOMAINS[locale]);
+    if (missing.length > 0) {
+      console.warn(`⚠️ No domain given for ${missing.join(', ')} (--domains). Replace the example.com placeholders in routing.ts.`);
+    }
+    options.push('  // Each domain serves its own locale', '  domains: [');
+    for (const locale of locales) {
+      options.push(`    { domain: '${DOMAINS[locale] || `${locale}.example.com`}', defaultLocale: '${locale}', locales: ['${locale}'] },`);
+    }
+    options.push('  ],');
+  }
+  return `
+import { defineRouting } from 'next-intl/routing';
+
+export const routing = defineRouting({
+${options.join('\n')}
+});
+`.trim() + '\n';
+}
+
+function writeIfMissing(filePath, content) {
+  if (fs.existsSync(filePath)) {
+    console.log(`ℹ️ ${filePath} already exists. Skipping creation.`);
+    return false;
+  }
+  fs.writeFileSync(filePath, content, 'utf8');
+  console.log(`✅ Created ${filePath}`);
+  return true;
+}
+
+/** Relative module specifier from `fromDir` to `target` (no extension), e.g. "../i18n/routing". */
+function toImportPath(fromDir, target) {
+  const relative = path.relative(fromDir, target).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function findAppDir() {
+  return ['app', 'src/app'].map(dir => path.resolve(dir))
+    .find(dir => fs.existsSync(dir) && fs.lstatSync(dir).isDirectory());
+}
+
+/**
+ * Moves the pages and layouts of app/ into app/[locale]/. Relative imports that point outside
+ * the moved files (../components/Nav) are rewritten for their new depth.
+ */
+function moveAppIntoLocaleSegment(appDir) {
+  const localeDir = path.join(appDir, '[locale]');
+  const entries = fs.readdirSync(appDir).filter(name => !APP_ROOT_ENTRIES.some(pattern => pattern.test(name)));
+  if (entries.length === 0) {
+    console.log(`ℹ️ Nothing to move into ${localeDir}.`);
+    return;
+  }
+  if (DRY_RUN) {
+    console.log(`💡 [DRY-RUN] Would move ${entries.join(', ')} into ${localeDir}`);
+    return;
+  }
+  const movedRoots = entries.map(name => path.join(appDir, name));
+  const isMoved = target => movedRoots.some(root =>
+    target === root || target.startsWith(root + path.sep) || target === root.replace(/\.\w+$/, ''));
+
+  fs.mkdirSync(localeDir, { recursive: true });
+  for (const oldRoot of movedRoots) {
+    const newRoot = path.join(localeDir, path.basename(oldRoot));
+    for (const oldPath of listFilesRecursive(oldRoot)) {
+      if (!/\.(m?js|jsx|ts|tsx)$/.test(oldPath)) continue;
+      const newPath = path.join(newRoot, path.relative(oldRoot, oldPath));
+      const code = fs.readFileSync(oldPath, 'utf8');
+      const updated = code.replace(RELATIVE_IMPORT_PATTERN, (match, prefix, quote, specifier) => {
+        const target = path.resolve(path.dirname(oldPath), specifier);
+        if (isMoved(target)) return match;
+        return `${prefix}${quote}${toImportPath(path.dirname(newPath), target)}${quote}`;
+      });
+      if (updated !== code) fs.writeFileSync(oldPath, updated, 'utf8');
     }
+    fs.renameSync(oldRoot, newRoot);
   }
+  console.log(`✅ Moved ${entries.join(', ')} into ${localeDir}`);
+}
+
+function listFilesRecursive(target) {
+  if (!fs.lstatSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target).flatMap(name => listFilesRecursive(path.join(target, name)));
+}
+
+/** Inserts an import statement after the last import, or after a 'use client' / 'use server' directive. */
+function addImport(code, statement) {
+  const statements = [...code.matchAll(/^(?:import\s[^;]*?from\s*['"][^'"]+['"]|import\s*['"][^'"]+['"]|['"]use (?:client|server)['"]);?[^\S\n]*$/gm)];
+  if (statements.length === 0) return `${statement}\n\n${code}`;
+  const last = statements[statements.length - 1];
+  const insertAt = last.index + last[0].length;
+  return `${code.slice(0, insertAt)}\n${statement}${code.slice(insertAt)}`;
+}
+
+function addGenerateStaticParams(localeDir, baseFolder) {
+  const layoutPath = ['layout.tsx', 'layout.jsx', 'layout.ts', 'layout.js']
+    .map(name => path.join(localeDir, name)).find(fs.existsSync);
+  if (!layoutPath) {
+    console.log(`ℹ️ No layout in ${localeDir}. Add generateStaticParams to it once it exists.`);
+    return;
+  }
+  const code = fs.readFileSync(layoutPath, 'utf8');
+  if (code.includes('generateStaticParams')) return;
+  if (DRY_RUN) {
+    console.log(`💡 [DRY-RUN] Would add generateStaticParams to ${layoutPath}`);
+    return;
+  }
+  const routingImport = `import { routing } from '${toImportPath(localeDir, path.join(baseFolder, 'routing'))}';`;
+  const updated = `${addImport(code, routingImport).trimEnd()}
+
+// Pre-render every locale
+export function generateStaticParams() {
+  return routing.locales.map((locale) => ({ locale }));
+}
+`;
+  fs.writeFileSync(layoutPath, updated, 'utf8');
+  console.log(`✅ Added generateStaticParams for ${getAllLocales().join(', ')} to ${layoutPath}`);
 }
 
 // -------------------------------------------------------------------------------------
@@ -355,13 +1193,14 @@ function stepCreateLocalesFolder() {
     console.log(`Created folder: ${LOCALE_FOLDER}`);
   }
   allLocales.forEach((locale) => {
-    const localeDir = path.join(LOCALE_FOLDER, locale);
+    const store = getMessageStore(LOCALE_FOLDER);
+    const commonJson = store.getFilePath(locale);
+    const localeDir = path.dirname(commonJson);
     if (!fs.existsSync(localeDir)) {
       fs.mkdirSync(localeDir, { recursive: true });
       console.log(`Created folder: ${localeDir}`);
     }
-    const commonJson = path.join(localeDir, 'common.json');
-    if (!fs.existsSync(commonJson)) {
+    if (!store.exists(locale)) {
       // Create an example file – you can adjust the content as needed
       fs.writeFileSync(commonJson, '{}', 'utf8');
       console.log(`Created '${commonJson}'`);
@@ -380,32 +1219,77 @@ async function stepInjectNextIntlProviderInRootLayout() {
   }
   console.log(`📝 Checking RootLayout: ${rootLayoutPath}`);
   const fileContent = fs.readFileSync(rootLayoutPath, 'utf8');
+  if (DRY_RUN) {
+    if (!fileContent.includes('NextIntlClientProvider')) console.log(`💡 [DRY-RUN] Would inject NextIntlClientProvider into ${rootLayoutPath}`);
+    return;
+  }
+  writeIfMissing(path.join(getI18nFolder(), 'direction.ts'), getDirectionTsContent());
   if (fileContent.includes('NextIntlClientProvider')) {
     console.log(`✅ NextIntlClientProvider already present in RootLayout. Skipping injection.`);
-    return;
+  } else {
+    console.log(`⚙️ NextIntlClientProvider not found. Using AI to patch RootLayout...`);
+    const result = await processFileWithOpenAI(TASK.PROCESS_ROOT_LAYOUT, rootLayoutPath);
+    console.log({result})
+    if (result && result.needsUpdate && result.updatedCode) {
+      fs.writeFileSync(rootLayoutPath, result.updatedCode, 'utf8');
+      console.log(`✅ Updated RootLayout with NextIntlClientProvider.`);
+    } else {
+      console.log('ℹ️ No changes made to RootLayout.');
+    }
   }
-  if (DRY_RUN) {
-    console.log(`💡 [DRY-RUN] Would inject NextIntlClientProvider into ${rootLayoutPath}`);
+  addHtmlDir(rootLayoutPath);
+}
+
+function getDirectionImportPath() {
+  const rootLayoutPath = findRootLayout();
+  return toImportPath(rootLayoutPath ? path.dirname(rootLayoutPath) : process.cwd(), path.join(getI18nFolder(), 'direction'));
+}
+
+function getDirectionTsContent() {
+  return `
+// Languages written right to left (the language part of the locale: ar-EG -> ar)
+const RTL_LANGUAGES = ${JSON.stringify(RTL_LANGUAGES)};
+
+/** Text direction of a locale, for <html dir>: "rtl" for Arabic, Hebrew, Persian, ... */
+export function getDirection(locale: string): 'ltr' | 'rtl' {
+  return RTL_LANGUAGES.includes(locale.split(/[-_]/)[0].toLowerCase()) ? 'rtl' : 'ltr';
+}
+`.trim() + '\n';
+}
+
+/**
+ * Adds dir={getDirection(locale)} to <html lang={locale}> when the layout (patched by AI or by
+ * hand) has none, so right-to-left locales are laid out right to left.
+ */
+function addHtmlDir(rootLayoutPath) {
+  const code = fs.readFileSync(rootLayoutPath, 'utf8');
+  const htmlTag = code.match(/<html\b[^>]*>/);
+  if (!htmlTag || /\bdir=/.test(htmlTag[0])) return;
+  const lang = htmlTag[0].match(/\blang=\{([\w.]+)\}/);
+  if (!lang) {
+    console.warn(`⚠️ Could not find <html lang={locale}> in ${rootLayoutPath}. Set dir={getDirection(locale)} on <html> by hand for right-to-left locales.`);
     return;
   }
-  console.log(`⚙️ NextIntlClientProvider not found. Using AI to patch RootLayout...`);
-  const result = await processFileWithOpenAI(TASK.PROCESS_ROOT_LAYOUT, rootLayoutPath);
-  console.log({result})
-  if (result && result.needsUpdate && result.updatedCode) {
-    fs.writeFileSync(rootLayoutPath, result.updatedCode, 'utf8');
-    console.log(`✅ Updated RootLayout with NextIntlClientProvider.`);
-  } else {
-    console.log('ℹ️ No changes made to RootLayout.');
+  const withDir = htmlTag[0].replace(lang[0], `${lang[0]} dir={getDirection(${lang[1]})}`);
+  let updated = code.replace(htmlTag[0], withDir);
+  if (!/\bgetDirection\b/.test(code)) {
+    updated = addImport(updated, `import { getDirection } from '${getDirectionImportPath()}';`);
   }
+  fs.writeFileSync(rootLayoutPath, updated, 'utf8');
+  console.log(`✅ Set <html dir> from the locale in ${rootLayoutPath}`);
 }
 
 function findRootLayout() {
-  const appDir = path.resolve('app');
-  if (!fs.existsSync(appDir) || !fs.lstatSync(appDir).isDirectory()) return null;
+  const appDir = findAppDir();
+  if (!appDir) return null;
+  // With --routing the root layout lives in app/[locale]
+  const layoutDirs = [path.join(appDir, '[locale]'), appDir];
   const candidates = ['layout.js', 'layout.jsx', 'layout.ts', 'layout.tsx'];
-  for (const candidate of candidates) {
-    const fullPath = path.join(appDir, candidate);
-    if (fs.existsSync(fullPath)) return fullPath;
+  for (const layoutDir of layoutDirs) {
+    for (const candidate of candidates) {
+      const fullPath = path.join(layoutDir, candidate);
+      if (fs.existsSync(fullPath)) return fullPath;
+    }
   }
   return null;
 }
@@ -427,9 +1311,204 @@ Return ONLY valid JSON with this structure:
 `.trim();
 }
 
+// -------------------------------------------------------------------------------------
+// Step C3: Pages Router: NextIntlClientProvider in _app, Messages From getStaticProps
+// -------------------------------------------------------------------------------------
+// Files in pages/ that are not pages (custom App, Document and Error, tests)
+const PAGES_SPECIAL_FILES = /^_(app|document|error)\.|\.(test|spec)\.[jt]sx?$/;
+
+async function stepSetupPagesRouter(pagesRouterDir) {
+  const baseFolder = getI18nFolder();
+  fs.mkdirSync(baseFolder, { recursive: true });
+  const loaderPath = path.join(baseFolder, 'messages.ts');
+  const messageFiles = getRequestMessageFiles();
+  if (fs.existsSync(loaderPath)) {
+    updateMessageFileList(loaderPath, messageFiles);
+  } else {
+    fs.writeFileSync(loaderPath, getMessagesLoaderContent(baseFolder, messageFiles), 'utf8');
+    console.log(`✅ Created ${loaderPath}`);
+  }
+
+  await injectProviderInPagesApp(pagesRouterDir);
+  const rtlLocales = getAllLocales().filter(locale => getTextDirection(locale) === 'rtl');
+  if (rtlLocales.length > 0) addDocumentDir(pagesRouterDir, rtlLocales);
+
+  const pages = listFilesRecursive(pagesRouterDir).filter(file => /\.[jt]sx?$/.test(file)
+    && !file.endsWith('.d.ts')
+    && !PAGES_SPECIAL_FILES.test(path.basename(file))
+    && !path.relative(pagesRouterDir, file).split(path.sep).includes('api'));
+  const updated = pages.filter(addPageMessages);
+  console.log(updated.length > 0
+    ? `✅ Pages loading their messages: ${updated.map(file => path.relative(pagesRouterDir, file)).join(', ')}`
+    : 'ℹ️ Every page already loads its messages.');
+}
+
+function getMessagesLoaderContent(baseFolder, messageFiles) {
+  const messagesPath = path.relative(baseFolder, path.resolve(LOCALE_FOLDER)).split(path.sep).join('/');
+  const doc = `
+/**
+ * Messages of a locale for getStaticProps / getServerSideProps (Pages Router); pages/_app passes
+ * pageProps.messages to NextIntlClientProvider:
+ *
+ *   return { props: { messages: await loadMessages(context.locale) } };
+ */`;
+  if (getMessagesConfig().layout === 'flat') {
+    return `
+${doc.trim()}
+export async function loadMessages(locale: string | undefined) {
+  return (await import(\`${messagesPath}/\${locale ?? '${DEFAULT_LOCALE}'}.json\`)).default;
+}
+`.trim() + '\n';
+  }
+  return `
+// Every file holds top-level namespaces; add new files here (or re-run the setup)
+const MESSAGE_FILES = ${JSON.stringify(messageFiles)};
+${doc}
+export async function loadMessages(locale: string | undefined) {
+  // A locale may not have every file yet; its missing namespaces fall back to the keys
+  const files = await Promise.all(
+    MESSAGE_FILES.map((file) => import(\`${messagesPath}/\${locale ?? '${DEFAULT_LOCALE}'}/\${file}.json\`).then((m) => m.default, () => ({})))
+  );
+  return Object.assign({}, ...files);
+}
+`.trim() + '\n';
+}
+
+/** pages/_app.* or pages/_document.*, if the project has one. */
+function findPagesFile(pagesRouterDir, name) {
+  return ['.tsx', '.jsx', '.ts', '.js'].map(ext => path.join(pagesRouterDir, `${name}${ext}`)).find(fs.existsSync);
+}
+
+async function injectProviderInPagesApp(pagesRouterDir) {
+  const appPath = findPagesFile(pagesRouterDir, '_app');
+  if (!appPath) {
+    writeIfMissing(path.join(pagesRouterDir, '_app.tsx'), `
+import type { AppProps } from 'next/app';
+import { useRouter } from 'next/router';
+import { NextIntlClientProvider } from 'next-intl';
+
+export default function App({ Component, pageProps }: AppProps) {
+  // The locale comes from the URL (next.config.js i18n), the messages from the page's getStaticProps
+  const { locale } = useRouter();
+  return (
+    <NextIntlClientProvider locale={locale} messages={pageProps.messages}>
+      <Component {...pageProps} />
+    </NextIntlClientProvider>
+  );
+}
+`.trim() + '\n');
+    return;
+  }
+  if (fs.readFileSync(appPath, 'utf8').includes('NextIntlClientProvider')) {
+    console.log(`✅ NextIntlClientProvider already present in ${appPath}. Skipping injection.`);
+    return;
+  }
+  if (DRY_RUN) {
+    console.log(`💡 [DRY-RUN] Would inject NextIntlClientProvider into ${appPath}`);
+    return;
+  }
+  console.log(`⚙️ NextIntlClientProvider not found. Using AI to patch ${appPath}...`);
+  const result = await processFileWithOpenAI(TASK.PROCESS_PAGES_APP, appPath);
+  if (result && result.needsUpdate && result.updatedCode) {
+    fs.writeFileSync(appPath, result.updatedCode, 'utf8');
+    console.log(`✅ Updated ${appPath} with NextIntlClientProvider.`);
+  } else {
+    console.log(`ℹ️ No changes made to ${appPath}.`);
+  }
+}
+
+/** <Html dir> for right-to-left locales; Next.js already sets lang from the i18n locale. */
+function addDocumentDir(pagesRouterDir, rtlLocales) {
+  const baseFolder = getI18nFolder();
+  writeIfMissing(path.join(baseFolder, 'direction.ts'), getDirectionTsContent());
+  const documentPath = findPagesFile(pagesRouterDir, '_document');
+  if (!documentPath) {
+    writeIfMissing(path.join(pagesRouterDir, '_document.tsx'), `
+import { Head, Html, Main, NextScript, type DocumentProps } from 'next/document';
+import { getDirection } from '${toImportPath(pagesRouterDir, path.join(baseFolder, 'direction'))}';
+
+export default function Document({ locale }: DocumentProps) {
+  return (
+    <Html dir={getDirection(locale ?? '${DEFAULT_LOCALE}')}>
+      <Head />
+      <body>
+        <Main />
+        <NextScript />
+      </body>
+    </Html>
+  );
+}
+`.trim() + '\n');
+    return;
+  }
+  if (!/<Html\b[^>]*\bdir=/.test(fs.readFileSync(documentPath, 'utf8'))) {
+    console.warn(`⚠️ ${documentPath} sets no <Html dir>. Add dir={getDirection(locale)} (i18n/direction.ts) so ${rtlLocales.join(', ')} render right to left.`);
+  }
+}
+
+/**
+ * Makes a page return its messages: adds getStaticProps, or wraps the page's own getStaticProps /
+ * getServerSideProps so its props carry them too. Returns whether the page was updated.
+ */
+function addPageMessages(pagePath) {
+  const code = fs.readFileSync(pagePath, 'utf8');
+  if (/\bloadMessages\b/.test(code) || !/\bexport\s+default\b/.test(code)) return false;
+  const relativePath = path.relative(process.cwd(), pagePath);
+  if (/\bgetInitialProps\b/.test(code)) {
+    console.warn(`⚠️ ${relativePath} uses getInitialProps. Return messages: await loadMessages(locale) from it by hand.`);
+    return false;
+  }
+  const ownDataFunction = code.match(/export\s+(?:async\s+)?function\s+(getStaticProps|getServerSideProps)\b|export\s+const\s+(getStaticProps|getServerSideProps)\b/);
+  // Dynamic routes ([slug]) can only use getStaticProps together with getStaticPaths
+  if (!ownDataFunction && relativePath.includes('[') && !/\bgetStaticPaths\b/.test(code)) {
+    console.warn(`⚠️ ${relativePath} has no getStaticPaths. Return messages: await loadMessages(locale) from its data function by hand.`);
+    return false;
+  }
+  const typed = /\.tsx?$/.test(pagePath);
+  const dataFunction = ownDataFunction ? ownDataFunction[1] || ownDataFunction[2] : 'getStaticProps';
+  const contextType = dataFunction === 'getStaticProps' ? 'GetStaticPropsContext' : 'GetServerSidePropsContext';
+  let updated = code;
+  let body;
+  if (ownDataFunction) {
+    const pageDataFunction = `${dataFunction}WithoutMessages`;
+    updated = code.replace(ownDataFunction[0], ownDataFunction[0].replace(/^export\s+/, '').replace(dataFunction, pageDataFunction));
+    body = `
+export async function ${dataFunction}(context${typed ? `: ${contextType}` : ''}) {
+  const result = await ${pageDataFunction}(context);
+  if (!('props' in result)) return result;
+  return { ...result, props: { ...(await result.props), messages: await loadMessages(context.locale) } };
+}`;
+  } else {
+    body = `
+export async function getStaticProps({ locale }${typed ? `: ${contextType}` : ''}) {
+  return { props: { messages: await loadMessages(locale) } };
+}`;
+  }
+  if (typed && !new RegExp(`\\b${contextType}\\b`).test(code)) {
+    const nextTypeImport = updated.match(/import\s+type\s*\{([^}]*)\}\s*from\s*['"]next['"]/);
+    updated = nextTypeImport
+      ? updated.replace(nextTypeImport[0], nextTypeImport[0].replace(nextTypeImport[1], `${nextTypeImport[1].trimEnd()}, ${contextType} `))
+      : addImport(updated, `import type { ${contextType} } from 'next';`);
+  }
+  updated = addImport(updated, `import { loadMessages } from '${toImportPath(path.dirname(pagePath), path.join(getI18nFolder(), 'messages'))}';`);
+  fs.writeFileSync(pagePath, `${updated.trimEnd()}
+
+// Messages of the page's locale for NextIntlClientProvider (pages/_app)${body}
+`, 'utf8');
+  return true;
+}
+
 // -------------------------------------------------------------------------------------
 // Step F: AI-Based i18n Refactoring & Auto-Translation (Optional)
 // -------------------------------------------------------------------------------------
+let pathFilter = null;
+
+/** False for files left out by the include/exclude globs (config file, --include, --exclude). */
+function isPathIncluded(filePath) {
+  if (!pathFilter) pathFilter = createPathFilter(INCLUDE, EXCLUDE);
+  return pathFilter(filePath);
+}
+
 function getEligibleFiles(dir) {
   let results = [];
   const ignoredDirs = ['node_modules', '.next', '.git', 'dist', 'build'];
@@ -441,9 +1520,10 @@ function getEligibleFiles(dir) {
       results = results.concat(getEligibleFiles(fullPath));
     } else if (entry.isFile()) {
       const ext = path.extname(fullPath);
-      if (validExtensions.includes(ext)) {
-        const content = fs.readFileSync(fullPath, 'utf8');
-        if (/<[a-zA-Z]/.test(content) && !content.includes('useTranslations') && !content.includes('t(["') && !content.includes("t('")) {
+      if (validExtensions.includes(ext) && !fullPath.endsWith('.d.ts')) {
+        if (!isPathIncluded(fullPath)) {
+          if (VERBOSE) console.log(`- Skipping excluded file: ${fullPath}`);
+        } else if (isFileEligible(fullPath)) {
           results.push(fullPath);
         } else if (VERBOSE) {
           console.log(`- Skipping non-matching file: ${fullPath}`);
@@ -454,13 +1534,46 @@ function getEligibleFiles(dir) {
   return results;
 }
 
+let warnedAboutScanner = false;
+
+/**
+ * A file is eligible when the AST scan finds at least one untranslated user-facing literal.
+ * Falls back to the legacy regex heuristic when @babel/parser cannot be resolved.
+ */
+function isFileEligible(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (!isScannerAvailable()) {
+    if (!warnedAboutScanner) {
+      console.warn('⚠️ @babel/parser not found. Falling back to the regex-based eligibility check.');
+      warnedAboutScanner = true;
+    }
+    return /<[a-zA-Z]/.test(content) && !content.includes('useTranslations') && !content.includes('t(["') && !content.includes("t('");
+  }
+  let scan;
+  try {
+    scan = scanSource(content, filePath);
+  } catch (err) {
+    console.warn(`⚠️ Could not parse ${filePath}: ${err.message}`);
+    return false;
+  }
+  if (scan.counts.total === 0) return false;
+  console.log(`📄 ${filePath}: ${formatScanCounts(scan.counts)}`);
+  if (VERBOSE) {
+    for (const literal of scan.literals) {
+      console.log(`   L${literal.line} [${literal.attribute || literal.kind}] ${literal.value}`);
+    }
+  }
+  return true;
+}
+
 async function runRefactorAndTranslations(directoriesToScan) {
-  if (!fetch) {
-    const { default: f } = await import('node-fetch');
-    fetch = f;
+  if (CODEMOD && !isScannerAvailable()) {
+    console.error('❌ Error: --codemod needs @babel/parser. Install it in your project (e.g. yarn add -D @babel/parser).');
+    return [];
   }
-  if (!OPENAI_API_KEY) {
-    console.error('❌ Error: OPENAI_API_KEY is not set.');
+  const configError = CODEMOD ? null : checkOpenAIConfig();
+  if (configError) {
+    console.error(`❌ Error: ${configError}`);
     return [];
   }
   let eligibleFiles = [];
@@ -472,9 +1585,13 @@ async function runRefactorAndTranslations(directoriesToScan) {
   if (eligibleFiles.length === 0) {
     console.log('✅ No eligible files found for i18n refactoring. Skipping auto-translation...');
   } else {
-    console.log(`Found ${eligibleFiles.length} file(s) to process with OpenAI...`);
+    console.log(`Found ${eligibleFiles.length} file(s) to process with ${CODEMOD ? 'the codemod' : 'OpenAI'}...`);
     if (VERBOSE) console.log('Files to refactor:', eligibleFiles);
   }
+  if (CODEMOD) {
+    // No AI calls, so there is nothing to estimate or confirm
+    return DRY_RUN ? [] : eligibleFiles;
+  }
   if (DRY_RUN) {
     await doApproximateCostCheck(eligibleFiles, true);
     return [];
@@ -490,8 +1607,10 @@ async function runRefactorAndTranslations(directoriesToScan) {
 
 async function doApproximateCostCheck(eligibleFiles, isDryRunMode) {
   const approxTokensNeeded = estimateTokensForFiles(eligibleFiles);
-  const inputRate = COST_PER_1K_TOKENS.input[OPENAI_MODEL] || 0.03;
-  const outputRate = COST_PER_1K_TOKENS.output[OPENAI_MODEL] || 0.03;
+  // Self-hosted OpenAI-compatible endpoints have no per-token cost
+  const { isDefaultEndpoint } = getOpenAIClientConfig();
+  const inputRate = isDefaultEndpoint ? COST_PER_1K_TOKENS.input[OPENAI_MODEL] || 0.03 : 0;
+  const outputRate = isDefaultEndpoint ? COST_PER_1K_TOKENS.output[OPENAI_MODEL] || 0.03 : 0;
   const approxInputCost = (approxTokensNeeded / 1000) * inputRate;
   const approxOutputCost = (approxTokensNeeded / 1000) * outputRate;
   console.log(`\n--- COST ESTIMATE ---`);
@@ -540,6 +1659,9 @@ function mergeObjects(target, source) {
 
 async function processFiles(files) {
   const allNewKeys = {};
+  // Shared by every codemod call so that keys stay unique across files
+  const knownMessages = CODEMOD ? readDefaultMessages() : null;
+  const changes = [];
   const batches = [];
   for (let i = 0; i < files.length; i += MAX_CONCURRENT_REQUESTS) {
     batches.push(files.slice(i, i + MAX_CONCURRENT_REQUESTS));
@@ -548,11 +1670,23 @@ async function processFiles(files) {
     await Promise.all(
       batch.map(async (filePath) => {
         try {
-          const result = await processFileWithOpenAI(TASK.REFACTOR, filePath);
+          const originalCode = fs.readFileSync(filePath, 'utf8');
+          const result = CODEMOD
+            ? codemodFile(filePath, { messages: knownMessages, doNotTranslate: getGlossary().doNotTranslate })
+            : await processFileWithOpenAI(TASK.REFACTOR, filePath);
+          if (CODEMOD && VERBOSE) {
+            for (const literal of result.skipped) {
+              console.log(`   Skipped ${filePath}:${literal.line} (outside a component): ${literal.value}`);
+            }
+          }
           if (result.needsUpdate) {
-            fs.writeFileSync(filePath, result.updatedCode, 'utf8');
-            console.log(`✅ Updated file: ${filePath}`);
-            mergeObjects(allNewKeys, result.locales);
+            changes.push({
+              filePath,
+              originalCode,
+              updatedCode: result.updatedCode,
+              locales: result.locales || {},
+              descriptions: result.descriptions || {},
+            });
           } else {
             console.log(`⏩ No update needed for ${filePath}`);
           }
@@ -562,77 +1696,133 @@ async function processFiles(files) {
       })
     );
   }
-  if (Object.keys(allNewKeys).length > 0) {
-    updateCommonJson(allNewKeys, getAllLocales());
+  changes.sort((a, b) => a.filePath.localeCompare(b.filePath));
+
+  if (PREVIEW || PATCH_FILE) {
+    previewChanges(changes);
+    return;
+  }
+  const accepted = INTERACTIVE ? await reviewChanges(changes, { promptUser }) : changes;
+  for (const change of accepted) {
+    fs.writeFileSync(change.filePath, change.updatedCode, 'utf8');
+    console.log(`✅ Updated file: ${change.filePath}`);
+    mergeObjects(allNewKeys, change.locales);
+  }
+  if (Object.keys(allNewKeys).length > 0) {
+    updateMessageFiles(allNewKeys, getAllLocales());
+    const messageMeta = getMessageMetaUpdate(accepted, allNewKeys);
+    messageMeta.save();
+    if (VERBOSE) console.log(`✅ Updated key descriptions in ${messageMeta.metaPath}`);
+  }
+}
+
+/** Loads common.meta.json with the descriptions of the proposed keys filled in (rejected keys are left out). */
+function getMessageMetaUpdate(changes, newKeys) {
+  const messageMeta = loadMessageMeta(getMessagesBaseFolder(), DEFAULT_LOCALE, getMessagesConfig().layout);
+  const keyPaths = new Set(collectLeaves(newKeys).map(leaf => leaf.keyPath.join('.')));
+  for (const change of changes) {
+    const descriptions = Object.entries(change.descriptions || {}).filter(([keyPath]) => keyPaths.has(keyPath));
+    messageMeta.fill(Object.fromEntries(descriptions));
+  }
+  return messageMeta;
+}
+
+/** Prints colored diffs (--preview) and/or writes them as a single patch file (--patch) without touching the sources. */
+function previewChanges(changes) {
+  const allNewKeys = {};
+  const diffs = [];
+  for (const change of changes) {
+    diffs.push(createUnifiedDiff(change.filePath, change.originalCode, change.updatedCode));
+    mergeObjects(allNewKeys, change.locales);
+  }
+  const metaUpdate = getMessageMetaUpdate(changes, allNewKeys).getUpdate();
+  for (const { filePath, before, after } of [...getMessageFileUpdates(allNewKeys, getAllLocales()), metaUpdate].filter(Boolean)) {
+    diffs.push(createUnifiedDiff(filePath, before, after));
+  }
+  const patch = diffs.filter(Boolean).join('');
+  if (!patch) {
+    console.log('ℹ️ The refactor did not propose any change.');
+    return;
+  }
+  if (PREVIEW) {
+    console.log(colorizeDiff(patch));
+  }
+  if (PATCH_FILE) {
+    fs.writeFileSync(PATCH_FILE, patch, 'utf8');
+    console.log(`✅ Wrote ${changes.length} file change(s) to ${PATCH_FILE}. Apply them with: git apply ${PATCH_FILE}`);
   }
 }
 
-function updateCommonJson(newKeys, locales) {
-  const baseFolder = fs.existsSync(path.resolve('src'))
+function getMessagesBaseFolder() {
+  return fs.existsSync(path.resolve('src'))
     ? path.join(path.resolve('src/i18n'), LOCALE_FOLDER)
     : LOCALE_FOLDER;
-  locales.forEach(locale => {
-    const commonFilePath = path.join(baseFolder, locale, 'common.json');
-    let currentTranslations = {};
-    if (fs.existsSync(commonFilePath)) {
-      currentTranslations = JSON.parse(fs.readFileSync(commonFilePath, 'utf8'));
-    }
-    const merged = { ...currentTranslations, ...newKeys };
-    if (!fs.existsSync(path.dirname(commonFilePath))) {
-      fs.mkdirSync(path.dirname(commonFilePath), { recursive: true });
-    }
-    fs.writeFileSync(commonFilePath, JSON.stringify(merged, null, 2), 'utf8');
-    console.log(`✅ Updated: ${commonFilePath}`);
+}
+
+let messagesConfig;
+
+/** messagesLayout/messageFiles from next-intl.config.js, --messages-layout taking precedence. */
+function getMessagesConfig() {
+  if (!messagesConfig) {
+    const config = loadMessagesConfig();
+    messagesConfig = { layout: MESSAGES_LAYOUT || config.layout || DEFAULT_LAYOUT, files: config.files || {} };
+  }
+  return messagesConfig;
+}
+
+function getMessageStore(folder) {
+  return createMessageStore(folder, { ...getMessagesConfig(), referenceLocale: DEFAULT_LOCALE });
+}
+
+function readDefaultMessages() {
+  return getMessageStore(getMessagesBaseFolder()).read(DEFAULT_LOCALE);
+}
+
+function getMessageFileUpdates(newKeys, locales) {
+  const store = getMessageStore(getMessagesBaseFolder());
+  return locales.flatMap(locale => {
+    // Deep merge: half-migrated components add keys to namespaces that already exist
+    const merged = mergeObjects(store.read(locale), newKeys);
+    return store.getUpdates(locale, merged);
   });
 }
 
+function updateMessageFiles(newKeys, locales) {
+  for (const { filePath, after } of getMessageFileUpdates(newKeys, locales)) {
+    if (!fs.existsSync(path.dirname(filePath))) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    fs.writeFileSync(filePath, after, 'utf8');
+    console.log(`✅ Updated: ${filePath}`);
+  }
+}
+
 
 async function processFileWithOpenAI(promptKey, filePath, retryCount = 0, errorMsg ="", previousFixIntents) {
   const prompt = getTaskPrompt(promptKey, fs.readFileSync(filePath, 'utf8'), retryCount + 1, errorMsg, previousFixIntents);
 
-  if (!fetch) {
-    const { default: f } = await import('node-fetch');
-    fetch = f;
-  }
-  const body = {
+  const gptMessage = await createChatCompletion(prompt, {
     model: OPENAI_MODEL,
-    messages: [{ role: 'user', content: prompt }],
-  };
-  if (OPENAI_MODEL.includes('gpt-')) {
-    body.max_tokens = 4096;
-    body.temperature = 0.2;
-  } else {
-    body.max_completion_tokens = 3000;
-  }
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-    },
-    body: JSON.stringify(body),
+    maxTokens: 4096,
+    temperature: 0.2,
+    responseFormat: { name: promptKey.toLowerCase(), schema: TASK_SCHEMAS[promptKey] },
   });
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`OpenAI API Error: ${response.status} - ${error}`);
-  }
-  const result = await response.json();
-  const gptMessage = result?.choices?.[0]?.message?.content;
   if (!gptMessage) throw new Error('No content returned from OpenAI.');
   let parsed;
   try {
-    parsed = JSON.parse(gptMessage.trim());
+    // Fenced or wrapped replies are repaired here instead of costing another request
+    parsed = parseJsonReply(gptMessage, TASK_SCHEMAS[promptKey]);
   } catch (err) {
     if (retryCount < 2) {
-      console.warn(`Retrying ${filePath} due to JSON parse error...`);
+      console.warn(`Retrying ${filePath}: ${err.message}`);
       return processFileWithOpenAI(promptKey, filePath, retryCount + 1, err.message);
     }
     throw new Error(`Failed to parse JSON: ${err.message}`);
   }
 
   if (parsed.needsUpdate) {
-    parsed.updatedCode = sanitizeCode(parsed.updatedCode);
-    const { valid, errorMsg } = validateUpdatedCode(parsed);
+    parsed.updatedCode = sanitizeCode(parsed.updatedCode || '');
+    const { valid, errorMsg } = validateUpdatedCode(parsed, filePath);
     if (!valid) {
       console.log(errorMsg)
       if (retryCount < 2) {
@@ -646,51 +1836,28 @@ async function processFileWithOpenAI(promptKey, filePath, retryCount = 0, errorM
 }
 
 async function processLogsWithOpenAI(logs, retryCount = 0) {
-  if (!fetch) {
-    const { default: f } = await import('node-fetch');
-    fetch = f;
-  }
   const promptText = getTaskPrompt(TASK.EXTRACT_ERRORS, logs, retryCount);
-  const body = {
-    model: OPENAI_MODEL,
-    messages: [{ role: 'user', content: promptText }],
-  };
-  if (OPENAI_API_KEY === undefined) {
-    throw new Error('OPENAI_API_KEY is not set.');
-  }
-  if (OPENAI_MODEL.includes('gpt-')) {
-    body.max_tokens = 4000;
-    body.temperature = 0.2;
-  } else {
-    body.max_completion_tokens = 3000;
+  const configError = checkOpenAIConfig();
+  if (configError) {
+    throw new Error(configError);
   }
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-    },
-    body: JSON.stringify(body),
+  const gptMessage = await createChatCompletion(promptText, {
+    model: OPENAI_MODEL,
+    maxTokens: 4000,
+    temperature: 0.2,
+    responseFormat: { name: 'extract_errors', schema: TASK_SCHEMAS.EXTRACT_ERRORS },
   });
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`OpenAI API Error: ${response.status} - ${error}`);
-  }
-  const result = await response.json();
-  const gptMessage = result?.choices?.[0]?.message?.content;
   if (!gptMessage) throw new Error('No content returned from OpenAI for log extraction.');
   let parsed;
   try {
-    parsed = JSON.parse(gptMessage.trim());
+    parsed = parseJsonReply(gptMessage, TASK_SCHEMAS.EXTRACT_ERRORS);
   } catch (err) {
     if (retryCount < 2) {
-      console.warn(`Retrying logs extraction due to JSON parse error...`);
+      console.warn(`Retrying logs extraction: ${err.message}`);
       return processLogsWithOpenAI(logs, retryCount + 1);
     }
     throw new Error(`Failed to parse JSON: ${err.message}`);
   }
-  if (!parsed.extractedErrors || !Array.isArray(parsed.extractedErrors))
-    throw new Error('Missing or invalid "extractedErrors" in AI response.');
   return parsed.extractedErrors;
 }
 
@@ -701,8 +1868,10 @@ We have a Next.js 13 RootLayout file that is incorrectly configured for "next-in
 
 **Requirements**:
 1. Import { NextIntlClientProvider } from "next-intl" and { getMessages, getLocale } from "next-intl/server".
-2. Retrieve the locale using await getLocale() and messages using await getMessages().
-3. Return the HTML structure with <html lang={locale}> while keeping the existing <head> content intact.
+${ROUTING
+    ? `2. Read the locale from the [locale] route segment (const { locale } = await params;), call notFound() from "next/navigation" when !hasLocale(routing.locales, locale) (hasLocale from "next-intl"), call setRequestLocale(locale) from "next-intl/server" to allow static rendering, then get the messages using await getMessages(). Keep the existing routing import and generateStaticParams export.`
+    : '2. Retrieve the locale using await getLocale() and messages using await getMessages().'}
+3. Return the HTML structure with <html lang={locale} dir={getDirection(locale)}> while keeping the existing <head> content intact. Import { getDirection } from "${getDirectionImportPath()}" (it returns "rtl" for Arabic, Hebrew, ...).
 4. Wrap the entire <body> content (including Navbar, ThemeProvider, and children) inside:
    <NextIntlClientProvider locale={locale} messages={messages}> ... </NextIntlClientProvider>
 5. Ensure that "children" is rendered only once inside the provider.
@@ -718,6 +1887,29 @@ We have a Next.js 13 RootLayout file that is incorrectly configured for "next-in
 
 **RootLayout file**: "${fileContent}"
 `
+.trim(),
+    PROCESS_PAGES_APP: `
+We have a Next.js Pages Router custom App (pages/_app) that is not configured for "next-intl". Your task is to refactor this file so that the page is wrapped in a single <NextIntlClientProvider> component, giving every page and component access to the translation context.
+
+**Requirements**:
+1. Import { NextIntlClientProvider } from "next-intl" and { useRouter } from "next/router".
+2. Read the locale using const { locale } = useRouter(); (it comes from the i18n block of next.config.js).
+3. Wrap <Component {...pageProps} /> (together with the layouts and providers around it) inside:
+   <NextIntlClientProvider locale={locale} messages={pageProps.messages}> ... </NextIntlClientProvider>
+   pageProps.messages is returned by the getStaticProps / getServerSideProps of every page.
+4. Ensure that <Component {...pageProps} /> is rendered only once inside the provider.
+5. Preserve all existing code, comments, and styling, modifying only what is necessary to meet the above requirements.
+6. Return ONLY valid JSON with the following structure:
+   {
+     "needsUpdate": true|false,
+     "updatedCode": "<entire updated file>"
+   }
+   - If no changes are needed, set "needsUpdate": false and "updatedCode": "".
+   - Do not include any extra text or commentary outside this JSON.
+   - Don't wrap the code or answer with \`\`\`json or like
+
+**_app file**: "${fileContent}"
+`
 .trim(),
     REFACTOR: `You are a Next.js and i18n expert using the "next-intl" package.
 Your goal is to internationalize the provided Next.js file by updating the code to use the t() method and retrieve the corresponding locales.json file.
@@ -737,7 +1929,10 @@ Rules:
 
 2. **Key Management**
    - Sanitize keys: lowercase, underscores, no special characters.
-   - Use format: [element]_[purpose] (e.g., "header_title", "cta_button").
+${KEY_STRATEGY === 'text'
+    ? `   - Name keys after the text itself: its first five words at most, in snake_case (e.g., "Welcome back!" -> "welcome_back").
+   - Prefix attribute texts with the attribute (e.g., "alt_user_avatar", "placeholder_search").`
+    : '   - Use format: [element]_[purpose] (e.g., "header_title", "cta_button").'}
    - **Never use dots** in keys.
    - Check the existing locale.json for this component to avoid duplicates.
      - If an exact string already exists, reuse the existing key.
@@ -761,19 +1956,25 @@ Rules:
 7. **Preserve All Code and Comments**
    - Keep the original code structure, spacing, and comments intact.
 
-8. **Return ONLY Valid JSON**
+8. **Describe Every New Key**
+   - For translators, describe where and how each string is used in one short sentence
+     (e.g. "Submit button of the signup form", "Alt text of the team photo on the about page").
+
+9. **Return ONLY Valid JSON**
    - The JSON must have the following structure:
        {
          "needsUpdate": true|false,
          "updatedCode": "<entire updated file (or empty if no changes)>",
-         "locales": { <next-intl locales expected format> }
+         "locales": { <next-intl locales expected format> },
+         "descriptions": { "<Namespace>.<key>": "<where and how the string is used>" }
        }
      - If no changes are required, set "needsUpdate": false and "updatedCode" to "".
      - Don't wrap the code into \`\`\`json
 
 Additional Notes on Server Components (If Applicable):
 - If dealing with server components, clarify how you plan to load translations (e.g., using createTranslator or a similar pattern). If not relevant, you can omit changes for them.
-
+${getRouter() === 'app' ? '' : `- Pages Router files (pages/ and the components they render) have no server components: always use useTranslations there, never getTranslations, and leave getStaticProps / getServerSideProps as they are.
+`}
 ---
 
 Example:
@@ -831,6 +2032,16 @@ Return a JSON object:
     throw new Error('Invalid TASK identifier.');
   }
   let prompt = taskPrompts[task];
+  const { doNotTranslate } = getGlossary();
+  if (task === TASK.REFACTOR && doNotTranslate.length > 0) {
+    prompt += `
+
+Glossary:
+- These terms are names that are never translated: ${doNotTranslate.map(term => `"${term}"`).join(', ')}.
+- Do not extract text that consists only of one of these terms; leave it in the code as is.
+- Inside extracted strings, keep these terms exactly as written.
+`;
+  }
   if (fileContent) {
     prompt += `
 
@@ -856,49 +2067,16 @@ function sanitizeCode(output) {
   return sanitized.endsWith('\n') ? sanitized : sanitized + '\n';
 }
 
-/** get all t() usage from code so to check against the autogenerated locales */
-function extractUsedKeys(code) {
-  const nameSpacePattern = /t = [^\(]*\(["']([^"']+)\1\)/g;
-  const nameSpaceMatch = nameSpacePattern.exec(code);
-
-  const pattern = /t\((["'])([^"']+)\1\)/g;
+/** Static keys the code reads with t(), t.rich(), t.markup() and t.raw(), as dotted paths */
+function extractUsedKeys(code, filePath) {
   const usedKeys = new Set();
-  let match;
-  while ((match = pattern.exec(code)) !== null) {
-    usedKeys.add(`${nameSpaceMatch[2]}.${match[2]}`);
+  for (const { key, method, dynamic } of extractTranslationUsages(code, filePath)) {
+    if (!dynamic && method !== 't.has') usedKeys.add(key);
   }
   return usedKeys;
 }
 
-/**
- * Recursively traverses the locales object to collect all keys.
- * Example:
- *  {
- *    "UserProfile": {
- *      "title": "some text",
- *      "nested": {"subtitle": "another text"}
- *    }
- *  }
- *  becomes -> ["UserProfile.title", "UserProfile.nested.subtitle"]
- *
- * If you don't want dots in keys, you can choose to store them in
- * a non-dotted format or do direct lookups.
- */
-function collectLocaleKeys(locales, prefix = '') {
-  const keys = [];
-  for (const key in locales) {
-    const val = locales[key];
-    const newPrefix = prefix ? `${prefix}.${key}` : key;
-    if (val && typeof val === 'object') {
-      keys.push(...collectLocaleKeys(val, newPrefix));
-    } else {
-      keys.push(newPrefix);
-    }
-  }
-  return keys;
-}
-
-function validateUpdatedCode(aiResult) {
+function validateUpdatedCode(aiResult, filePath) {
   const { updatedCode, locales } = aiResult;
   
   if (!updatedCode || !updatedCode.trim()) {
@@ -906,58 +2084,92 @@ function validateUpdatedCode(aiResult) {
     return { valid: false, errorMsg };
   }
 
-  // FIXME:
-  // // 1. Extract the keys that the updated code is using
-  // const usedKeys = extractUsedKeys(updatedCode);
-  // console.log({usedKeys})
-  
-  // // 2. Flatten all keys from the locales object
-  // const allLocaleKeys = collectLocaleKeys(locales);
-  // const localeKeySet = new Set(allLocaleKeys);
-  // console.log({localeKeySet})
-
-  // // 3. Check that every used key is in the locales
-  // for (const usedKey of usedKeys) {
-  //   if (!localeKeySet.has(usedKey)) {
-  //     const errorMsg = `Validation failed: Missing locale key => "${usedKey}"`;
-  //     return { valid: false, errorMsg };
-  //   }
-  // }
-
-  // // 4. (Optional) Warn about any keys in the locales that aren't used
-  // const unusedLocaleKeys = allLocaleKeys.filter(k => !usedKeys.has(k));
-  // if (unusedLocaleKeys.length > 0) {
-  //   const errorMsg = `Warning: The following locale keys are not used in the code: ${unusedLocaleKeys}`;
-  //   return { valid: false, errorMsg };
-  // }
+  const { doNotTranslate } = getGlossary();
+  const extractedTerms = collectLeaves(locales).filter(({ text }) => doNotTranslate.includes(text.trim()));
+  if (extractedTerms.length > 0) {
+    const keys = extractedTerms.map(({ keyPath }) => keyPath.join('.')).join(', ');
+    const errorMsg = `Validation failed: Glossary terms that must not be translated were extracted as keys => ${keys}`;
+    return { valid: false, errorMsg };
+  }
+
+  // Every key the updated code uses has to exist, either already or among the new keys
+  const allLocaleKeys = collectMessageKeys(mergeObjects(readDefaultMessages(), locales || {}));
+  const isDefined = key => allLocaleKeys.some(k => k === key || k.startsWith(`${key}.`));
+  const missingKeys = [...extractUsedKeys(updatedCode, filePath)].filter(key => !isDefined(key));
+  if (missingKeys.length > 0) {
+    const errorMsg = `Validation failed: Missing locale key(s) => ${missingKeys.map(key => `"${key}"`).join(', ')}`;
+    return { valid: false, errorMsg };
+  }
 
   return { valid: true };
 }
 
 // -------------------------------------------------------------------------------------
-// Step G: Auto-translate default common.json to other locales
+// Step F2: Report Styles That Break in Right-to-Left Locales
+// -------------------------------------------------------------------------------------
+function stepCheckRtlStyles(directoriesToScan) {
+  const rtlLocales = getAllLocales().filter(locale => getTextDirection(locale) === 'rtl');
+  if (rtlLocales.length === 0) return;
+  console.log(`↔️ Checking styles for right-to-left locales (${rtlLocales.join(', ')})...`);
+  const findings = scanForPhysicalStyles(directoriesToScan).filter(finding => isPathIncluded(finding.filePath));
+  if (findings.length === 0) {
+    console.log('✅ No physical margins, paddings or positions found.');
+    return;
+  }
+  let currentFile = null;
+  for (const finding of findings) {
+    if (finding.filePath !== currentFile) {
+      currentFile = finding.filePath;
+      console.log(`📄 ${path.relative(process.cwd(), currentFile)}`);
+    }
+    console.log(`   L${finding.line}:${finding.column} ${finding.found} → ${finding.suggestion}`);
+  }
+  const fileCount = new Set(findings.map(finding => finding.filePath)).size;
+  console.warn(`⚠️ ${findings.length} physical style(s) in ${fileCount} file(s) will not mirror in ${rtlLocales.join(', ')}. Use the logical equivalents above (Tailwind CSS 3.3+ for ms-/me-/start-/end-).`);
+}
+
+// -------------------------------------------------------------------------------------
+// Step G: Auto-translate the default locale's messages to other locales
 // -------------------------------------------------------------------------------------
 async function autoTranslateCommonJson() {
   const allLocales = getAllLocales();
   const additionalLocales = allLocales.filter(loc => loc !== DEFAULT_LOCALE);
-  const defaultCommonPath = path.join(LOCALE_FOLDER, DEFAULT_LOCALE, 'common.json');
-  if (!fs.existsSync(defaultCommonPath)) {
-    console.log(`No default common.json found at: ${defaultCommonPath}`);
+  const store = getMessageStore(LOCALE_FOLDER);
+  if (!store.exists(DEFAULT_LOCALE)) {
+    console.log(`No default messages found at: ${store.describe(DEFAULT_LOCALE)}`);
+    return;
+  }
+  const defaultData = store.read(DEFAULT_LOCALE);
+  if (Object.keys(defaultData).length === 0) {
+    console.log(`Default locale (${DEFAULT_LOCALE}) messages are empty.`);
     return;
   }
-  const defaultData = JSON.parse(fs.readFileSync(defaultCommonPath, 'utf8'));
-  if (!defaultData || Object.keys(defaultData).length === 0) {
-    console.log(`Default locale (${DEFAULT_LOCALE}) common.json is empty or invalid.`);
+  const configError = getTranslationProvider().checkConfig();
+  if (configError) {
+    console.error(`❌ Error: ${configError}`);
     return;
   }
   const translationsPerLocale = {};
+  const translationFailures = [];
+  // Remembers which reference text each translation came from (see populateLocales.js --retranslate-outdated)
+  const translationLock = loadTranslationLock(LOCALE_FOLDER);
   async function translateLocale(locale) {
     console.log(`Translating from ${DEFAULT_LOCALE} to ${locale}...`);
     const translations = {};
     for (const [key, value] of Object.entries(defaultData)) {
       try {
-        const translatedText = await openaiTranslateText(JSON.stringify(value), DEFAULT_LOCALE, locale);
-        translations[key] = JSON.parse(translatedText);
+        const failures = [];
+        translations[key] = await translateLocaleValue(value, DEFAULT_LOCALE, locale, { keyPath: [key], failures });
+        const failedPaths = new Set(failures.map(failure => [key, ...failure.keyPath].join('.')));
+        for (const failure of failures) {
+          translationFailures.push({ locale, keyPath: [key, ...failure.keyPath].join('.'), problems: failure.problems });
+        }
+        // Failed leaves keep the source text, so populateLocales.js --retranslate-outdated picks them up
+        for (const leaf of collectLeaves(value, [key])) {
+          const keyPath = leaf.keyPath.join('.');
+          if (failedPaths.has(keyPath)) translationLock.markOutdated(locale, keyPath);
+          else translationLock.record(locale, keyPath, leaf.text);
+        }
       } catch (err) {
         console.error(`Error translating key "${key}": ${err.message}`);
         translations[key] = value;
@@ -973,57 +2185,204 @@ async function autoTranslateCommonJson() {
     await Promise.all(batch.map(locale => translateLocale(locale)));
   }
   for (const locale of additionalLocales) {
-    const localeCommonPath = path.join(LOCALE_FOLDER, locale, 'common.json');
-    let existing = {};
-    if (fs.existsSync(localeCommonPath)) {
-      existing = JSON.parse(fs.readFileSync(localeCommonPath, 'utf8'));
+    const merged = { ...store.read(locale), ...translationsPerLocale[locale] };
+    // Namespaces land in the same files as in the default locale
+    for (const filePath of store.write(locale, merged)) {
+      console.log(`✅ Wrote translations to ${filePath}`);
     }
-    const merged = { ...existing, ...translationsPerLocale[locale] };
-    if (!fs.existsSync(path.dirname(localeCommonPath))) {
-      fs.mkdirSync(path.dirname(localeCommonPath), { recursive: true });
+  }
+  translationLock.save();
+  getTranslationMemory().save();
+  if (USE_TRANSLATION_MEMORY) console.log(formatMemoryStats(getTranslationMemory()));
+  if (translationFailures.length > 0) {
+    console.log(`\n❌ ${translationFailures.length} string(s) failed validation and kept the ${DEFAULT_LOCALE} text:`);
+    for (const { locale, keyPath, problems } of translationFailures) {
+      console.log(`   - ${locale}: ${keyPath} (${problems.join('; ')})`);
     }
-    fs.writeFileSync(localeCommonPath, JSON.stringify(merged, null, 2), 'utf8');
-    console.log(`✅ Wrote translations to ${localeCommonPath}`);
   }
 }
 
-async function openaiTranslateText(locale, fromLang, toLang) {
-  if (!fetch) {
-    const { default: f } = await import('node-fetch');
-    fetch = f;
+let translationProvider;
+
+function getTranslationProvider() {
+  if (!translationProvider) {
+    translationProvider = createTranslationProvider(TRANSLATION_PROVIDER, { model: OPENAI_MODEL, verbose: VERBOSE });
   }
-  const prompt = `Please translate the following json locale object values from ${fromLang} to ${toLang}:
-"${locale}"
-- Return only the same json locale but translated into the requested language, with no extra commentary nor \`\`\`json wrapper.
-- I will do a JSON.parse() of the entire answer, so make sure is a json compilant answer.
-`.trim();
+  return translationProvider;
+}
 
-console.log({prompt})
-  const body = {
-    model: OPENAI_MODEL,
-    messages: [{ role: 'user', content: prompt }],
+let translationMemory;
+
+function getTranslationMemory() {
+  if (!translationMemory) {
+    translationMemory = createTranslationMemory(USE_TRANSLATION_MEMORY
+      ? TRANSLATION_MEMORY_PATH || getDefaultMemoryPath(LOCALE_FOLDER)
+      : null);
+  }
+  return translationMemory;
+}
+
+let glossary;
+
+function getGlossary() {
+  if (!glossary) glossary = loadGlossary(GLOSSARY_PATH);
+  return glossary;
+}
+
+let localeStyles;
+
+function getLocaleStyles() {
+  if (!localeStyles) localeStyles = loadLocaleStyles();
+  return localeStyles;
+}
+
+let messageMeta;
+
+function getMessageMeta() {
+  if (!messageMeta) messageMeta = loadMessageMeta(LOCALE_FOLDER, DEFAULT_LOCALE, getMessagesConfig().layout);
+  return messageMeta;
+}
+
+function collectLeaves(value, keyPath = []) {
+  if (typeof value === 'string') return [{ keyPath, text: value }];
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.entries(value).flatMap(([key, nested]) => collectLeaves(nested, [...keyPath, key]));
+  }
+  return [];
+}
+
+function mapLeaves(value, fn, keyPath = []) {
+  if (typeof value === 'string') return fn(value, keyPath);
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const mapped = {};
+    for (const [key, nested] of Object.entries(value)) mapped[key] = mapLeaves(nested, fn, [...keyPath, key]);
+    return mapped;
+  }
+  return value;
+}
+
+/**
+ * JSON schema of a translated locale value: the same shape with a string at every leaf. Keys are
+ * not required, so a reply that misses a few is still used and only those are retried.
+ */
+function getTranslationSchema(value) {
+  if (typeof value === 'string') return { type: 'string' };
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, getTranslationSchema(nested)])),
   };
-  if (OPENAI_MODEL.includes('gpt-')) {
-    body.max_tokens = 1000;
-    body.temperature = 0;
-  } else {
-    body.max_completion_tokens = 3000;
+}
+
+function getAtPath(value, keyPath) {
+  return keyPath.reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), value);
+}
+
+/** Problems of a translation: broken ICU structure (next-intl throws at runtime) or glossary violations. */
+function validateTranslation(text, translated, toLang) {
+  return [...compareMessages(text, translated), ...getGlossary().check(text, translated, toLang)];
+}
+
+/**
+ * Translates one string, retrying with the validation problems until the result keeps the
+ * ICU structure of the source and follows the glossary. Resolves with { translated }, or
+ * { problems } when it gives up.
+ */
+async function translateMessage(text, fromLang, toLang, { problems = [], description } = {}) {
+  const rules = getGlossary().getRules(text, toLang);
+  const style = getLocaleStyle(getLocaleStyles(), toLang);
+  for (let attempt = 0; attempt <= DEFAULTS.MAX_ICU_RETRIES; attempt++) {
+    const translated = await getTranslationProvider().translate(text, fromLang, toLang, {
+      problems,
+      glossary: rules,
+      style,
+      description,
+    });
+    problems = validateTranslation(text, translated, toLang);
+    if (problems.length === 0) return { translated };
+    if (VERBOSE) console.warn(`⚠️ Rejected translation "${translated}" (attempt ${attempt + 1}): ${problems.join('; ')}`);
   }
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-    },
-    body: JSON.stringify(body),
-  });
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`OpenAI API Error: ${response.status} - ${error}`);
+  return { problems };
+}
+
+/**
+ * Translates a locale value (a string or a nested namespace object).
+ * Leaf strings already in the translation memory are reused; the remaining ones go to the
+ * provider in one request for LLM providers, or one by one for classic MT providers.
+ * Leaves that never pass validation keep the source text and are added to `failures`.
+ * `keyPath` is the path of the value in the messages, used to look up key descriptions.
+ */
+async function translateLocaleValue(value, fromLang, toLang, { keyPath: basePath = [], failures = [] } = {}) {
+  const provider = getTranslationProvider();
+  const memory = getTranslationMemory();
+  const style = getLocaleStyle(getLocaleStyles(), toLang);
+  // Translations made with another locale style (e.g. informal German) are not reused
+  const providerId = `${provider.name}:${provider.model}${getStyleId(style)}`;
+  const describe = leafPath => getMessageMeta().get([...basePath, ...leafPath].join('.'));
+  const resolved = new Map();
+  const pending = [];
+  for (const leaf of collectLeaves(value)) {
+    const cached = memory.get(providerId, fromLang, toLang, leaf.text);
+    // Entries cached before a glossary change are translated again
+    if (cached !== undefined && getGlossary().check(leaf.text, cached, toLang).length === 0) {
+      resolved.set(leaf.keyPath.join('\u0000'), cached);
+    } else {
+      pending.push(leaf);
+    }
+  }
+
+  function accept({ keyPath, text }, result) {
+    memory.set(providerId, fromLang, toLang, text, result);
+    resolved.set(keyPath.join('\u0000'), result);
+  }
+
+  let rejected = pending.map(leaf => ({ ...leaf, problems: [] }));
+  if (pending.length > 0 && provider.translateJson) {
+    // Send only the uncached part of the value, keeping its shape
+    const partial = typeof value === 'string'
+      ? value
+      : pending.reduce((acc, { keyPath, text }) => {
+          let current = acc;
+          keyPath.slice(0, -1).forEach(key => { current = current[key] = current[key] || {}; });
+          current[keyPath[keyPath.length - 1]] = text;
+          return acc;
+        }, {});
+    const rules = mergeGlossaryRules(pending.map(leaf => getGlossary().getRules(leaf.text, toLang)));
+    const descriptions = Object.fromEntries(pending.map(leaf => [leaf.keyPath.join('.'), describe(leaf.keyPath)]));
+    const reply = await provider.translateJson(JSON.stringify(partial), fromLang, toLang, {
+      glossary: rules,
+      style,
+      descriptions,
+    });
+    let translated;
+    try {
+      translated = parseJsonReply(reply, getTranslationSchema(partial));
+    } catch (err) {
+      // An unusable reply costs the batch, not the keys: every leaf is retried on its own
+      if (VERBOSE) console.warn(`⚠️ ${err.message}`);
+      rejected = pending.map(leaf => ({ ...leaf, problems: [err.message] }));
+    }
+    if (translated !== undefined) {
+      rejected = [];
+      for (const leaf of pending) {
+        const result = typeof value === 'string' ? translated : getAtPath(translated, leaf.keyPath);
+        const problems = typeof result === 'string' ? validateTranslation(leaf.text, result, toLang) : ['Missing from the response'];
+        if (problems.length === 0) accept(leaf, result);
+        else rejected.push({ ...leaf, problems });
+      }
+    }
+  }
+
+  // Leaves the JSON request got wrong (or every leaf, for classic MT providers) go one by one
+  for (const leaf of rejected) {
+    const { translated, problems } = await translateMessage(leaf.text, fromLang, toLang, {
+      problems: leaf.problems,
+      description: describe(leaf.keyPath),
+    });
+    if (translated !== undefined) accept(leaf, translated);
+    else failures.push({ keyPath: leaf.keyPath, text: leaf.text, problems });
   }
-  const result = await response.json();
-  const translation = result?.choices?.[0]?.message?.content?.trim();
-  return translation;
+
+  return mapLeaves(value, (text, keyPath) => resolved.get(keyPath.join('\u0000')) ?? text);
 }
 
 
@@ -1036,7 +2395,7 @@ async function analyzeAndFixErrors(logs, attempt) {
     const fullPath = path.resolve(filePath);
     if (fs.existsSync(fullPath)) {
       try {
-        const result = processFileWithOpenAI(
+        const result = await processFileWithOpenAI(
           TASK.FIX_ERROR,
           filePath,
           attempt - 1,
@@ -1084,103 +2443,217 @@ async function checkProjectHealth() {
 }
 
 // -------------------------------------------------------------------------------------
-// Main Orchestration
+// Git Safety Net
 // -------------------------------------------------------------------------------------
-(async function main() {
+let gitCommitsEnabled = false;
+
+function stepSetupGitSafetyNet() {
+  if (!GIT_ENABLED) return;
+  if (!isGitRepository()) {
+    console.log('ℹ️ Not a git repository. Skipping the dirty-tree check and per-step commits.');
+    return;
+  }
+  if (!ensureCleanWorkingTree(FORCE)) {
+    console.warn('⚠️ Per-step commits are disabled on a dirty tree, so --undo will not be available for this run.');
+    return;
+  }
+  startRun({ branch: WORK_BRANCH });
+  gitCommitsEnabled = true;
+}
+
+function stepCommit(message) {
+  if (!gitCommitsEnabled) return;
   try {
-    if (VERBOSE) {
-      console.log('Starting i18n setup with arguments:', {
-        UNATTENDED,
-        OPENAI_MODEL,
-        DRY_RUN,
-        BUILD_ONLY,
-        TRANSLATE_ONLY
-      });
-    }
+    commitStep(message);
+  } catch (err) {
+    console.warn(`⚠️ Could not commit "${message}": ${err.message}. Disabling per-step commits.`);
+    gitCommitsEnabled = false;
+  }
+}
 
-    // -------------------------------------------------------------------
-    // 1) If user asked for "build-only", skip directly to build checks
-    // -------------------------------------------------------------------
-    if (BUILD_ONLY) {
-      const buildSuccess = await checkProjectHealth();
-      if (!buildSuccess) process.exit(1);
-      process.exit(0);
-    }
+// -------------------------------------------------------------------------------------
+// Main Orchestration
+// -------------------------------------------------------------------------------------
+
+/**
+ * Runs the whole setup (or the undo, build-only and translate-only modes) with the current
+ * options, after configure(options) when options are given. Resolves to false when the build
+ * check fails; errors are thrown.
+ */
+async function run(options) {
+  if (options) configure(options);
+  if (VERBOSE) {
+    console.log('Starting i18n setup with arguments:', {
+      UNATTENDED,
+      OPENAI_MODEL,
+      DRY_RUN,
+      BUILD_ONLY,
+      TRANSLATE_ONLY
+    });
+  }
 
-    // -------------------------------------------------------------------
-    // 2) If user asked for "translate-only", do that and exit
-    // -------------------------------------------------------------------
-    if (TRANSLATE_ONLY) {
-      console.log('🔤 [TRANSLATE-ONLY MODE] Auto-translating existing common.json files...');
-      await autoTranslateCommonJson();
-      console.log('🎉 Finished auto-translation. Exiting now.');
-      process.exit(0);
+  if (CONFIG_PATH) console.log(`⚙️  Using settings from ${path.relative(process.cwd(), CONFIG_PATH) || CONFIG_PATH}`);
+
+  // -------------------------------------------------------------------
+  // 0) If user asked for "undo", revert the last run and exit
+  // -------------------------------------------------------------------
+  if (UNDO) {
+    undoLastRun(FORCE);
+    console.log('🎉 Last run reverted.');
+    return true;
+  }
+
+  // -------------------------------------------------------------------
+  // 1) If user asked for "build-only", skip directly to build checks
+  // -------------------------------------------------------------------
+  if (BUILD_ONLY) {
+    stepSetupGitSafetyNet();
+    const buildSuccess = await checkProjectHealth();
+    stepCommit('Fix build errors');
+    if (!buildSuccess) return false;
+    return true;
+  }
+
+  // -------------------------------------------------------------------
+  // 2) If user asked for "translate-only", do that and exit
+  // -------------------------------------------------------------------
+  if (TRANSLATE_ONLY) {
+    console.log('🔤 [TRANSLATE-ONLY MODE] Auto-translating the existing messages...');
+    stepSetupGitSafetyNet();
+    await autoTranslateCommonJson();
+    stepCommit('Auto-translate messages');
+    console.log('🎉 Finished auto-translation. Exiting now.');
+    return true;
+  }
+
+  // -------------------------------------------------------------------
+  // Otherwise, perform full i18n setup
+  // -------------------------------------------------------------------
+  if (!UNATTENDED) {
+    await stepPromptForLocales();
+  } else {
+    console.log(`Running unattended with default locale=${DEFAULT_LOCALE} and additional locales=${ADDITIONAL_LOCALES}`);
+  }
+  const projectDir = process.cwd();
+  if (!isNextProject(projectDir)) {
+    throw new Error('❌ No Next.js project detected!');
+  }
+
+  // 2: Detect or prompt for pages/app + components directories
+  const { pagesDir, componentsDir, router } = await detectOrPromptPagesComponentsDir(projectDir);
+  ROUTER = ROUTER || router || detectRouter();
+  console.log(`🧭 Setting up the ${{ app: 'App Router (app/)', pages: 'Pages Router (pages/)', hybrid: 'App Router (app/) and Pages Router (pages/)' }[ROUTER]}`);
+
+  const previewOnly = PREVIEW || Boolean(PATCH_FILE);
+  if (previewOnly) {
+    console.log('👀 [PREVIEW MODE] Skipping setup steps; only the refactor will be previewed.');
+  } else {
+    stepSetupGitSafetyNet();
+
+    // 3: Create next-intl.config.js file
+    if (STEPS.nextIntlConfig) {
+      stepCreateNextIntlConfigFile();
+      stepCommit('Create next-intl.config.js');
     }
 
-    // -------------------------------------------------------------------
-    // Otherwise, perform full i18n setup
-    // -------------------------------------------------------------------
-    if (!UNATTENDED) {
-      await stepPromptForLocales();
-    } else {
-      console.log(`Running unattended with default locale=${DEFAULT_LOCALE} and additional locales=${ADDITIONAL_LOCALES}`);
+    // 4: i18n locales in next.config.js (Pages Router only)
+    if (STEPS.nextConfig) {
+      stepUpdateNextConfig();
+      stepCommit('Add i18n locales to next.config.js');
     }
-    const projectDir = process.cwd();
-    if (!isNextProject(projectDir)) {
-      throw new Error('❌ No Next.js project detected!');
+
+    // 5: Create translation folder structure
+    if (STEPS.messages) {
+      stepCreateLocalesFolder();
+      stepCommit('Create locales folder');
     }
 
-    // 2: Detect or prompt for pages/app + components directories
-    const { pagesDir, componentsDir } = await detectOrPromptPagesComponentsDir(projectDir);
+    if (ROUTER !== 'pages') {
+      // 6: Create request.ts
+      if (STEPS.request) {
+        stepCreateOrUpdateRequestTs();
+        stepCommit('Create request.ts');
+      }
 
-    // 3: Create next-intl.config.js file
-    stepCreateNextIntlConfigFile();
+      // 6b: Locale in the URL: routing, middleware and app/[locale]
+      if (ROUTING) {
+        stepSetupLocaleRouting();
+        stepCommit(`Set up ${ROUTING} locale routing`);
+      }
 
-    // 4: (Skipping next.config.js)...
+      // 7: Patch RootLayout with NextIntlClientProvider
+      if (STEPS.rootLayout) {
+        await stepInjectNextIntlProviderInRootLayout();
+        stepCommit('Add NextIntlClientProvider to RootLayout');
+      }
+    }
 
-    // 5: Create translation folder structure
-    stepCreateLocalesFolder();
-
-    // 6: Create request.ts
-    stepCreateOrUpdateRequestTs();
-
-    // 7: Patch RootLayout with NextIntlClientProvider
-    await stepInjectNextIntlProviderInRootLayout();
-
-    // 8: AI-based i18n refactoring on pages/components
-    const directoriesToScan = [];
-    if (pagesDir && fs.existsSync(pagesDir)) directoriesToScan.push(pagesDir);
-    if (componentsDir && fs.existsSync(componentsDir)) directoriesToScan.push(componentsDir);
-    const eligibleFiles = await runRefactorAndTranslations(directoriesToScan);
-    if (eligibleFiles && eligibleFiles.length > 0) {
-      console.log(`🚀 Sending ${eligibleFiles.length} file(s) to OpenAI for i18n refactoring...`);
-      await processFiles(eligibleFiles); 
-      console.log('🎉 Finished i18n refactoring!');
-    } else {
-      console.log('ℹ️ No eligible files for refactoring.');
+    // 7b: Pages Router: provider in _app, messages from getStaticProps
+    if (ROUTER !== 'app' && STEPS.pagesRouter) {
+      await stepSetupPagesRouter(findPagesRouterDir() || pagesDir);
+      stepCommit('Load messages in the Pages Router');
     }
+  }
+
+  // 8: AI-based i18n refactoring on pages/components
+  const directoriesToScan = [];
+  if (pagesDir && fs.existsSync(pagesDir)) directoriesToScan.push(pagesDir);
+  if (ROUTER === 'hybrid' && !PAGES_DIR_OVERRIDE) {
+    // Both app/ and pages/ hold routes
+    [findAppDir(), findPagesRouterDir()].filter(dir => dir && !directoriesToScan.includes(dir)).forEach(dir => directoriesToScan.push(dir));
+  }
+  if (componentsDir && fs.existsSync(componentsDir)) directoriesToScan.push(componentsDir);
+  const eligibleFiles = STEPS.refactor ? await runRefactorAndTranslations(directoriesToScan) : [];
+  if (!STEPS.refactor) {
+    console.log('⏭️  Skipping the i18n refactoring (steps.refactor is off).');
+  } else if (eligibleFiles && eligibleFiles.length > 0) {
+    console.log(CODEMOD
+      ? `🚀 Running the i18n codemod on ${eligibleFiles.length} file(s)...`
+      : `🚀 Sending ${eligibleFiles.length} file(s) to OpenAI for i18n refactoring...`);
+    await processFiles(eligibleFiles); 
+    console.log('🎉 Finished i18n refactoring!');
+  } else {
+    console.log('ℹ️ No eligible files for refactoring.');
+  }
+  if (previewOnly) {
+    console.log('👀 Preview complete. No files were modified.');
+    return true;
+  }
+  stepCommit('Refactor pages and components for i18n');
+
+  // 8b: Report left/right styles that will not mirror in right-to-left locales
+  if (STEPS.rtlCheck) stepCheckRtlStyles(directoriesToScan);
 
-    // 9: Auto-translate from default locale to others
+  // 9: Auto-translate from default locale to others
+  if (STEPS.translate) {
     console.log('🔤 Auto-translating from default locale to others...');
     await autoTranslateCommonJson();
     console.log('🎉 Auto-translation complete!');
+    stepCommit('Auto-translate messages');
+  }
 
-    // 10: Create LanguagePicker component
+  // 10: Create LanguagePicker component
+  if (STEPS.languagePicker) {
     stepCreateLanguagePicker(componentsDir);
+    stepCommit('Add LanguagePicker component');
+  }
 
-    // 11: Install next-intl
+  // 11: Install next-intl
+  if (STEPS.install) {
     stepInstallDependencies();
     console.log('✅ next-intl installation complete.');
+    stepCommit('Install next-intl');
+  }
 
-    // 12: Build check
+  // 12: Build check
+  if (STEPS.build) {
     const buildSuccess = await checkProjectHealth();
-    if (!buildSuccess) process.exit(1);
-    console.log('\n🎉 All steps completed successfully!');
-  } catch (error) {
-    console.trace(error);
-    process.exit(1);
+    stepCommit('Fix build errors');
+    if (!buildSuccess) return false;
   }
-})();
+  console.log('\n🎉 All steps completed successfully!');
+  return true;
+}
 
 
 // -------------------------------------------------------------------------------------
@@ -1252,7 +2725,33 @@ async function detectNextAppAndComponents(projectDir) {
   if (!appDir && !componentsDir) {
     throw new Error('❌ Could not find any "pages/app" or "components" directory.');
   }
-  return { pagesDir: appDir, componentsDir };
+  return { pagesDir: appDir, componentsDir, router: detectRouter() };
+}
+
+function findPagesRouterDir() {
+  return ['pages', 'src/pages'].map(dir => path.resolve(dir))
+    .find(dir => fs.existsSync(dir) && fs.lstatSync(dir).isDirectory());
+}
+
+/**
+ * Which router the project uses: 'app' (app/ has a layout or page), 'pages' (pages/ has pages
+ * besides API routes) or 'hybrid' when it has both, e.g. while migrating to the App Router.
+ */
+function detectRouter() {
+  const appDir = findAppDir();
+  const pagesRouterDir = findPagesRouterDir();
+  const hasAppRoutes = Boolean(appDir)
+    && listFilesRecursive(appDir).some(file => /^(layout|page)\.[jt]sx?$/.test(path.basename(file)));
+  const hasPages = Boolean(pagesRouterDir) && listFilesRecursive(pagesRouterDir).some(file => /\.[jt]sx?$/.test(file)
+    && !file.endsWith('.d.ts')
+    && !path.relative(pagesRouterDir, file).split(path.sep).includes('api'));
+  if (hasAppRoutes && hasPages) return 'hybrid';
+  return hasPages ? 'pages' : 'app';
+}
+
+/** The router being set up: --router or the one run() detected, else detected now (steps called on their own). */
+function getRouter() {
+  return ROUTER || detectRouter();
 }
 
 function isNextProject(projectDir) {
@@ -1263,8 +2762,7 @@ function isNextProject(projectDir) {
     const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
     foundNext = Boolean(deps && deps.next);
   }
-  const nextConfigPath = path.join(projectDir, 'next.config.js');
-  return foundNext || fs.existsSync(nextConfigPath);
+  return foundNext || NEXT_CONFIG_FILES.some(name => fs.existsSync(path.join(projectDir, name)));
 }
 
 function findFirstExistingCandidate(projectDir, candidates) {
@@ -1300,8 +2798,10 @@ function stepInstallDependencies() {
   execSync(installCommand, { stdio: 'inherit' });
 }
 
+// Marks a picker written by this setup, so re-running it refreshes the locale list
+const LANGUAGE_PICKER_MARKER = 'Generated from the configured locales';
+
 function stepCreateLanguagePicker(componentsDir) {
-  const allLocales = getAllLocales();
   console.log('🛠 Creating LanguagePicker component...');
   if (!componentsDir) {
     console.log('⚠️ No components directory found. Skipping LanguagePicker creation.');
@@ -1312,59 +2812,232 @@ function stepCreateLanguagePicker(componentsDir) {
     console.log(`Created components directory: ${componentsDir}`);
   }
   const pickerPath = path.join(componentsDir, 'LanguagePicker.tsx');
-  const content = `
-'use client';
+  if (fs.existsSync(pickerPath)) {
+    const existing = fs.readFileSync(pickerPath, 'utf8');
+    // The demo component written by older versions of the setup is replaced
+    if (!existing.includes(LANGUAGE_PICKER_MARKER) && !existing.includes('AllInOneDemo')) {
+      console.log(`ℹ️ ${pickerPath} already exists. Skipping creation.`);
+      return;
+    }
+  }
+  const i18nImport = getRouter() === 'pages'
+    ? 'next/router'
+    : toImportPath(componentsDir, path.join(getI18nFolder(), ROUTING ? 'navigation' : 'locale'));
+  fs.writeFileSync(pickerPath, getLanguagePickerContent(i18nImport), 'utf8');
+  console.log(`✅ Created LanguagePicker.tsx in '${componentsDir}'`);
+
+  const testRunner = detectTestRunner();
+  const testPath = path.join(componentsDir, 'LanguagePicker.test.tsx');
+  if (!testRunner) {
+    if (VERBOSE) console.log('ℹ️ No vitest/jest with @testing-library/react found. Skipping the LanguagePicker test.');
+  } else if (!fs.existsSync(testPath)) {
+    fs.writeFileSync(testPath, getLanguagePickerTestContent(i18nImport, testRunner), 'utf8');
+    console.log(`✅ Created ${path.basename(testPath)} (${testRunner}) in '${componentsDir}'`);
+  }
+}
 
-import React from 'react';
-import {createNavigation} from 'next-intl/navigation';
+/** Languages of the picker: each locale with its own name ("Français") and text direction. */
+function getPickerLanguages() {
+  return getAllLocales().map((locale) => {
+    let name = locale;
+    try {
+      const displayName = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+      if (displayName) name = displayName.charAt(0).toLocaleUpperCase(locale) + displayName.slice(1);
+    } catch (err) {
+      if (VERBOSE) console.warn(`⚠️ No display name for "${locale}": ${err.message}`);
+    }
+    return { locale, name, dir: getTextDirection(locale) };
+  });
+}
 
-// 1. Define the locales & config
-const {Link, useRouter, usePathname, redirect} = createNavigation({
-  // The locales your app supports
-  locales: ["es", "en", "fr", "de", "zh", "ar", "pt", "ru", "ja"],
-  // The default locale (optional)
-  defaultLocale: 'es'
-});
+/** A string literal for generated code: 'Português (Brasil)'. */
+function toSingleQuoted(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
 
-// 2. Client usage (Link, useRouter, usePathname)
-export default function AllInOneDemo() {
+function getLanguagePickerContent(i18nImport) {
+  const languages = getPickerLanguages()
+    .map(({ locale, name, dir }) => `  { locale: '${locale}', name: ${toSingleQuoted(name)}, dir: '${dir}' },`)
+    .join('\n');
+  const switchLocale = {
+    pages: `
+  const router = useRouter();
+
+  function onChange(nextLocale: string) {
+    // Remembered by the Next.js locale detection on the next visit (next.config.js i18n)
+    document.cookie = \`NEXT_LOCALE=\${nextLocale}; path=/; max-age=31536000; samesite=lax\`;
+    startTransition(() => {
+      router.push({ pathname: router.pathname, query: router.query }, router.asPath, { locale: nextLocale });
+    });
+  }`,
+    routing: `
   const router = useRouter();
   const pathname = usePathname();
 
-  function handleClientNav() {
-    // Navigates client-side to /some-other-path
-    router.push('/some-other-path');
-  }
+  function onChange(nextLocale: string) {
+    // Same page, other locale prefix/domain (see i18n/routing.ts)
+    startTransition(() => {
+      router.replace(pathname, { locale: nextLocale });
+    });
+  }`,
+    cookie: `
+  function onChange(nextLocale: string) {
+    // Stores the NEXT_LOCALE cookie that i18n/request.ts reads; the page re-renders in the new locale
+    startTransition(async () => {
+      await setUserLocale(nextLocale);
+    });
+  }`,
+  }[getPickerMode()];
+  return `
+'use client';
+
+import { useTransition } from 'react';
+import { useLocale } from 'next-intl';
+${{
+    pages: `import { useRouter } from '${i18nImport}';`,
+    routing: `import { usePathname, useRouter } from '${i18nImport}';`,
+    cookie: `import { setUserLocale } from '${i18nImport}';`,
+  }[getPickerMode()]}
+
+// ${LANGUAGE_PICKER_MARKER} (re-run the setup to update): every language
+// is shown in its own name (Intl.DisplayNames), so it can be found whatever the current locale
+const LANGUAGES = [
+${languages}
+] as const;
+
+type Props = {
+  /** Accessible name of the select, e.g. t('language') */
+  label?: string;
+};
+
+export default function LanguagePicker({ label = 'Language' }: Props) {
+  const locale = useLocale();
+  const [isPending, startTransition] = useTransition();
+${switchLocale}
 
   return (
-    <main style={{padding: '1rem'}}>
-      <h1>All-in-One Navigation Demo</h1>
-      <p>Current path: <strong>{pathname}</strong></p>
-
-      <nav style={{marginBottom: '1rem'}}>
-        <Link href="/" locale="en" style={{marginRight: '8px'}}>
-          English
-        </Link>
-        <Link href="/" locale="de">
-          German
-        </Link>
-      </nav>
-
-      <button onClick={handleClientNav}>Go to /some-other-path (client-side)</button>
-    </main>
+    <select
+      aria-label={label}
+      value={locale}
+      disabled={isPending}
+      onChange={(event) => onChange(event.target.value)}
+    >
+      {LANGUAGES.map(({ locale: option, name, dir }) => (
+        <option key={option} value={option} lang={option} dir={dir}>
+          {name}
+        </option>
+      ))}
+    </select>
   );
 }
+`.trim() + '\n';
+}
 
-// -----------------------------
-// 3. (Optional) Server usage
-//    If you need server redirects, you'd do so in a server component or action:
-// -----------------------------
+/**
+ * How the picker switches: 'pages' (next/router with the next.config.js locales), 'routing'
+ * (locale prefix/domain, i18n/navigation.ts) or 'cookie' (setUserLocale, i18n/locale.ts).
+ */
+function getPickerMode() {
+  if (getRouter() === 'pages') return 'pages';
+  return ROUTING ? 'routing' : 'cookie';
+}
 
-// export async function MyServerAction() {
-//   // This must live in a server file (no 'use client')
-//   // redirect('/some-server-side-redirect');
-// }
-`.trim();
-  fs.writeFileSync(pickerPath, content, 'utf8');
-  console.log(`✅ Created LanguagePicker.tsx in '${componentsDir}'`);
+/** 'vitest' or 'jest' when the project can render components in tests, else null. */
+function detectTestRunner() {
+  const packageJsonPath = path.resolve('package.json');
+  if (!fs.existsSync(packageJsonPath)) return null;
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  if (!deps['@testing-library/react']) return null;
+  if (deps.vitest) return 'vitest';
+  if (deps.jest) return 'jest';
+  return null;
+}
+
+function getLanguagePickerTestContent(i18nImport, testRunner) {
+  const mock = testRunner === 'vitest' ? 'vi' : 'jest';
+  const [first, second = first] = getPickerLanguages();
+  const mode = getPickerMode();
+  const i18nMock = {
+    pages: `${mock}.mock('${i18nImport}', () => {
+  const push = ${mock}.fn();
+  return { useRouter: () => ({ push, pathname: '/about', query: {}, asPath: '/about' }) };
+});`,
+    routing: `${mock}.mock('${i18nImport}', () => {
+  const replace = ${mock}.fn();
+  return { usePathname: () => '/about', useRouter: () => ({ replace }) };
+});`,
+    cookie: `${mock}.mock('${i18nImport}', () => ({ setUserLocale: ${mock}.fn() }));`,
+  }[mode];
+  const expectSwitch = {
+    pages: `expect(useRouter().push).toHaveBeenCalledWith({ pathname: '/about', query: {} }, '/about', { locale: '${second.locale}' });`,
+    routing: `expect(useRouter().replace).toHaveBeenCalledWith('/about', { locale: '${second.locale}' });`,
+    cookie: `expect(setUserLocale).toHaveBeenCalledWith('${second.locale}');`,
+  }[mode];
+  return `
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+${testRunner === 'vitest' ? "import { afterEach, describe, expect, it, vi } from 'vitest';\n" : ''}import LanguagePicker from './LanguagePicker';
+${mode === 'cookie' ? `import { setUserLocale } from '${i18nImport}';` : `import { useRouter } from '${i18nImport}';`}
+
+${mock}.mock('next-intl', () => ({ useLocale: () => '${first.locale}' }));
+${i18nMock}
+
+describe('LanguagePicker', () => {
+  afterEach(cleanup);
+
+  it('lists every locale in its own language', () => {
+    render(<LanguagePicker label="Language" />);
+    const select = screen.getByRole('combobox', { name: 'Language' }) as HTMLSelectElement;
+    expect(select.value).toBe('${first.locale}');
+    const options = screen.getAllByRole('option') as HTMLOptionElement[];
+    expect(options.map((option) => option.value)).toEqual(${JSON.stringify(getAllLocales())});
+    expect(options[0].textContent).toBe(${toSingleQuoted(first.name)});
+    expect(options[0].getAttribute('lang')).toBe('${first.locale}');
+    expect(options[0].getAttribute('dir')).toBe('${first.dir}');
+  });
+
+  it('switches to the selected locale', () => {
+    render(<LanguagePicker label="Language" />);
+    fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: '${second.locale}' } });
+    ${expectSwitch}
+  });
+});
+`.trim() + '\n';
+}
+
+// -------------------------------------------------------------------------------------
+// Module API (see index.js) and CLI
+// -------------------------------------------------------------------------------------
+module.exports = {
+  configure,
+  run,
+  getAllLocales,
+  isNextProject,
+  detectRouter,
+  getEligibleFiles,
+  isFileEligible,
+  processFiles,
+  autoTranslateCommonJson,
+  checkProjectHealth,
+  stepCreateNextIntlConfigFile,
+  stepUpdateNextConfig,
+  stepCreateLocalesFolder,
+  stepCreateOrUpdateRequestTs,
+  stepSetupLocaleRouting,
+  stepInjectNextIntlProviderInRootLayout,
+  stepSetupPagesRouter,
+  stepCheckRtlStyles,
+  stepCreateLanguagePicker,
+  stepInstallDependencies,
+};
+
+if (require.main === module) {
+  applyProjectConfig();
+  parseArgs();
+  run()
+    .then((success) => process.exit(success ? 0 : 1))
+    .catch((error) => {
+      console.trace(error);
+      process.exit(1);
+    });
 }
@@ -0,0 +1,227 @@
+/**
+ * messageStore.js
+ *
+ * Reads and writes the messages of a locale, however they are split into files. Shared by
+ * makeMultilingual.js, populateLocales.js and lintI18n.js.
+ *
+ *   - "directory" (default): messages/<locale>/<file>.json, e.g. common.json, checkout.json and
+ *     dashboard.json. Every file holds top-level namespaces ({ "Checkout": { ... } }) and the
+ *     files of a locale are merged, so a key is the same whichever file it lives in.
+ *   - "flat": one messages/<locale>.json per locale.
+ *
+ * Both are set in next-intl.config.js:
+ *
+ *     messagesLayout: 'directory',
+ *     messageFiles: { checkout: ['Checkout', 'Cart'], dashboard: ['Dashboard'] },
+ *
+ * messageFiles says which file a namespace belongs to. Namespaces it does not list stay in the
+ * file that already holds them (in the locale itself or the reference locale); new ones go to
+ * common.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LAYOUTS = ['directory', 'flat'];
+const DEFAULT_LAYOUT = 'directory';
+const DEFAULT_FILE = 'common';
+
+function isMessageFile(fileName) {
+  return fileName.endsWith('.json') && !fileName.endsWith('.meta.json') && !fileName.startsWith('.');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merges `source` into `target`; `source` wins. When given, `onConflict(keyPath, current,
+ * incoming)` is called wherever both hold different values at the same key path (two different
+ * strings, or a string and a namespace) and its return value is kept instead.
+ */
+function deepMerge(target, source, onConflict, prefix = '') {
+  for (const [key, value] of Object.entries(source)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const current = target[key];
+    if (isPlainObject(value) && isPlainObject(current)) {
+      deepMerge(current, value, onConflict, keyPath);
+    } else if (onConflict && current !== undefined && JSON.stringify(current) !== JSON.stringify(value)) {
+      target[key] = onConflict(keyPath, current, value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/** Leaves of a messages object as [{ path: 'Namespace.key', value }]. */
+function flattenObject(obj, prefix = '') {
+  let entries = [];
+  for (const [key, value] of Object.entries(obj || {})) {
+    const currentPath = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) entries = entries.concat(flattenObject(value, currentPath));
+    else entries.push({ path: currentPath, value });
+  }
+  return entries;
+}
+
+/** Inverse of flattenObject(): builds nested namespaces from dotted key paths. */
+function unflattenObject(entries) {
+  const result = {};
+  for (const { path: keyPath, value } of entries) {
+    const parts = keyPath.split('.');
+    let current = result;
+    for (const part of parts.slice(0, -1)) {
+      if (!isPlainObject(current[part])) current[part] = {};
+      current = current[part];
+    }
+    current[parts[parts.length - 1]] = value;
+  }
+  return result;
+}
+
+function readJson(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  try {
+    return content.trim() ? JSON.parse(content) : {};
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${filePath}: ${err.message}`);
+  }
+}
+
+/** Reads `messagesLayout` and `messageFiles` from next-intl.config.js. */
+function loadMessagesConfig(configPath = path.resolve('next-intl.config.js')) {
+  if (!fs.existsSync(configPath)) return {};
+  const config = require(configPath);
+  return { layout: config.messagesLayout, files: config.messageFiles };
+}
+
+/**
+ * Options: { layout, files, referenceLocale }. `files` is the messageFiles mapping,
+ * `referenceLocale` the locale whose file split other locales follow.
+ */
+function createMessageStore(folder, { layout, files, referenceLocale } = {}) {
+  layout = layout || DEFAULT_LAYOUT;
+  if (!LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown messages layout "${layout}" (expected ${LAYOUTS.join(' or ')})`);
+  }
+  const namespaceFiles = new Map();
+  for (const [file, namespaces] of Object.entries(files || {})) {
+    for (const namespace of namespaces) namespaceFiles.set(namespace, file);
+  }
+
+  function getFilePath(locale, file = DEFAULT_FILE) {
+    return layout === 'flat' ? path.join(folder, `${locale}.json`) : path.join(folder, locale, `${file}.json`);
+  }
+
+  /** Existing message files of a locale as [{ file, filePath }], common.json first. */
+  function listFiles(locale) {
+    if (layout === 'flat') {
+      const filePath = getFilePath(locale);
+      return fs.existsSync(filePath) ? [{ file: DEFAULT_FILE, filePath }] : [];
+    }
+    const localeDir = path.join(folder, locale);
+    if (!fs.existsSync(localeDir)) return [];
+    return fs.readdirSync(localeDir)
+      .filter(isMessageFile)
+      .map(fileName => path.basename(fileName, '.json'))
+      .sort((a, b) => (a === DEFAULT_FILE ? -1 : b === DEFAULT_FILE ? 1 : a.localeCompare(b)))
+      .map(file => ({ file, filePath: getFilePath(locale, file) }));
+  }
+
+  function readFiles(locale) {
+    return listFiles(locale).map(({ file, filePath }) => ({ file, filePath, messages: readJson(filePath) }));
+  }
+
+  /** File a top-level namespace of `locale` is written to. */
+  function getFileForNamespace(namespace, locale, currentFiles = readFiles(locale)) {
+    if (layout === 'flat') return DEFAULT_FILE;
+    if (namespaceFiles.has(namespace)) return namespaceFiles.get(namespace);
+    const holder = currentFiles.find(({ messages }) => namespace in messages);
+    if (holder) return holder.file;
+    if (referenceLocale && referenceLocale !== locale) {
+      const referenceHolder = readFiles(referenceLocale).find(({ messages }) => namespace in messages);
+      if (referenceHolder) return referenceHolder.file;
+    }
+    return DEFAULT_FILE;
+  }
+
+  return {
+    folder,
+    layout,
+    getFilePath,
+    listFiles,
+    /** Every message file of a locale as [{ file, filePath, messages }]. */
+    readFiles,
+
+    /** Locales that have messages (folders, or <locale>.json files for the flat layout). */
+    listLocales() {
+      if (!fs.existsSync(folder)) return [];
+      const entries = fs.readdirSync(folder, { withFileTypes: true });
+      const locales = layout === 'flat'
+        ? entries.filter(e => e.isFile() && isMessageFile(e.name)).map(e => path.basename(e.name, '.json'))
+        : entries.filter(e => e.isDirectory() && listFiles(e.name).length > 0).map(e => e.name);
+      return locales.sort();
+    },
+
+    exists(locale) {
+      return listFiles(locale).length > 0;
+    },
+
+    /** Messages of all files of a locale merged into one object ({} when there are none). */
+    read(locale) {
+      return readFiles(locale).reduce((merged, { messages }) => deepMerge(merged, messages), {});
+    },
+
+    /** Where the messages of a locale live, for log messages. */
+    describe(locale) {
+      return layout === 'flat' ? getFilePath(locale) : path.join(folder, locale, '*.json');
+    },
+
+    /**
+     * Splits `messages` (the complete messages of a locale) into its files and returns the
+     * files whose content changes as [{ filePath, before, after }].
+     */
+    getUpdates(locale, messages) {
+      const currentFiles = readFiles(locale);
+      const split = new Map(currentFiles.map(({ file }) => [file, {}]));
+      for (const [namespace, value] of Object.entries(messages)) {
+        const file = getFileForNamespace(namespace, locale, currentFiles);
+        if (!split.has(file)) split.set(file, {});
+        split.get(file)[namespace] = value;
+      }
+      const updates = [];
+      for (const [file, content] of split) {
+        const filePath = getFilePath(locale, file);
+        const current = currentFiles.find(entry => entry.file === file);
+        if (current && JSON.stringify(current.messages) === JSON.stringify(content)) continue;
+        const before = current ? fs.readFileSync(filePath, 'utf8') : '';
+        // Keep the file's own trailing newline convention
+        const newline = !before || before.endsWith('\n') ? '\n' : '';
+        updates.push({ filePath, before, after: JSON.stringify(content, null, 2) + newline });
+      }
+      return updates;
+    },
+
+    /** Writes the complete messages of a locale. Returns the paths of the files written. */
+    write(locale, messages) {
+      const updates = this.getUpdates(locale, messages);
+      for (const { filePath, after } of updates) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, after, 'utf8');
+      }
+      return updates.map(({ filePath }) => filePath);
+    },
+  };
+}
+
+module.exports = {
+  LAYOUTS,
+  DEFAULT_LAYOUT,
+  DEFAULT_FILE,
+  loadMessagesConfig,
+  createMessageStore,
+  deepMerge,
+  flattenObject,
+  unflattenObject,
+};
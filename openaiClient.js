@@ -0,0 +1,266 @@
+/**
+ * openaiClient.js
+ *
+ * Chat-completions client used by every AI call in makeMultilingual.js and
+ * populateLocales.js. Works with OpenAI itself and with any OpenAI-compatible
+ * server (Ollama, llama.cpp server, vLLM, LM Studio, Azure-style gateways...).
+ *
+ * Configuration (environment variables, overridable through configureOpenAIClient()):
+ *
+ *   OPENAI_BASE_URL            API base URL (default: https://api.openai.com/v1)
+ *                              e.g. http://localhost:11434/v1 for Ollama
+ *   OPENAI_API_KEY             API key (optional when talking to a local server)
+ *   OPENAI_AUTH_HEADER         Header carrying the key (default: Authorization).
+ *                              Use "none" to send no auth header at all.
+ *   OPENAI_AUTH_SCHEME         Prefix for the key (default: "Bearer" for Authorization, none otherwise)
+ *   OPENAI_MODEL_CAPABILITIES  Comma-separated overrides for the request parameters the model accepts:
+ *                                max-tokens | max-completion-tokens
+ *                                temperature | no-temperature
+ *                                json-schema | json-object | no-response-format
+ *   OPENAI_RECORD_DIR          Save every request and its response in this folder (--record)
+ *   OPENAI_REPLAY_DIR          Serve the responses saved there instead of calling the API (--replay)
+ *
+ * Record/replay: each request is keyed by the SHA-256 hash of its body (model, prompt and
+ * parameters) and saved as <dir>/<hash>.json with its responses. Replaying serves them back in
+ * the order they were recorded, without any network call, so a run can be reproduced, diffed
+ * and debugged offline, or checked in as a fixture for regression tests. Only successful
+ * responses are recorded; a request missing from the replay folder is an error.
+ *
+ * Without overrides, models on api.openai.com follow the usual rule ("gpt-*" models take
+ * max_tokens + temperature, reasoning models take max_completion_tokens only) and
+ * models on any other endpoint are assumed to take max_tokens + temperature.
+ *
+ * Structured output: callers pass the JSON schema of the reply they expect. It is sent as
+ * response_format json_schema to the models of api.openai.com that support it (json_object to
+ * the older ones); other endpoints only get it with the json-schema or json-object capability.
+ * An endpoint rejecting response_format gets the request again without it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+let fetch; // Dynamically imported if needed
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+let overrides = {};
+
+// Models whose endpoint rejected response_format, which are not sent it again
+const noResponseFormat = new Set();
+
+// Replay position per recording, and the recordings written by this run (earlier runs are overwritten)
+const replayPositions = new Map();
+const recordedThisRun = new Set();
+
+async function loadFetch() {
+  if (!fetch) {
+    const { default: f } = await import('node-fetch');
+    fetch = f;
+  }
+  return fetch;
+}
+
+/**
+ * Overrides the environment configuration (used for CLI flags).
+ * Accepts { baseUrl, apiKey, authHeader, authScheme, capabilities, record, replay }; undefined
+ * values are ignored.
+ */
+function configureOpenAIClient(options = {}) {
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null) overrides[key] = value;
+  }
+}
+
+/** Drops every override, back to the environment configuration. */
+function resetOpenAIClient() {
+  overrides = {};
+}
+
+function getOpenAIClientConfig() {
+  const baseUrl = (overrides.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const authHeader = overrides.authHeader || process.env.OPENAI_AUTH_HEADER || 'Authorization';
+  const defaultScheme = authHeader.toLowerCase() === 'authorization' ? 'Bearer' : '';
+  const authScheme = overrides.authScheme ?? process.env.OPENAI_AUTH_SCHEME ?? defaultScheme;
+  return {
+    baseUrl,
+    apiKey: overrides.apiKey || process.env.OPENAI_API_KEY,
+    authHeader,
+    authScheme,
+    capabilities: overrides.capabilities || process.env.OPENAI_MODEL_CAPABILITIES || '',
+    recordDir: overrides.record || process.env.OPENAI_RECORD_DIR || null,
+    replayDir: overrides.replay || process.env.OPENAI_REPLAY_DIR || null,
+    isDefaultEndpoint: baseUrl === DEFAULT_BASE_URL,
+  };
+}
+
+/** Returns an error message when the client cannot authenticate, null otherwise. */
+function checkOpenAIConfig() {
+  const config = getOpenAIClientConfig();
+  if (config.recordDir && config.replayDir) {
+    return 'Recording and replaying at the same time is not supported. Use either --record or --replay.';
+  }
+  if (config.replayDir) {
+    return fs.existsSync(config.replayDir) ? null : `Replay folder not found: ${config.replayDir}`;
+  }
+  if (config.apiKey || config.authHeader.toLowerCase() === 'none' || !config.isDefaultEndpoint) {
+    return null;
+  }
+  return 'OPENAI_API_KEY is not set.';
+}
+
+function getModelCapabilities(model) {
+  const config = getOpenAIClientConfig();
+  const classic = !config.isDefaultEndpoint || model.includes('gpt-');
+  const capabilities = {
+    tokenLimitParam: classic ? 'max_tokens' : 'max_completion_tokens',
+    supportsTemperature: classic,
+    responseFormat: config.isDefaultEndpoint ? getDefaultResponseFormat(model) : null,
+  };
+  for (const flag of config.capabilities.split(',').map(f => f.trim()).filter(Boolean)) {
+    switch (flag) {
+      case 'max-tokens':
+        capabilities.tokenLimitParam = 'max_tokens';
+        break;
+      case 'max-completion-tokens':
+        capabilities.tokenLimitParam = 'max_completion_tokens';
+        break;
+      case 'temperature':
+        capabilities.supportsTemperature = true;
+        break;
+      case 'no-temperature':
+        capabilities.supportsTemperature = false;
+        break;
+      case 'json-schema':
+        capabilities.responseFormat = 'json_schema';
+        break;
+      case 'json-object':
+        capabilities.responseFormat = 'json_object';
+        break;
+      case 'no-response-format':
+        capabilities.responseFormat = null;
+        break;
+      default:
+        throw new Error(`Unknown model capability "${flag}".`);
+    }
+  }
+  return capabilities;
+}
+
+/** Structured outputs on api.openai.com: gpt-4o and later, reasoning models; JSON mode before them. */
+function getDefaultResponseFormat(model) {
+  if (/^(gpt-4o|gpt-4\.1|gpt-5|o\d)/.test(model)) return 'json_schema';
+  if (/^gpt-(3\.5-turbo|4-turbo)/.test(model)) return 'json_object';
+  return null;
+}
+
+/** The response_format of a { name, schema } request, or undefined when the model takes none. */
+function getResponseFormat(model, responseFormat) {
+  const type = responseFormat && !noResponseFormat.has(model) ? getModelCapabilities(model).responseFormat : null;
+  if (type === 'json_schema') {
+    return { type, json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: false } };
+  }
+  // JSON mode only returns objects
+  if (type === 'json_object' && responseFormat.schema?.type === 'object') return { type };
+  return undefined;
+}
+
+function getAuthHeaders() {
+  const { apiKey, authHeader, authScheme } = getOpenAIClientConfig();
+  if (!apiKey || authHeader.toLowerCase() === 'none') return {};
+  return { [authHeader]: authScheme ? `${authScheme} ${apiKey}` : apiKey };
+}
+
+function getRecordingPath(dir, body) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex').slice(0, 16);
+  return path.join(dir, `${hash}.json`);
+}
+
+function readRecording(filePath) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+function replayResponse(dir, body) {
+  const filePath = getRecordingPath(dir, body);
+  const recording = readRecording(filePath);
+  if (!recording || recording.responses.length === 0) {
+    throw new Error(`No recorded response for this request in ${dir} (${path.basename(filePath)}). Record it with --record ${dir}.`);
+  }
+  // The same prompt sent again gets the next recorded response, the last one once they run out
+  const position = replayPositions.get(filePath) || 0;
+  replayPositions.set(filePath, position + 1);
+  return recording.responses[Math.min(position, recording.responses.length - 1)];
+}
+
+function recordResponse(dir, body, result) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = getRecordingPath(dir, body);
+  const recording = (recordedThisRun.has(filePath) && readRecording(filePath)) || { request: body, responses: [] };
+  recording.responses.push(result);
+  recordedThisRun.add(filePath);
+  fs.writeFileSync(filePath, `${JSON.stringify(recording, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Sends a single-prompt chat completion and resolves with the message content.
+ * `maxTokens`/`temperature` apply to classic models; reasoning models get
+ * `maxCompletionTokens` (default 3000) and no temperature. `responseFormat`
+ * ({ name, schema }) asks for JSON of that shape where the model supports it; the reply
+ * still has to be parsed and checked (see jsonReply.js).
+ */
+async function createChatCompletion(prompt, options = {}) {
+  const { model, maxTokens, maxCompletionTokens = 3000, temperature, responseFormat } = options;
+  const { baseUrl, recordDir, replayDir } = getOpenAIClientConfig();
+  const capabilities = getModelCapabilities(model);
+  const body = {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+  };
+  if (capabilities.tokenLimitParam === 'max_tokens') {
+    body.max_tokens = maxTokens ?? maxCompletionTokens;
+  } else {
+    body.max_completion_tokens = maxCompletionTokens;
+  }
+  if (capabilities.supportsTemperature && temperature !== undefined) {
+    body.temperature = temperature;
+  }
+  const format = getResponseFormat(model, responseFormat);
+  if (format) body.response_format = format;
+  if (recordDir && replayDir) {
+    throw new Error('Recording and replaying at the same time is not supported. Use either --record or --replay.');
+  }
+  if (replayDir) {
+    return replayResponse(replayDir, body)?.choices?.[0]?.message?.content;
+  }
+  const doFetch = await loadFetch();
+  const response = await doFetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const error = await response.text();
+    if (format && response.status === 400 && /response_format|json_schema|json_object/i.test(error)) {
+      noResponseFormat.add(model);
+      return createChatCompletion(prompt, options);
+    }
+    throw new Error(`OpenAI API Error: ${response.status} - ${error}`);
+  }
+  const result = await response.json();
+  if (recordDir) recordResponse(recordDir, body, result);
+  return result?.choices?.[0]?.message?.content;
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  loadFetch,
+  configureOpenAIClient,
+  resetOpenAIClient,
+  getOpenAIClientConfig,
+  checkOpenAIConfig,
+  getModelCapabilities,
+  createChatCompletion,
+};
@@ -1,26 +1,152 @@
 #!/usr/bin/env node
 
+/**
+ * populateLocales.js
+ *
+ * Translates the keys that the other locales are missing from the reference (default) locale.
+ *
+ *     node populateLocales.js [options]   (see --help)
+ *
+ * Or from a build script (see index.js):
+ *
+ *     const translate = require('./populateLocales');
+ *     const success = await translate.run({ locales: ['en', 'fr'], batch: true });
+ *     translate.findMissingKeys({ a: 'A', b: { c: 'C' } }, { a: 'A' }); // { b: { c: 'C' } }
+ */
+
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-
-let fetch; // Dynamically imported if needed
+const { DEFAULT_PROVIDER, PROVIDER_NAMES, createTranslationProvider } = require('./translationProviders');
+const { configureOpenAIClient, resetOpenAIClient } = require('./openaiClient');
+const { loadTranslationLock } = require('./translationLock');
+const { getDefaultMemoryPath, createTranslationMemory, formatMemoryStats } = require('./translationMemory');
+const { compareMessages } = require('./icuMessage');
+const { loadGlossary } = require('./glossary');
+const { getLocaleStyle, getStyleId, loadMessageMeta } = require('./translationContext');
+const { createMessageStore, deepMerge, flattenObject } = require('./messageStore');
+const { checkSettings, loadProjectConfig } = require('./projectConfig');
 
 // Configuration
 const DEFAULTS = {
     LOCALE_FOLDER: 'messages',
     OPENAI_MODEL: 'gpt-4o-mini',
     MAX_CONCURRENT_REQUESTS: 5,
+    BATCH_TOKEN_BUDGET: 2000,
+    MAX_ICU_RETRIES: 2,
     SUPPORTED_LOCALES: [],
-    REFERENCE_LOCALE: undefined
+    REFERENCE_LOCALE: undefined,
+    LOCALE_STYLES: {}
 };
 
-let VERBOSE = false;
-let DRY_RUN = false;
+// Options, set by the flags (parseArgs) or configure(); resetOptions() holds the defaults
+let LOCALE_FOLDER;
+let OPENAI_MODEL;
+let MAX_CONCURRENT_REQUESTS;
+let BATCH_TOKEN_BUDGET;
+let VERBOSE;
+let DRY_RUN;
+let TRANSLATION_PROVIDER;
+let TRANSLATION_MEMORY_PATH;
+let USE_TRANSLATION_MEMORY;
+let RETRANSLATE_OUTDATED;
+let BATCH;
+let GLOSSARY_PATH;
+// Locales of nextjs-utils.config.{json,js}; next-intl.config.js is used when it has none
+let CONFIG_LOCALES;
+let CONFIG_DEFAULT_LOCALE;
+
+function resetOptions() {
+    LOCALE_FOLDER = DEFAULTS.LOCALE_FOLDER;
+    OPENAI_MODEL = DEFAULTS.OPENAI_MODEL;
+    MAX_CONCURRENT_REQUESTS = DEFAULTS.MAX_CONCURRENT_REQUESTS;
+    BATCH_TOKEN_BUDGET = DEFAULTS.BATCH_TOKEN_BUDGET;
+    VERBOSE = false;
+    DRY_RUN = false;
+    TRANSLATION_PROVIDER = process.env.TRANSLATION_PROVIDER || DEFAULT_PROVIDER;
+    TRANSLATION_MEMORY_PATH = null;
+    USE_TRANSLATION_MEMORY = true;
+    RETRANSLATE_OUTDATED = false;
+    BATCH = false;
+    GLOSSARY_PATH = null;
+    CONFIG_LOCALES = null;
+    CONFIG_DEFAULT_LOCALE = null;
+}
+resetOptions();
+
+// Built by run() from the options
+let translationProvider;
+let translationMemory;
+let glossary;
+let messageMeta;
+let messageStore;
+const translationFailures = [];
 
 // -------------------------------------------------------------------------------------
 // Argument Parsing
 // -------------------------------------------------------------------------------------
+
+// Settings of nextjs-utils.config.{json,js} and the environment; flags are applied afterwards
+function applyProjectConfig(argv = process.argv.slice(2)) {
+    const { settings, configPath } = loadProjectConfig(argv);
+    if (configPath) console.log(`⚙️  Using settings from ${path.relative(process.cwd(), configPath) || configPath}`);
+    applySettings(settings);
+}
+
+// Project settings (see projectConfig.js) this script uses; the others are for makeMultilingual.js
+function applySettings(settings) {
+    if (settings.localeFolder) LOCALE_FOLDER = settings.localeFolder;
+    if (settings.model) OPENAI_MODEL = settings.model;
+    if (settings.provider) TRANSLATION_PROVIDER = settings.provider;
+    configureOpenAIClient({
+        baseUrl: settings.baseUrl,
+        authHeader: settings.authHeader,
+        capabilities: settings.modelCapabilities
+    });
+    if (settings.concurrency) MAX_CONCURRENT_REQUESTS = settings.concurrency;
+    if (settings.batch !== undefined) BATCH = settings.batch;
+    if (settings.batchTokens) {
+        BATCH = true;
+        BATCH_TOKEN_BUDGET = settings.batchTokens;
+    }
+    if (settings.translationMemory === false) USE_TRANSLATION_MEMORY = false;
+    else if (settings.translationMemory) TRANSLATION_MEMORY_PATH = settings.translationMemory;
+    if (settings.glossary) GLOSSARY_PATH = settings.glossary;
+    if (settings.locales) CONFIG_LOCALES = settings.locales;
+    if (settings.defaultLocale) CONFIG_DEFAULT_LOCALE = settings.defaultLocale;
+}
+
+// Options of configure() besides the project settings, with the flag each one stands for
+const RUN_OPTIONS = {
+    config: () => {},
+    verbose: (value) => { VERBOSE = value; }, // --verbose
+    dryRun: (value) => { DRY_RUN = value; }, // --dry-run
+    retranslateOutdated: (value) => { RETRANSLATE_OUTDATED = value; }, // --retranslate-outdated
+    record: (value) => { configureOpenAIClient({ record: value }); }, // --record <dir>
+    replay: (value) => { configureOpenAIClient({ replay: value }); } // --replay <dir>
+};
+
+/**
+ * Sets the options of run(), the programmatic counterpart of the flags: any project setting
+ * (locales, provider, batch, ...) plus the RUN_OPTIONS above. nextjs-utils.config.{json,js} is
+ * read first unless `config: false` (`config: '<file>'` reads another file). Every call starts from
+ * the defaults, so nothing carries over from an earlier configure(). Throws on invalid options.
+ */
+function configure(options = {}) {
+    const settings = {};
+    const runOptions = {};
+    for (const [key, value] of Object.entries(options)) {
+        if (RUN_OPTIONS[key]) runOptions[key] = value;
+        else settings[key] = value;
+    }
+    checkSettings(settings, 'configure() options');
+    resetOptions();
+    resetOpenAIClient();
+    if (options.config !== false) applyProjectConfig(options.config ? ['--config', options.config] : []);
+    applySettings(settings);
+    for (const [key, value] of Object.entries(runOptions)) RUN_OPTIONS[key](value);
+}
+
 function parseArgs() {
     const args = process.argv.slice(2);
     for (let i = 0; i < args.length; i++) {
@@ -30,6 +156,15 @@ function parseArgs() {
             case '--help':
                 printHelp();
                 process.exit(0);
+            case '--config':
+                // Read by applyProjectConfig()
+                i++;
+                break;
+            case '-c':
+            case '--concurrency':
+                MAX_CONCURRENT_REQUESTS = parseInt(args[i + 1], 10);
+                i++;
+                break;
             case '-f':
             case '--folder':
                 LOCALE_FOLDER = args[i + 1];
@@ -40,6 +175,52 @@ function parseArgs() {
                 OPENAI_MODEL = args[i + 1];
                 i++;
                 break;
+            case '--provider':
+                TRANSLATION_PROVIDER = args[i + 1];
+                i++;
+                break;
+            case '--base-url':
+                configureOpenAIClient({ baseUrl: args[i + 1] });
+                i++;
+                break;
+            case '--auth-header':
+                configureOpenAIClient({ authHeader: args[i + 1] });
+                i++;
+                break;
+            case '--model-capabilities':
+                configureOpenAIClient({ capabilities: args[i + 1] });
+                i++;
+                break;
+            case '--record':
+                configureOpenAIClient({ record: args[i + 1] });
+                i++;
+                break;
+            case '--replay':
+                configureOpenAIClient({ replay: args[i + 1] });
+                i++;
+                break;
+            case '--tm':
+                TRANSLATION_MEMORY_PATH = args[i + 1];
+                i++;
+                break;
+            case '--no-tm':
+                USE_TRANSLATION_MEMORY = false;
+                break;
+            case '--retranslate-outdated':
+                RETRANSLATE_OUTDATED = true;
+                break;
+            case '--batch':
+                BATCH = true;
+                break;
+            case '--glossary':
+                GLOSSARY_PATH = args[i + 1];
+                i++;
+                break;
+            case '--batch-tokens':
+                BATCH = true;
+                BATCH_TOKEN_BUDGET = parseInt(args[i + 1], 10);
+                i++;
+                break;
             case '-v':
             case '--verbose':
                 VERBOSE = true;
@@ -61,13 +242,36 @@ function printHelp() {
   
   Options:
     -h, --help          Show this help message
+    --config <file>     Project config file (default: nextjs-utils.config.json or nextjs-utils.config.js)
     -f, --folder        Locale folder path (default: ${DEFAULTS.LOCALE_FOLDER})
     -m, --model         OpenAI model (default: ${DEFAULTS.OPENAI_MODEL})
+    -c, --concurrency   Max concurrent translation requests (default: ${DEFAULTS.MAX_CONCURRENT_REQUESTS})
+    --provider          Translation provider: ${PROVIDER_NAMES.join('|')} (default: ${DEFAULT_PROVIDER})
+    --base-url          OpenAI-compatible API base URL (e.g. http://localhost:11434/v1 for Ollama)
+    --auth-header       Header used to send OPENAI_API_KEY (default: Authorization, "none" to disable)
+    --model-capabilities  Request parameters the model accepts, e.g. "max-tokens,temperature"
+    --record <dir>      Save every AI request and response in <dir>, keyed by prompt hash
+    --replay <dir>      Answer AI requests from a --record folder, without network
+    --tm                Translation memory file (default: .translation-memory.json next to the locale folder)
+    --no-tm             Do not read or write the translation memory
+    --retranslate-outdated  Re-translate keys whose reference text changed since they were translated
+    --batch             Send many keys per request (openai, deepl, google)
+    --glossary          Glossary file with required and do-not-translate terms (default: i18n-glossary.json)
+    --batch-tokens      Approximate token budget per batch, implies --batch (default: ${DEFAULTS.BATCH_TOKEN_BUDGET})
     -v, --verbose       Enable verbose mode
     --dry-run           Simulate translation without writing files
   
-  Environment variable:
-    OPENAI_API_KEY      Your OpenAI API key must be set
+  Environment variables:
+    OPENAI_API_KEY            Required by the openai provider (unless OPENAI_BASE_URL points to a local server)
+    OPENAI_BASE_URL           OpenAI-compatible API base URL (default: https://api.openai.com/v1)
+    OPENAI_RECORD_DIR, OPENAI_REPLAY_DIR  Same as --record and --replay
+    DEEPL_API_KEY             Required by the deepl provider (DEEPL_API_URL to use the pro endpoint)
+    LIBRETRANSLATE_URL        LibreTranslate server (default: http://localhost:5000)
+    GOOGLE_TRANSLATE_API_KEY  Required by the google provider
+    I18N_LOCALES, I18N_CONCURRENCY, ...  Override the config file (see projectConfig.js)
+
+  Precedence: defaults < config file < environment variables < flags.
+  Locales come from the config file, else from next-intl.config.js.
   `);
 }
 
@@ -76,25 +280,23 @@ function printHelp() {
 // -------------------------------------------------------------------------------------
 
 function loadNextIntlConfig() {
-    try {
-        const configPath = path.resolve('next-intl.config.js');
-        if (!fs.existsSync(configPath)) {
-            throw new Error('Config file not found');
-        }
-
-        const config = require(configPath);
-        if (!config.locales || !Array.isArray(config.locales)) {
-            throw new Error('Invalid locales array in config');
-        }
+    const configPath = path.resolve('next-intl.config.js');
+    if (!fs.existsSync(configPath)) {
+        throw new Error('Error loading next-intl.config.js: Config file not found');
+    }
 
-        return {
-            locales: config.locales,
-            defaultLocale: config.defaultLocale
-        };
-    } catch (error) {
-        console.error('❌ Error loading next-intl.config.js:', error.message);
-        process.exit(1);
+    const config = require(configPath);
+    if (!config.locales || !Array.isArray(config.locales)) {
+        throw new Error('Error loading next-intl.config.js: Invalid locales array in config');
     }
+
+    return {
+        locales: config.locales,
+        defaultLocale: config.defaultLocale,
+        localeStyles: config.localeStyles || {},
+        messagesLayout: config.messagesLayout,
+        messageFiles: config.messageFiles
+    };
 }
 
 // -------------------------------------------------------------------------------------
@@ -121,31 +323,6 @@ function findMissingKeys(reference, target) {
     return missing;
 }
 
-function deepMerge(target, source) {
-    for (const [key, value] of Object.entries(source)) {
-        if (typeof value === 'object' && !Array.isArray(value)) {
-            target[key] = deepMerge(target[key] || {}, value);
-        } else {
-            target[key] = value;
-        }
-    }
-    return target;
-}
-
-function flattenObject(obj, prefix = '') {
-    let entries = [];
-    for (const key in obj) {
-        const value = obj[key];
-        const currentPath = prefix ? `${prefix}.${key}` : key;
-        if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-            entries = entries.concat(flattenObject(value, currentPath));
-        } else {
-            entries.push({ path: currentPath, value });
-        }
-    }
-    return entries;
-}
-
 function unflattenTranslations(translations) {
     const result = {};
     for (const { path: keyPath, translated } of translations) {
@@ -164,23 +341,126 @@ function unflattenTranslations(translations) {
     return result;
 }
 
+function estimateTokens(text) {
+    return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Packs entries into batches of roughly `tokenBudget` tokens (keys included) and at most
+ * `maxSize` entries. An entry larger than the budget gets a batch of its own.
+ */
+function chunkByTokenBudget(items, tokenBudget, maxSize = Infinity) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+    for (const item of items) {
+        const tokens = estimateTokens(item.path) + estimateTokens(item.value) + 4;
+        if (current.length > 0 && (currentTokens + tokens > tokenBudget || current.length >= maxSize)) {
+            batches.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(item);
+        currentTokens += tokens;
+    }
+    if (current.length > 0) batches.push(current);
+    return batches;
+}
+
+/**
+ * Batch mode: entries found in the translation memory are resolved right away, the other
+ * strings are packed into batches. Returns the work queue (arrays are batches) and the
+ * cached results.
+ */
+function createBatchQueue(items, targetLocale) {
+    const queue = [];
+    const cached = [];
+    const pending = [];
+    for (const item of items) {
+        if (typeof item.value !== 'string') {
+            queue.push(item);
+            continue;
+        }
+        const translated = getCachedTranslation(item.value, targetLocale);
+        if (translated !== undefined && glossary.check(item.value, translated, targetLocale).length === 0) {
+            cached.push({ path: item.path, translated });
+        } else {
+            pending.push(item);
+        }
+    }
+    const batches = chunkByTokenBudget(pending, BATCH_TOKEN_BUDGET, translationProvider.maxBatchSize);
+    console.log(`📦 ${targetLocale}: ${pending.length} key(s) in ${batches.length} batch request(s), ${cached.length} from translation memory`);
+    return { queue: [...batches, ...queue], cached };
+}
+
 async function processTranslationsConcurrently(items, targetLocale) {
-    const queue = [...items];
+    let queue = [...items];
     const results = [];
-    const MAX_CONCURRENT = DEFAULTS.MAX_CONCURRENT_REQUESTS;
+    const MAX_CONCURRENT = MAX_CONCURRENT_REQUESTS;
+
+    if (BATCH && translationProvider.translateBatch) {
+        const batchQueue = createBatchQueue(items, targetLocale);
+        queue = batchQueue.queue;
+        results.push(...batchQueue.cached);
+    }
+
+    async function translateBatch(batch) {
+        const entries = {};
+        const glossaryRules = {};
+        const descriptions = {};
+        for (const item of batch) {
+            entries[item.path] = item.value;
+            glossaryRules[item.path] = glossary.getRules(item.value, targetLocale);
+            descriptions[item.path] = messageMeta.get(item.path);
+        }
+        let translatedEntries = {};
+        try {
+            translatedEntries = await translationProvider.translateBatch(entries, DEFAULTS.REFERENCE_LOCALE, targetLocale, {
+                glossary: glossaryRules,
+                style: getLocaleStyle(DEFAULTS.LOCALE_STYLES, targetLocale),
+                descriptions
+            }) || {};
+        } catch (error) {
+            console.error(`Error translating batch of ${batch.length} key(s): ${error.message}`);
+        }
+
+        const requeued = [];
+        for (const item of batch) {
+            const translated = translatedEntries[item.path];
+            if (typeof translated !== 'string' || translated.trim() === '' ||
+                validateTranslation(item.value, translated, targetLocale).length > 0) {
+                requeued.push(item);
+                continue;
+            }
+            storeTranslation(item.value, targetLocale, translated);
+            results.push({ path: item.path, translated });
+            if (VERBOSE) {
+                console.log(`Translated ${item.path}: ${item.value} → ${translated}`);
+            }
+        }
+        if (requeued.length > 0) {
+            console.warn(`⚠️ ${requeued.length} key(s) missing or malformed in batch response, retrying them individually`);
+            queue.push(...requeued);
+        }
+    }
 
     async function worker() {
         while (queue.length > 0) {
             const item = queue.shift();
             if (!item) return;
+            if (Array.isArray(item)) {
+                await translateBatch(item);
+                continue;
+            }
             try {
-                const translated = await translateWithAI(item.value, targetLocale);
+                const translated = await translateWithAI(item.value, targetLocale, item.path);
                 results.push({ path: item.path, translated });
                 if (VERBOSE) {
                     console.log(`Translated ${item.path}: ${item.value} → ${translated}`);
                 }
             } catch (error) {
                 console.error(`Error translating path ${item.path}: ${error.message}`);
+                translationFailures.push({ locale: targetLocale, path: item.path, reason: error.message });
             }
         }
     }
@@ -190,122 +470,230 @@ async function processTranslationsConcurrently(items, targetLocale) {
     return results;
 }
 
+function reportGlossaryViolations(locale, referenceValues, targetEntries) {
+    const violations = [];
+    for (const { path: keyPath, value } of targetEntries) {
+        const problems = glossary.check(referenceValues.get(keyPath), value, locale);
+        if (problems.length > 0) violations.push({ keyPath, problems });
+    }
+    if (violations.length === 0) return;
+    console.log(`⚠️ ${locale}: ${violations.length} existing translation(s) break the glossary:`);
+    violations.forEach(({ keyPath, problems }) => console.log(`   - ${keyPath}: ${problems.join('; ')}`));
+}
+
 async function translateMissingKeys() {
-    const referencePath = path.join(DEFAULTS.LOCALE_FOLDER, DEFAULTS.REFERENCE_LOCALE, 'common.json');
-    const referenceData = JSON.parse(fs.readFileSync(referencePath, 'utf8'));
+    if (!messageStore.exists(DEFAULTS.REFERENCE_LOCALE)) {
+        throw new Error(`No reference messages found at ${messageStore.describe(DEFAULTS.REFERENCE_LOCALE)}`);
+    }
+    const referenceData = messageStore.read(DEFAULTS.REFERENCE_LOCALE);
+    const referenceEntries = flattenObject(referenceData);
+    const referenceValues = new Map(referenceEntries.map(entry => [entry.path, entry.value]));
+    const translationLock = loadTranslationLock(LOCALE_FOLDER);
 
     for (const locale of DEFAULTS.SUPPORTED_LOCALES) {
         if (locale === DEFAULTS.REFERENCE_LOCALE) continue;
 
-        const targetPath = path.join(DEFAULTS.LOCALE_FOLDER, locale, 'common.json');
-        if (!fs.existsSync(targetPath)) {
-            console.log(`Skipping ${locale} - no common.json found`);
+        if (!messageStore.exists(locale)) {
+            console.log(`Skipping ${locale} - no messages found at ${messageStore.describe(locale)}`);
             continue;
         }
 
-        const targetData = JSON.parse(fs.readFileSync(targetPath, 'utf8'));
+        const targetData = messageStore.read(locale);
         const missing = findMissingKeys(referenceData, targetData);
 
-        if (Object.keys(missing).length === 0) {
+        // Keys translated before the lock existed are adopted as up to date
+        const { outdated, untracked } = translationLock.diff(locale, referenceEntries, flattenObject(targetData));
+        for (const entry of untracked) translationLock.record(locale, entry.path, entry.value);
+
+        if (outdated.length > 0) {
+            console.log(`⚠️ ${locale}: ${outdated.length} outdated translation(s) (reference text changed):`);
+            outdated.forEach(entry => console.log(`   - ${entry.path}`));
+            if (!RETRANSLATE_OUTDATED) {
+                console.log('   Run again with --retranslate-outdated to translate them again.');
+            }
+        }
+
+        reportGlossaryViolations(locale, referenceValues, flattenObject(targetData));
+
+        const flattened = [...flattenObject(missing), ...(RETRANSLATE_OUTDATED ? outdated : [])];
+        if (flattened.length === 0) {
             console.log(`✅ ${locale}: No missing keys`);
             continue;
         }
 
-        const flattened = flattenObject(missing);
-        console.log(`🌐 ${locale}: Found ${flattened.length} missing keys`);
+        console.log(`🌐 ${locale}: Found ${flattened.length} key(s) to translate`);
 
         if (DRY_RUN) {
-            console.log('Dry run - would translate:', JSON.stringify(missing, null, 2));
+            console.log('Dry run - would translate:', JSON.stringify(unflattenTranslations(
+                flattened.map(entry => ({ path: entry.path, translated: entry.value }))
+            ), null, 2));
             continue;
         }
 
         try {
             const translations = await processTranslationsConcurrently(flattened, locale);
+            for (const { path: keyPath } of translations) {
+                translationLock.record(locale, keyPath, referenceValues.get(keyPath));
+            }
             const translatedObject = unflattenTranslations(translations);
             const merged = deepMerge(targetData, translatedObject);
 
-            fs.writeFileSync(targetPath,
-                JSON.stringify(merged, null, 2) + '\n',
-                'utf8'
-            );
-            console.log(`✅ ${locale}: Updated common.json with ${translations.length} translations`);
+            // New namespaces go to the same file as in the reference locale
+            const writtenFiles = messageStore.write(locale, merged);
+            translationMemory.save();
+            console.log(`✅ ${locale}: Updated ${writtenFiles.map(file => path.basename(file)).join(', ')} with ${translations.length} translations`);
         } catch (error) {
             console.error(`❌ ${locale}: Error translating - ${error.message}`);
         }
     }
+
+    if (!DRY_RUN) translationLock.save();
 }
 
 // -------------------------------------------------------------------------------------
-// OpenAI Integration
+// Translation Provider
 // -------------------------------------------------------------------------------------
 
-async function translateWithAI(text, targetLocale) {
-    if (!fetch) {
-        const { default: f } = await import('node-fetch');
-        fetch = f;
-    }
+// Translations made with another locale style (e.g. informal German) are not reused
+function getProviderId(targetLocale) {
+    const style = getLocaleStyle(DEFAULTS.LOCALE_STYLES, targetLocale);
+    return `${translationProvider.name}:${translationProvider.model}${getStyleId(style)}`;
+}
 
-    const prompt = `Translate the following text from ${DEFAULTS.REFERENCE_LOCALE} to ${targetLocale}. 
-Preserve any placeholders like {this} in the text. Keep the translation concise and accurate.
-Respond only with the translated text without any explanations or formatting.
-
-Text to translate: "${text}"`;
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-        body: JSON.stringify({
-            model: DEFAULTS.OPENAI_MODEL,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: 0.1,
-            max_tokens: 2000
-        })
-    });
+function getCachedTranslation(text, targetLocale) {
+    return translationMemory.get(getProviderId(targetLocale), DEFAULTS.REFERENCE_LOCALE, targetLocale, text);
+}
+
+function storeTranslation(text, targetLocale, translated) {
+    translationMemory.set(getProviderId(targetLocale), DEFAULTS.REFERENCE_LOCALE, targetLocale, text, translated);
+}
 
-    if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`API Error: ${response.status} - ${error}`);
+// A translation has to keep the ICU structure of the source (otherwise next-intl throws at
+// runtime) and follow the glossary
+function validateTranslation(text, translated, targetLocale) {
+    return [...compareMessages(text, translated), ...glossary.check(text, translated, targetLocale)];
+}
+
+async function translateWithAI(text, targetLocale, keyPath) {
+    const cached = getCachedTranslation(text, targetLocale);
+    // Entries cached before a glossary change are translated again
+    if (cached !== undefined && glossary.check(text, cached, targetLocale).length === 0) return cached;
+
+    const rules = glossary.getRules(text, targetLocale);
+    let problems = [];
+    for (let attempt = 0; attempt <= DEFAULTS.MAX_ICU_RETRIES; attempt++) {
+        const translated = await translationProvider.translate(
+            text, DEFAULTS.REFERENCE_LOCALE, targetLocale, {
+                problems,
+                glossary: rules,
+                style: getLocaleStyle(DEFAULTS.LOCALE_STYLES, targetLocale),
+                description: messageMeta.get(keyPath)
+            }
+        );
+        problems = validateTranslation(text, translated, targetLocale);
+        if (problems.length === 0) {
+            storeTranslation(text, targetLocale, translated);
+            return translated;
+        }
+        if (VERBOSE) {
+            console.warn(`⚠️ Rejected translation "${translated}" (attempt ${attempt + 1}): ${problems.join('; ')}`);
+        }
     }
+    throw new Error(`Invalid translation after ${DEFAULTS.MAX_ICU_RETRIES + 1} attempts: ${problems.join('; ')}`);
+}
 
-    const data = await response.json();
-    const translatedText = data.choices[0].message.content.trim();
-    return translatedText.replace(/^"(.*)"$/, '$1'); // Remove surrounding quotes if present
+function printFailureReport() {
+    if (translationFailures.length === 0) return;
+    console.log(`\n❌ ${translationFailures.length} key(s) could not be translated and were left untranslated:`);
+    for (const { locale, path: keyPath, reason } of translationFailures) {
+        console.log(`   - ${locale}: ${keyPath} (${reason})`);
+    }
 }
 
 // -------------------------------------------------------------------------------------
 // Main Execution
 // -------------------------------------------------------------------------------------
-(async () => {
-    try {
-        parseArgs();
 
-        // Load configuration from next-intl.config.js
-        const { locales, defaultLocale } = loadNextIntlConfig();
-        DEFAULTS.REFERENCE_LOCALE = defaultLocale;
-        DEFAULTS.SUPPORTED_LOCALES = locales.filter(l => l !== DEFAULTS.REFERENCE_LOCALE);
+/**
+ * Translates the missing keys of every target locale with the current options, after
+ * configure(options) when options are given. Resolves to false when keys were left
+ * untranslated; configuration errors are thrown.
+ */
+async function run(options) {
+    if (options) configure(options);
+    translationFailures.length = 0;
+
+    // Load configuration from next-intl.config.js
+    const { locales, defaultLocale, localeStyles, messagesLayout, messageFiles } = loadNextIntlConfig();
+    DEFAULTS.REFERENCE_LOCALE = CONFIG_DEFAULT_LOCALE || defaultLocale;
+    DEFAULTS.LOCALE_STYLES = localeStyles;
+    DEFAULTS.SUPPORTED_LOCALES = (CONFIG_LOCALES || locales).filter(l => l !== DEFAULTS.REFERENCE_LOCALE);
+
+    if (!DEFAULTS.SUPPORTED_LOCALES.length) {
+        throw new Error('No target locales found in config');
+    }
 
-        if (!DEFAULTS.SUPPORTED_LOCALES.length) {
-            console.error('Error: No target locales found in config');
-            process.exit(1);
-        }
+    translationProvider = createTranslationProvider(TRANSLATION_PROVIDER, {
+        model: OPENAI_MODEL,
+        verbose: VERBOSE
+    });
+    const configError = translationProvider.checkConfig();
+    if (configError) {
+        throw new Error(configError);
+    }
 
-        if (!process.env.OPENAI_API_KEY) {
-            console.error('Error: OPENAI_API_KEY environment variable required');
-            process.exit(1);
-        }
+    glossary = loadGlossary(GLOSSARY_PATH);
+    messageStore = createMessageStore(LOCALE_FOLDER, {
+        layout: messagesLayout,
+        files: messageFiles,
+        referenceLocale: DEFAULTS.REFERENCE_LOCALE
+    });
+    messageMeta = loadMessageMeta(LOCALE_FOLDER, DEFAULTS.REFERENCE_LOCALE, messageStore.layout);
+
+    translationMemory = createTranslationMemory(USE_TRANSLATION_MEMORY
+        ? TRANSLATION_MEMORY_PATH || getDefaultMemoryPath(LOCALE_FOLDER)
+        : null);
 
-        console.log('🚀 Starting translation process...');
-        console.log(`Reference locale: ${DEFAULTS.REFERENCE_LOCALE}`);
-        console.log(`Target locales: ${DEFAULTS.SUPPORTED_LOCALES.join(', ')}`);
+    console.log('🚀 Starting translation process...');
+    console.log(`Reference locale: ${DEFAULTS.REFERENCE_LOCALE}`);
+    console.log(`Target locales: ${DEFAULTS.SUPPORTED_LOCALES.join(', ')}`);
+    console.log(`Translation provider: ${translationProvider.name}`);
 
-        await translateMissingKeys();
+    await translateMissingKeys();
+    if (USE_TRANSLATION_MEMORY) console.log(formatMemoryStats(translationMemory));
+    printFailureReport();
 
-        console.log('🎉 Translation completed successfully');
-    } catch (error) {
-        console.error('❌ Fatal error:', error.message);
-        process.exit(1);
+    if (translationFailures.length > 0) {
+        console.log('⚠️ Translation completed with errors');
+        return false;
     }
-})();
+    console.log('🎉 Translation completed successfully');
+    return true;
+}
+
+// -------------------------------------------------------------------------------------
+// Module API (see index.js) and CLI
+// -------------------------------------------------------------------------------------
+module.exports = {
+    configure,
+    run,
+    loadNextIntlConfig,
+    findMissingKeys,
+    flattenObject,
+    unflattenTranslations,
+    chunkByTokenBudget
+};
+
+if (require.main === module) {
+    (async () => {
+        try {
+            applyProjectConfig();
+            parseArgs();
+            const success = await run();
+            if (!success) process.exitCode = 1;
+        } catch (error) {
+            console.error('❌ Fatal error:', error.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,283 @@
+/**
+ * projectConfig.js
+ *
+ * Shared project settings of makeMultilingual.js and populateLocales.js, so CI and every developer
+ * run with the same options. Put nextjs-utils.config.json (or nextjs-utils.config.js exporting
+ * the same object) in the project root:
+ *
+ *     {
+ *       "defaultLocale": "en",
+ *       "locales": ["en", "fr", "de"],
+ *       "localeFolder": "messages",
+ *       "provider": "openai",
+ *       "model": "gpt-4o-mini",
+ *       "concurrency": 10,
+ *       "keyStrategy": "text",
+ *       "exclude": ["**\/*.stories.tsx", "components/legacy/**"],
+ *       "steps": { "install": false, "build": false }
+ *     }
+ *
+ * Precedence: built-in defaults < config file < environment variables < command-line flags.
+ * Every setting has an environment variable (see SETTINGS); lists are comma-separated there
+ * ("en,fr,de") and steps are toggled as "install=false,build=false".
+ * Another config file can be given with --config <file> or NEXTJS_UTILS_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILES = ['nextjs-utils.config.json', 'nextjs-utils.config.js'];
+
+// Steps of makeMultilingual.js that "steps" can turn off
+const STEP_NAMES = [
+  'nextIntlConfig', 'nextConfig', 'messages', 'request', 'rootLayout', 'pagesRouter',
+  'refactor', 'rtlCheck', 'translate', 'languagePicker', 'install', 'build',
+];
+
+// How the AI names new keys: after the element and its purpose (header_title, cta_button) or
+// after the text itself (welcome_back), the way the codemod does
+const KEY_STRATEGIES = ['purpose', 'text'];
+
+// Every setting of the config file, with the environment variable that overrides it
+const SETTINGS = {
+  defaultLocale: { env: 'I18N_DEFAULT_LOCALE', type: 'string' },
+  locales: { env: 'I18N_LOCALES', type: 'list' },
+  localeFolder: { env: 'I18N_LOCALE_FOLDER', type: 'string' },
+  messagesLayout: { env: 'I18N_MESSAGES_LAYOUT', type: 'string' },
+  routing: { env: 'I18N_ROUTING', type: 'string' },
+  router: { env: 'I18N_ROUTER', type: 'string' },
+  domains: { env: 'I18N_DOMAINS', type: 'map' },
+  provider: { env: 'TRANSLATION_PROVIDER', type: 'string' },
+  model: { env: 'OPENAI_MODEL', type: 'string' },
+  baseUrl: { env: 'OPENAI_BASE_URL', type: 'string' },
+  authHeader: { env: 'OPENAI_AUTH_HEADER', type: 'string' },
+  modelCapabilities: { env: 'OPENAI_MODEL_CAPABILITIES', type: 'string' },
+  concurrency: { env: 'I18N_CONCURRENCY', type: 'number' },
+  batch: { env: 'I18N_BATCH', type: 'boolean' },
+  batchTokens: { env: 'I18N_BATCH_TOKENS', type: 'number' },
+  translationMemory: { env: 'I18N_TRANSLATION_MEMORY', type: 'string|false' },
+  glossary: { env: 'I18N_GLOSSARY', type: 'string' },
+  packageManager: { env: 'I18N_PACKAGE_MANAGER', type: 'string' },
+  keyStrategy: { env: 'I18N_KEY_STRATEGY', type: 'string' },
+  include: { env: 'I18N_INCLUDE', type: 'list' },
+  exclude: { env: 'I18N_EXCLUDE', type: 'list' },
+  steps: { env: 'I18N_STEPS', type: 'steps' },
+};
+
+const TYPE_DESCRIPTIONS = {
+  string: 'a string',
+  number: 'a number',
+  boolean: 'true or false',
+  'string|false': 'a string or false',
+  list: 'an array of strings',
+  map: 'an object of strings',
+  steps: 'an object of true/false values',
+};
+
+const FALSE_VALUES = ['false', 'off', 'no', '0'];
+const TRUE_VALUES = ['true', 'on', 'yes', '1'];
+
+/** "install=false,build=off" -> { install: false, build: false } */
+function parseStepToggles(text) {
+  const steps = {};
+  for (const pair of String(text).split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, value = 'true'] = pair.split('=').map(part => part.trim());
+    if (!STEP_NAMES.includes(name)) {
+      throw new Error(`Unknown step "${name}" (expected ${STEP_NAMES.join(', ')})`);
+    }
+    if (![...TRUE_VALUES, ...FALSE_VALUES].includes(value.toLowerCase())) {
+      throw new Error(`Invalid value for step "${name}": ${value} (expected true or false)`);
+    }
+    steps[name] = TRUE_VALUES.includes(value.toLowerCase());
+  }
+  return steps;
+}
+
+/** "en=example.com,fr=example.fr" -> { en: 'example.com', fr: 'example.fr' } */
+function parseMap(text) {
+  const map = {};
+  for (const pair of String(text).split(',').map(part => part.trim()).filter(Boolean)) {
+    const [key, value] = pair.split('=').map(part => part.trim());
+    if (!key || !value) throw new Error(`Invalid entry "${pair}" (expected <key>=<value>)`);
+    map[key] = value;
+  }
+  return map;
+}
+
+/** Converts an environment variable to the type of its setting. */
+function parseEnvValue(name, type, text) {
+  switch (type) {
+    case 'list':
+      return text.split(',').map(item => item.trim()).filter(Boolean);
+    case 'number': {
+      const value = Number(text);
+      if (!Number.isFinite(value)) throw new Error(`${name} must be a number, got "${text}"`);
+      return value;
+    }
+    case 'boolean':
+      if (![...TRUE_VALUES, ...FALSE_VALUES].includes(text.toLowerCase())) {
+        throw new Error(`${name} must be ${TYPE_DESCRIPTIONS.boolean}, got "${text}"`);
+      }
+      return TRUE_VALUES.includes(text.toLowerCase());
+    case 'string|false':
+      return FALSE_VALUES.includes(text.toLowerCase()) ? false : text;
+    case 'map':
+      return parseMap(text);
+    case 'steps':
+      return parseStepToggles(text);
+    default:
+      return text;
+  }
+}
+
+/** Checks the value of a config file setting against its type. */
+function checkValue(key, type, value) {
+  const valid = {
+    string: () => typeof value === 'string',
+    number: () => typeof value === 'number' && Number.isFinite(value),
+    boolean: () => typeof value === 'boolean',
+    'string|false': () => typeof value === 'string' || value === false,
+    list: () => Array.isArray(value) && value.every(item => typeof item === 'string'),
+    map: () => value && typeof value === 'object' && !Array.isArray(value)
+      && Object.values(value).every(item => typeof item === 'string'),
+    steps: () => value && typeof value === 'object' && !Array.isArray(value)
+      && Object.values(value).every(item => typeof item === 'boolean'),
+  }[type];
+  if (!valid()) throw new Error(`"${key}" must be ${TYPE_DESCRIPTIONS[type]}`);
+  if (type === 'steps') {
+    const unknown = Object.keys(value).filter(name => !STEP_NAMES.includes(name));
+    if (unknown.length > 0) throw new Error(`Unknown step(s) in "steps": ${unknown.join(', ')} (expected ${STEP_NAMES.join(', ')})`);
+  }
+}
+
+/** Throws when `config` has an unknown setting or a value of the wrong type; `source` names it in the error. */
+function checkSettings(config, source) {
+  for (const [key, value] of Object.entries(config)) {
+    if (key === '$schema') continue;
+    if (!SETTINGS[key]) {
+      throw new Error(`Unknown setting "${key}" in ${source} (expected ${Object.keys(SETTINGS).join(', ')})`);
+    }
+    try {
+      checkValue(key, SETTINGS[key].type, value);
+    } catch (err) {
+      throw new Error(`${source}: ${err.message}`);
+    }
+  }
+}
+
+/** The config file to read: --config <file>, NEXTJS_UTILS_CONFIG, else nextjs-utils.config.{json,js}. */
+function findConfigFile(argv = []) {
+  const flagIndex = argv.indexOf('--config');
+  const explicit = flagIndex !== -1 ? argv[flagIndex + 1] : process.env.NEXTJS_UTILS_CONFIG;
+  if (explicit) {
+    const configPath = path.resolve(explicit);
+    if (!fs.existsSync(configPath)) throw new Error(`Config file not found: ${configPath}`);
+    return configPath;
+  }
+  const found = CONFIG_FILES.map(name => path.resolve(name)).filter(fs.existsSync);
+  if (found.length > 1) {
+    throw new Error(`Both ${CONFIG_FILES.join(' and ')} exist. Keep one of them.`);
+  }
+  return found[0] || null;
+}
+
+function readConfigFile(configPath) {
+  try {
+    if (configPath.endsWith('.json')) return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    delete require.cache[require.resolve(configPath)];
+    return require(configPath);
+  } catch (err) {
+    throw new Error(`Cannot read ${configPath}: ${err.message}`);
+  }
+}
+
+/**
+ * Project settings from the config file, overridden by the environment variables. Only the
+ * settings that are set somewhere are returned; command-line flags are applied by each CLI.
+ * Returns { settings, configPath }.
+ */
+function loadProjectConfig(argv = process.argv.slice(2)) {
+  const configPath = findConfigFile(argv);
+  const settings = {};
+  if (configPath) {
+    const config = readConfigFile(configPath);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`${configPath} must contain an object`);
+    }
+    checkSettings(config, configPath);
+    Object.assign(settings, config);
+    delete settings.$schema;
+  }
+  for (const [key, { env, type }] of Object.entries(SETTINGS)) {
+    const text = process.env[env];
+    if (text === undefined || text === '') continue;
+    const value = parseEnvValue(env, type, text);
+    // Step toggles add up: the environment only changes the steps it names
+    settings[key] = type === 'steps' || type === 'map' ? { ...settings[key], ...value } : value;
+  }
+  if (settings.keyStrategy && !KEY_STRATEGIES.includes(settings.keyStrategy)) {
+    throw new Error(`Unknown key strategy "${settings.keyStrategy}" (expected ${KEY_STRATEGIES.join(', ')})`);
+  }
+  return { settings, configPath };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Glob to RegExp: ** matches any number of folders, * and ? stay within one folder,
+ * {a,b} is either. A pattern without "/" matches the file name in any folder.
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        pattern += '(?:.*/)?';
+      } else {
+        pattern += '.*';
+      }
+    } else if (ch === '*') {
+      pattern += '[^/]*';
+    } else if (ch === '?') {
+      pattern += '[^/]';
+    } else if (ch === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      pattern += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      pattern += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${glob.includes('/') ? '' : '(?:.*/)?'}${pattern}$`);
+}
+
+/**
+ * Returns filePath => boolean: true when the file (relative to the project root) matches one of
+ * `include` (or `include` is empty) and none of `exclude`.
+ */
+function createPathFilter(include = [], exclude = []) {
+  const includePatterns = include.map(globToRegExp);
+  const excludePatterns = exclude.map(globToRegExp);
+  return (filePath) => {
+    const relativePath = path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+    if (includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(relativePath))) return false;
+    return !excludePatterns.some(pattern => pattern.test(relativePath));
+  };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  STEP_NAMES,
+  KEY_STRATEGIES,
+  SETTINGS,
+  parseStepToggles,
+  checkSettings,
+  loadProjectConfig,
+  globToRegExp,
+  createPathFilter,
+};
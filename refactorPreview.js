@@ -0,0 +1,232 @@
+/**
+ * refactorPreview.js
+ *
+ * Review helpers for the refactor step of makeMultilingual.js:
+ *
+ *   - createUnifiedDiff()  git-compatible unified diff of a proposed file change
+ *   - colorizeDiff()       ANSI colors for terminal output
+ *   - reviewChanges()      interactive accept / reject / edit loop over every changed file
+ *                          and every proposed common.json key
+ *
+ * Nothing in here writes project files; callers decide what to apply.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const COLORS = { red: '\x1b[31m', green: '\x1b[32m', cyan: '\x1b[36m', bold: '\x1b[1m', reset: '\x1b[0m' };
+
+// -------------------------------------------------------------------------------------
+// Unified Diff
+// -------------------------------------------------------------------------------------
+function splitLines(text) {
+  if (!text) return { lines: [], endsWithNewline: true };
+  const endsWithNewline = text.endsWith('\n');
+  const lines = text.split('\n');
+  if (endsWithNewline) lines.pop();
+  return { lines, endsWithNewline };
+}
+
+/** Line-level LCS diff. Common prefix/suffix are trimmed first to keep the table small. */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const n = midA.length;
+  const m = midB.length;
+  const table = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * (m + 1) + j] = midA[i] === midB[j]
+        ? table[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && midA[i] === midB[j]) {
+      ops.push({ type: ' ', line: midA[i] });
+      i++;
+      j++;
+    } else if (i < n && (j === m || table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1])) {
+      ops.push({ type: '-', line: midA[i] });
+      i++;
+    } else {
+      ops.push({ type: '+', line: midB[j] });
+      j++;
+    }
+  }
+  return ops.concat(a.slice(a.length - suffix).map(line => ({ type: ' ', line })));
+}
+
+/**
+ * Returns a unified diff (empty string when nothing changed). `filePath` is shown relative
+ * to the current directory so the result can be applied with `git apply`.
+ */
+function createUnifiedDiff(filePath, oldText, newText, { context = 3 } = {}) {
+  if (oldText === newText) return '';
+  const relPath = path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+  const oldSplit = splitLines(oldText);
+  const newSplit = splitLines(newText);
+  const ops = diffLines(oldSplit.lines, newSplit.lines);
+
+  // A shared last line that only gained or lost its newline is still a change, as in git
+  const lastOp = ops[ops.length - 1];
+  if (lastOp && lastOp.type === ' ' && oldSplit.endsWithNewline !== newSplit.endsWithNewline) {
+    ops.splice(-1, 1, { type: '-', line: lastOp.line }, { type: '+', line: lastOp.line });
+  }
+
+  // Number every op so hunks can report their line ranges
+  let oldLine = 0;
+  let newLine = 0;
+  for (const op of ops) {
+    op.oldIndex = oldLine;
+    op.newIndex = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+  const hunks = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end + 1) last.end = Math.max(last.end, end);
+    else hunks.push({ start, end });
+  }
+
+  const out = [
+    oldText ? `--- a/${relPath}` : '--- /dev/null',
+    newText ? `+++ b/${relPath}` : '+++ /dev/null',
+  ];
+  for (const { start, end } of hunks) {
+    const slice = ops.slice(start, end + 1);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = oldCount ? slice[0].oldIndex + 1 : slice[0].oldIndex;
+    const newStart = newCount ? slice[0].newIndex + 1 : slice[0].newIndex;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of slice) {
+      out.push(`${op.type}${op.line}`);
+      const isLastOld = op.type !== '+' && op.oldIndex === oldSplit.lines.length - 1 && !oldSplit.endsWithNewline;
+      const isLastNew = op.type !== '-' && op.newIndex === newSplit.lines.length - 1 && !newSplit.endsWithNewline;
+      if (isLastOld || isLastNew) out.push('\\ No newline at end of file');
+    }
+  }
+  return `${out.join('\n')}\n`;
+}
+
+function colorizeDiff(diff) {
+  return diff
+    .split('\n')
+    .map((line) => {
+      if (line.startsWith('---') || line.startsWith('+++')) return `${COLORS.bold}${line}${COLORS.reset}`;
+      if (line.startsWith('@@')) return `${COLORS.cyan}${line}${COLORS.reset}`;
+      if (line.startsWith('+')) return `${COLORS.green}${line}${COLORS.reset}`;
+      if (line.startsWith('-')) return `${COLORS.red}${line}${COLORS.reset}`;
+      return line;
+    })
+    .join('\n');
+}
+
+// -------------------------------------------------------------------------------------
+// Interactive Review
+// -------------------------------------------------------------------------------------
+function editInEditor(content, filePath) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const tmpFile = path.join(os.tmpdir(), `i18n-review-${Date.now()}${path.extname(filePath)}`);
+  fs.writeFileSync(tmpFile, content, 'utf8');
+  try {
+    execSync(`${editor} "${tmpFile}"`, { stdio: 'inherit' });
+    return fs.readFileSync(tmpFile, 'utf8');
+  } finally {
+    fs.unlinkSync(tmpFile);
+  }
+}
+
+function flattenKeys(obj, prefix = '') {
+  const entries = [];
+  for (const [key, value] of Object.entries(obj || {})) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) entries.push(...flattenKeys(value, keyPath));
+    else entries.push({ keyPath, value });
+  }
+  return entries;
+}
+
+function setKey(obj, keyPath, value) {
+  const parts = keyPath.split('.');
+  let current = obj;
+  for (const part of parts.slice(0, -1)) current = current[part] = current[part] || {};
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Walks through every change and asks what to do with it.
+ *
+ * changes:  [{ filePath, originalCode, updatedCode, locales }]
+ * options:  { promptUser(question, defaultValue) }
+ *
+ * Resolves with the accepted changes (updatedCode/locales possibly edited). Answering "q"
+ * rejects everything that has not been reviewed yet.
+ */
+async function reviewChanges(changes, { promptUser }) {
+  const accepted = [];
+  for (let index = 0; index < changes.length; index++) {
+    const change = changes[index];
+    let { updatedCode } = change;
+    let decision;
+    while (!decision) {
+      console.log(`\n${COLORS.bold}[${index + 1}/${changes.length}] ${change.filePath}${COLORS.reset}`);
+      console.log(colorizeDiff(createUnifiedDiff(change.filePath, change.originalCode, updatedCode)));
+      const answer = (await promptUser('Apply this change? [a]ccept / [r]eject / [e]dit / [q]uit', 'a')).toLowerCase();
+      if (answer.startsWith('e')) {
+        updatedCode = editInEditor(updatedCode, change.filePath);
+      } else if (/^[arq]/.test(answer)) {
+        decision = answer[0];
+      }
+    }
+    if (decision === 'q') {
+      console.log(`Skipping the remaining ${changes.length - index} file(s).`);
+      break;
+    }
+    if (decision === 'r') {
+      console.log(`⏩ Rejected ${change.filePath}`);
+      continue;
+    }
+
+    const locales = {};
+    for (const { keyPath, value } of flattenKeys(change.locales)) {
+      const answer = (await promptUser(`  Key "${keyPath}" = ${JSON.stringify(value)} [a]ccept / [r]eject / [e]dit`, 'a')).toLowerCase();
+      if (answer.startsWith('r')) {
+        console.log(`  ⚠️ Rejected "${keyPath}" (the code still references it)`);
+      } else if (answer.startsWith('e')) {
+        setKey(locales, keyPath, await promptUser(`  New value for "${keyPath}"`, value));
+      } else {
+        setKey(locales, keyPath, value);
+      }
+    }
+    accepted.push({ ...change, updatedCode, locales });
+  }
+  return accepted;
+}
+
+module.exports = {
+  createUnifiedDiff,
+  colorizeDiff,
+  reviewChanges,
+};
@@ -0,0 +1,330 @@
+/**
+ * rtlStyles.js
+ *
+ * Finds styles that do not mirror in right-to-left locales (Arabic, Hebrew, Persian, ...) and
+ * suggests the logical equivalent:
+ *
+ *     const { scanForPhysicalStyles } = require('./rtlStyles');
+ *     scanForPhysicalStyles(['app', 'components']);
+ *     // [{ filePath, line, column, found: 'ml-4', suggestion: 'ms-4' }, ...]
+ *
+ * Checked:
+ *   - Tailwind classes: ml-4 -> ms-4, pr-2 -> pe-2, left-0 -> start-0, text-left -> text-start,
+ *     border-l -> border-s, rounded-tl -> rounded-ss, ... (variants such as md:ml-4 are kept;
+ *     classes behind rtl:/ltr: are deliberate and skipped). Only the strings of class,
+ *     className and *ClassName attributes and of cn(), clsx(), classnames(), cx(), twMerge(),
+ *     twJoin() and cva() arguments are checked, so copy such as "Press ml-2" is not a class.
+ *   - CSS files: margin-left -> margin-inline-start, left -> inset-inline-start,
+ *     text-align: left -> text-align: start, ...
+ *   - style objects in JS: marginLeft -> marginInlineStart, textAlign: 'left' -> 'start', ...
+ *
+ * Logical Tailwind classes need Tailwind CSS 3.3 or later.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Languages written right to left (the language part of the locale: ar-EG -> ar)
+const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ks', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+const CODE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+const STYLE_EXTENSIONS = ['.css', '.scss', '.sass', '.less'];
+const IGNORED_DIRS = ['node_modules', '.next', '.git', 'out', 'dist', 'build'];
+
+function getTextDirection(locale) {
+  return RTL_LANGUAGES.includes(String(locale).split(/[-_]/)[0].toLowerCase()) ? 'rtl' : 'ltr';
+}
+
+// -------------------------------------------------------------------------------------
+// Tailwind
+// -------------------------------------------------------------------------------------
+
+// Utilities that take a value (ml-4, -left-2, scroll-pr-6) and their logical names
+const TAILWIND_PREFIXES = {
+  ml: 'ms', mr: 'me', pl: 'ps', pr: 'pe',
+  left: 'start', right: 'end',
+  'scroll-ml': 'scroll-ms', 'scroll-mr': 'scroll-me', 'scroll-pl': 'scroll-ps', 'scroll-pr': 'scroll-pe',
+};
+// Utilities with an optional value (border-l, border-l-2, rounded-tl-lg)
+const TAILWIND_OPTIONAL_VALUE = {
+  'border-l': 'border-s', 'border-r': 'border-e',
+  'rounded-l': 'rounded-s', 'rounded-r': 'rounded-e',
+  'rounded-tl': 'rounded-ss', 'rounded-tr': 'rounded-se', 'rounded-bl': 'rounded-es', 'rounded-br': 'rounded-ee',
+};
+// Whole classes
+const TAILWIND_CLASSES = {
+  'text-left': 'text-start', 'text-right': 'text-end',
+  'float-left': 'float-start', 'float-right': 'float-end',
+  'clear-left': 'clear-start', 'clear-right': 'clear-end',
+};
+
+const CLASS_TOKEN_PATTERN = /(^|\s)(!?[a-z0-9:[\]&_./!-]+)(?=$|\s)/g;
+// class="..." / className={...} / wrapperClassName=... and class-name helpers such as cn(...)
+const CLASS_ATTRIBUTE_PATTERN = /(?<![\w$.-])(class|className|[a-z][A-Za-z0-9]*ClassName)\s*=\s*(?=["'`{])/g;
+const CLASS_HELPER_PATTERN = /(?<![\w$.])(cn|clsx|classnames|classNames|cx|twMerge|twJoin|cva)\s*\(/g;
+// Spacing and inset values (4, 0.5, 1/2, px, auto, full, [3px]), so prose like "right-click" is not a class
+const TAILWIND_VALUE_PATTERN = /^(\d+(\.\d+)?|\d+\/\d+|px|auto|full|\[[^\]]+\])$/;
+
+/** Logical equivalent of a Tailwind class such as "md:-ml-4", or null when it is not physical. */
+function suggestTailwindClass(token) {
+  const variants = token.split(':');
+  let utility = variants.pop();
+  if (variants.some(variant => variant === 'rtl' || variant === 'ltr')) return null;
+  // Keep the variants (md:, hover:) and the important modifier (!ml-4)
+  let prefix = variants.map(variant => `${variant}:`).join('');
+  if (utility.startsWith('!')) {
+    prefix += '!';
+    utility = utility.slice(1);
+  }
+  const negative = utility.startsWith('-') ? '-' : '';
+  const name = negative ? utility.slice(1) : utility;
+
+  if (TAILWIND_CLASSES[name] && !negative) return `${prefix}${TAILWIND_CLASSES[name]}`;
+  if (/^space-x-/.test(name) && TAILWIND_VALUE_PATTERN.test(name.slice('space-x-'.length))) return `${prefix}${negative}gap-x-${name.slice('space-x-'.length)} (or add rtl:space-x-reverse)`;
+  for (const [physical, logical] of Object.entries(TAILWIND_OPTIONAL_VALUE)) {
+    if (!negative && (name === physical || name.startsWith(`${physical}-`))) return `${prefix}${logical}${name.slice(physical.length)}`;
+  }
+  for (const [physical, logical] of Object.entries(TAILWIND_PREFIXES)) {
+    if (name.startsWith(`${physical}-`) && TAILWIND_VALUE_PATTERN.test(name.slice(physical.length + 1))) {
+      return `${prefix}${negative}${logical}${name.slice(physical.length)}`;
+    }
+  }
+  return null;
+}
+
+// -------------------------------------------------------------------------------------
+// CSS and style objects
+// -------------------------------------------------------------------------------------
+
+const CSS_PROPERTIES = {
+  'margin-left': 'margin-inline-start', 'margin-right': 'margin-inline-end',
+  'padding-left': 'padding-inline-start', 'padding-right': 'padding-inline-end',
+  'border-left': 'border-inline-start', 'border-right': 'border-inline-end',
+  'border-left-width': 'border-inline-start-width', 'border-right-width': 'border-inline-end-width',
+  'border-left-color': 'border-inline-start-color', 'border-right-color': 'border-inline-end-color',
+  'border-left-style': 'border-inline-start-style', 'border-right-style': 'border-inline-end-style',
+  'border-top-left-radius': 'border-start-start-radius', 'border-top-right-radius': 'border-start-end-radius',
+  'border-bottom-left-radius': 'border-end-start-radius', 'border-bottom-right-radius': 'border-end-end-radius',
+  left: 'inset-inline-start', right: 'inset-inline-end',
+};
+// Properties whose left/right values have logical counterparts
+const CSS_VALUES = { 'text-align': ['start', 'end'], float: ['inline-start', 'inline-end'], clear: ['inline-start', 'inline-end'] };
+
+function toCamelCase(property) {
+  return property.replace(/-([a-z])/g, (match, ch) => ch.toUpperCase());
+}
+
+function findInCss(line) {
+  const results = [];
+  const declarationPattern = /(^|[\s{;])([a-z-]+)\s*:\s*([^;{}]*)/g;
+  let match;
+  while ((match = declarationPattern.exec(line)) !== null) {
+    const [, lead, property, value] = match;
+    const column = match.index + lead.length;
+    if (CSS_PROPERTIES[property]) {
+      results.push({ column, found: property, suggestion: CSS_PROPERTIES[property] });
+    } else if (CSS_VALUES[property]) {
+      const side = value.trim().match(/^(left|right)\b/);
+      if (side) {
+        const logical = CSS_VALUES[property][side[1] === 'left' ? 0 : 1];
+        results.push({ column, found: `${property}: ${side[1]}`, suggestion: `${property}: ${logical}` });
+      }
+    }
+  }
+  return results;
+}
+
+function findInStyleObjects(line) {
+  const results = [];
+  for (const [property, logical] of Object.entries(CSS_PROPERTIES)) {
+    if (!property.includes('-')) continue;
+    const pattern = new RegExp(`\\b${toCamelCase(property)}\\s*:`, 'g');
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      results.push({ column: match.index, found: toCamelCase(property), suggestion: toCamelCase(logical) });
+    }
+  }
+  for (const [property, [start, end]] of Object.entries(CSS_VALUES)) {
+    const pattern = new RegExp(`\\b${toCamelCase(property)}\\s*:\\s*['"](left|right)['"]`, 'g');
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      const logical = match[1] === 'left' ? start : end;
+      results.push({ column: match.index, found: `${toCamelCase(property)}: '${match[1]}'`, suggestion: `${toCamelCase(property)}: '${logical}'` });
+    }
+  }
+  // left/right keys are only style properties inside style={{ ... }}
+  const inlineStyle = line.match(/style=\{\{([^}]*)\}\}/);
+  if (inlineStyle) {
+    const offset = line.indexOf(inlineStyle[1]);
+    const sidePattern = /(^|[\s,{])(left|right)\s*:/g;
+    let match;
+    while ((match = sidePattern.exec(inlineStyle[1])) !== null) {
+      results.push({
+        column: offset + match.index + match[1].length,
+        found: match[2],
+        suggestion: toCamelCase(CSS_PROPERTIES[match[2]]),
+      });
+    }
+  }
+  return results;
+}
+
+// -------------------------------------------------------------------------------------
+// Scanning
+// -------------------------------------------------------------------------------------
+
+/** Index just past the string literal that opens at `start` ('...', "..." or `...${...}...`). */
+function skipString(code, start) {
+  const quote = code[start];
+  for (let i = start + 1; i < code.length; i++) {
+    if (code[i] === '\\') i++;
+    else if (code[i] === quote) return i + 1;
+    else if (quote === '`' && code.startsWith('${', i)) i = skipBalanced(code, i + 1) - 1;
+  }
+  return code.length;
+}
+
+/** Index just past the bracket that closes the one at `start`, skipping string literals. */
+function skipBalanced(code, start) {
+  let depth = 0;
+  for (let i = start; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      i = skipString(code, i) - 1;
+    } else if ('([{'.includes(ch)) {
+      depth++;
+    } else if (')]}'.includes(ch) && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return code.length;
+}
+
+/**
+ * The string literals from `start` to `end` as [{ index, value }]. The ${...} parts of template
+ * literals are blanked out of the value and searched for literals of their own.
+ */
+function findStringLiterals(code, start, end) {
+  const literals = [];
+  for (let i = start; i < end; i++) {
+    if (code[i] !== '"' && code[i] !== "'" && code[i] !== '`') continue;
+    const close = skipString(code, i);
+    let value = '';
+    for (let j = i + 1; j < close - 1; j++) {
+      if (code[i] === '`' && code.startsWith('${', j)) {
+        const expressionEnd = skipBalanced(code, j + 1);
+        literals.push(...findStringLiterals(code, j + 2, expressionEnd - 1));
+        value += ' '.repeat(expressionEnd - j);
+        j = expressionEnd - 1;
+      } else {
+        value += code[j];
+      }
+    }
+    literals.push({ index: i + 1, value });
+    i = close - 1;
+  }
+  return literals;
+}
+
+/** Tailwind classes in class attributes and class-name helper calls, as [{ index, found, suggestion }]. */
+function findTailwindClasses(code) {
+  const literals = [];
+  let match;
+  CLASS_ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = CLASS_ATTRIBUTE_PATTERN.exec(code)) !== null) {
+    const start = match.index + match[0].length;
+    const end = code[start] === '{' ? skipBalanced(code, start) : skipString(code, start);
+    literals.push(...findStringLiterals(code, start, end));
+  }
+  CLASS_HELPER_PATTERN.lastIndex = 0;
+  while ((match = CLASS_HELPER_PATTERN.exec(code)) !== null) {
+    const start = match.index + match[0].length - 1;
+    literals.push(...findStringLiterals(code, start, skipBalanced(code, start)));
+  }
+
+  const results = [];
+  const seen = new Set();
+  for (const { index, value } of literals) {
+    // A cn() call inside className={...} is reached twice
+    if (seen.has(index)) continue;
+    seen.add(index);
+    CLASS_TOKEN_PATTERN.lastIndex = 0;
+    while ((match = CLASS_TOKEN_PATTERN.exec(value)) !== null) {
+      const suggestion = suggestTailwindClass(match[2]);
+      if (suggestion) results.push({ index: index + match.index + match[1].length, found: match[2], suggestion });
+    }
+  }
+  return results;
+}
+
+/**
+ * Physical styles in one file as [{ line, column, found, suggestion }] (1-based line and column).
+ * CSS files are checked for properties, JS/TS files for Tailwind classes and style objects.
+ */
+function findPhysicalStyles(code, filePath) {
+  const isStylesheet = STYLE_EXTENSIONS.includes(path.extname(filePath));
+  const results = [];
+  let inBlockComment = false;
+  // Comments are not styles: blank them out, keeping the lines and columns
+  const lines = code.split(/\r?\n/).map((text) => {
+    let line = text;
+    if (inBlockComment) {
+      const end = line.indexOf('*/');
+      if (end === -1) return '';
+      line = ' '.repeat(end + 2) + line.slice(end + 2);
+      inBlockComment = false;
+    }
+    line = line.replace(/\/\*.*?\*\//g, match => ' '.repeat(match.length));
+    const open = line.indexOf('/*');
+    if (open !== -1) {
+      line = line.slice(0, open);
+      inBlockComment = true;
+    }
+    if (!isStylesheet || /\.(scss|sass|less)$/.test(filePath)) line = line.replace(/(^|\s)\/\/.*$/, '$1');
+    return line;
+  });
+
+  lines.forEach((line, index) => {
+    const found = isStylesheet ? findInCss(line) : findInStyleObjects(line);
+    for (const result of found) results.push({ ...result, line: index + 1, column: result.column + 1 });
+  });
+  if (!isStylesheet) {
+    // Class lists can span lines (cn(\n  'ml-4',\n  ...)), so they are found in the whole file
+    const lineStarts = [0];
+    for (const line of lines) lineStarts.push(lineStarts[lineStarts.length - 1] + line.length + 1);
+    for (const { index, ...result } of findTailwindClasses(lines.join('\n'))) {
+      let line = 0;
+      while (lineStarts[line + 1] <= index) line++;
+      results.push({ ...result, line: line + 1, column: index - lineStarts[line] + 1 });
+    }
+  }
+  return results.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+function listFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.includes(entry.name)) files.push(...listFiles(fullPath));
+    } else if ([...CODE_EXTENSIONS, ...STYLE_EXTENSIONS].includes(path.extname(entry.name)) && !entry.name.endsWith('.d.ts')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/** Physical styles in every source and stylesheet under `dirs`, as [{ filePath, line, column, found, suggestion }]. */
+function scanForPhysicalStyles(dirs) {
+  const files = [...new Set(dirs.filter(dir => fs.existsSync(dir)).flatMap(listFiles))];
+  return files.flatMap(filePath => findPhysicalStyles(fs.readFileSync(filePath, 'utf8'), filePath)
+    .map(result => ({ filePath, ...result })));
+}
+
+module.exports = {
+  RTL_LANGUAGES,
+  getTextDirection,
+  suggestTailwindClass,
+  findPhysicalStyles,
+  scanForPhysicalStyles,
+};
@@ -15,17 +15,22 @@ if [ -f .env ]; then
   fi
 fi
 
-# Temporary file name with random component
-TMP_FILE="i18n-script-$(date +%s).js"
-SCRIPT_URL="https://raw.githubusercontent.com/Orsofuy/nextjs-utils/refs/heads/main/populateLocales.js"
+# Temporary folder name with random component (kept inside the project so that
+# node_modules dependencies like node-fetch still resolve)
+TMP_DIR=".i18n-script-$(date +%s)"
+BASE_URL="https://raw.githubusercontent.com/Orsofuy/nextjs-utils/refs/heads/main"
+SCRIPT_FILES="populateLocales.js projectConfig.js messageStore.js translationProviders.js openaiClient.js jsonReply.js translationMemory.js translationLock.js icuMessage.js glossary.js translationContext.js"
 
 echo "🔍 Downloading latest translation script..."
-curl -sS "$SCRIPT_URL" -o "$TMP_FILE"
+mkdir -p "$TMP_DIR"
+for FILE in $SCRIPT_FILES; do
+  curl -sS "$BASE_URL/$FILE" -o "$TMP_DIR/$FILE"
+done
 
 echo "🚀 Running translation process..."
-node "$TMP_FILE" "$@"
+node "$TMP_DIR/populateLocales.js" "$@"
 
 echo "🧹 Cleaning up..."
-rm -f "$TMP_FILE"
+rm -rf "$TMP_DIR"
 
 echo "✅ Done!"
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCsv, parseCsv, toRecords } = require('../csvTable');
+
+test('buildCsv and parseCsv round-trip commas, quotes, line breaks and edge whitespace', () => {
+  const rows = [
+    ['key', 'en', 'fr', 'description'],
+    ['Cart.items', '{count, plural, one {# item} other {# items}}', '', 'Badge, "cart" icon'],
+    ['Legal.notice', 'Line one\nLine two', 'Ligne un\r\nLigne deux', ' padded '],
+  ];
+  const content = buildCsv(rows);
+  assert.ok(content.startsWith('\uFEFFkey,en,fr,description\r\n'));
+  assert.deepEqual(parseCsv(content), rows);
+});
+
+test('buildCsv writes missing cells as empty fields', () => {
+  assert.equal(buildCsv([['key', 'fr'], ['a', undefined], ['b', null]]), '\uFEFFkey,fr\r\na,\r\nb,\r\n');
+});
+
+test('parseCsv skips empty lines and accepts LF, CR and a missing final newline', () => {
+  assert.deepEqual(parseCsv('key,fr\n\na,A\rb,"B ""quoted"""'), [['key', 'fr'], ['a', 'A'], ['b', 'B "quoted"']]);
+  assert.throws(() => parseCsv('key,fr\na,"open'), /Unterminated quoted field/);
+});
+
+test('toRecords keys cells by the trimmed header and numbers rows like a spreadsheet', () => {
+  assert.deepEqual(toRecords([['key', ' fr '], ['a', 'A'], ['b']]), [
+    { row: 2, key: 'a', fr: 'A' },
+    { row: 3, key: 'b', fr: '' },
+  ]);
+  assert.deepEqual(toRecords([]), []);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPo, parsePo } = require('../gettextPo');
+
+test('buildPo and parsePo round-trip headers, entries, flags and metadata', () => {
+  const content = buildPo({
+    headers: { Language: 'fr', 'X-Source-Language': 'en' },
+    entries: [
+      {
+        context: 'UserProfile.title',
+        source: 'Profile',
+        target: 'Profil',
+        comments: ['Page heading of the profile page'],
+        references: ['messages/en/common.json'],
+        metadata: { 'X-Target-Hash': '1a2b3c4d5e6f7a8b' },
+      },
+      {
+        context: 'Cart.items',
+        source: '{count, plural, one {# item} other {# items}}',
+        target: '',
+        flags: ['fuzzy'],
+        metadata: { 'X-Target-Hash': '' },
+      },
+      {
+        context: 'Legal.notice',
+        source: 'Line one\nSay "hi"\\ok\tdone',
+        target: 'Ligne un\nDis "salut"\\ok\tfini',
+      },
+    ],
+  });
+
+  const { headers, entries } = parsePo(content);
+  assert.deepEqual(headers, {
+    'Content-Type': 'text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding': '8bit',
+    Language: 'fr',
+    'X-Source-Language': 'en',
+  });
+  assert.deepEqual(entries.map(({ line, ...entry }) => entry), [
+    {
+      context: 'UserProfile.title',
+      source: 'Profile',
+      target: 'Profil',
+      comments: ['Page heading of the profile page'],
+      metadata: { 'X-Target-Hash': '1a2b3c4d5e6f7a8b' },
+      flags: [],
+      plural: false,
+    },
+    {
+      context: 'Cart.items',
+      source: '{count, plural, one {# item} other {# items}}',
+      target: '',
+      comments: [],
+      metadata: { 'X-Target-Hash': '' },
+      flags: ['fuzzy'],
+      plural: false,
+    },
+    {
+      context: 'Legal.notice',
+      source: 'Line one\nSay "hi"\\ok\tdone',
+      target: 'Ligne un\nDis "salut"\\ok\tfini',
+      comments: [],
+      metadata: {},
+      flags: [],
+      plural: false,
+    },
+  ]);
+});
+
+test('parsePo reads entries without blank lines between them, and drops obsolete ones', () => {
+  const { entries } = parsePo([
+    '\uFEFFmsgid ""',
+    'msgstr "Language: de\\n"',
+    '',
+    'msgctxt "a"',
+    'msgid "A"',
+    'msgstr "Ä"',
+    '#. next entry',
+    'msgctxt "b"',
+    'msgid "B"',
+    'msgstr ""',
+    '"B-"',
+    '"Zwei"',
+    '#~ msgid "Old"',
+    '#~ msgstr "Alt"',
+  ].join('\r\n'));
+  assert.deepEqual(entries.map(({ context, target, comments }) => ({ context, target, comments })), [
+    { context: 'a', target: 'Ä', comments: [] },
+    { context: 'b', target: 'B-Zwei', comments: ['next entry'] },
+  ]);
+});
+
+test('parsePo marks gettext plural entries and keeps only msgstr[0]', () => {
+  const { entries } = parsePo('msgctxt "n"\nmsgid "# file"\nmsgid_plural "# files"\nmsgstr[0] "# fichier"\nmsgstr[1] "# fichiers"\n');
+  assert.equal(entries[0].plural, true);
+  assert.equal(entries[0].target, '# fichier');
+});
+
+test('parsePo reports the line it cannot parse', () => {
+  assert.throws(() => parsePo('msgid "A"\nmsgstr "B"\nnonsense\n'), /^Error: Line 3: cannot parse "nonsense"$/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractTranslationUsages, collectMessageKeys } = require('../i18nUsage');
+const { isScannerAvailable } = require('../i18nScanner');
+
+// Scoping needs the AST; without @babel/parser the regex fallback resolves by position only
+const skip = !isScannerAvailable() && '@babel/parser is not installed';
+
+function keys(code) {
+  return extractTranslationUsages(code, 'page.tsx').map(({ key, dynamic }) => (dynamic ? `${key}*` : key));
+}
+
+test('extractTranslationUsages resolves each call to the innermost declaration', { skip }, () => {
+  const code = `
+    const t = useTranslations('Page');
+    export function Header() {
+      const t = useTranslations('Header');
+      return <h1>{t('title')}</h1>;
+    }
+    export function Footer() {
+      return <p>{t('copyright')}</p>;
+    }
+    export default function Page() {
+      const t = useTranslations('Page');
+      const items = [1, 2].map(() => {
+        const t = useTranslations('Item');
+        return t('label');
+      });
+      return <main>{t('title')}{items}</main>;
+    }
+  `;
+  assert.deepEqual(keys(code), ['Header.title', 'Page.copyright', 'Item.label', 'Page.title']);
+});
+
+test('extractTranslationUsages ignores calls outside the scope of a declaration', { skip }, () => {
+  const code = `
+    function Nav() {
+      const tNav = useTranslations('Nav');
+      return tNav('home');
+    }
+    function Other() {
+      return tNav('about');
+    }
+  `;
+  assert.deepEqual(keys(code), ['Nav.home']);
+});
+
+test('extractTranslationUsages reads methods, getTranslations and dynamic keys', { skip }, () => {
+  const code = `
+    export async function generateMetadata({ params }) {
+      const t = await getTranslations({ locale: params.locale, namespace: 'Meta' });
+      return { title: t('title') };
+    }
+    export default function Profile({ status, ns }) {
+      const t = useTranslations('Profile');
+      const tRoot = useTranslations();
+      const tAny = useTranslations(ns);
+      t.rich('bio', {});
+      t.has('badge');
+      tRoot('common.ok');
+      tAny('whatever');
+      return t(\`status_\${status}\`);
+    }
+  `;
+  const usages = extractTranslationUsages(code, 'page.tsx');
+  assert.deepEqual(usages.map(({ key, namespace, method, dynamic }) => ({ key, namespace, method, dynamic })), [
+    { key: 'Meta.title', namespace: 'Meta', method: 't', dynamic: false },
+    { key: 'Profile.bio', namespace: 'Profile', method: 't.rich', dynamic: false },
+    { key: 'Profile.badge', namespace: 'Profile', method: 't.has', dynamic: false },
+    { key: 'common.ok', namespace: '', method: 't', dynamic: false },
+    { key: null, namespace: null, method: 't', dynamic: true },
+    { key: 'Profile.status_', namespace: 'Profile', method: 't', dynamic: true },
+  ]);
+  assert.equal(usages[0].line, 4);
+});
+
+test('collectMessageKeys lists the dotted path of every leaf', () => {
+  assert.deepEqual(collectMessageKeys({ a: 'A', b: { c: 'C', d: { e: 'E' } }, list: ['x', 'y'] }), ['a', 'b.c', 'b.d.e', 'list']);
+});
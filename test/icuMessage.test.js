@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMessage, isValidMessage, compareMessages } = require('../icuMessage');
+
+test('parseMessage reads arguments, plurals, "#" and tags', () => {
+  assert.deepEqual(parseMessage('Hi {name}, <b>{count, plural, one {# item} other {# items}}</b>'), [
+    { type: 'text', value: 'Hi ' },
+    { type: 'argument', name: 'name', format: null, style: null },
+    { type: 'text', value: ', ' },
+    {
+      type: 'tag',
+      name: 'b',
+      children: [{
+        type: 'plural',
+        name: 'count',
+        options: {
+          one: [{ type: 'pound' }, { type: 'text', value: ' item' }],
+          other: [{ type: 'pound' }, { type: 'text', value: ' items' }],
+        },
+      }],
+    },
+  ]);
+});
+
+test('isValidMessage rejects unbalanced braces and plurals without "other"', () => {
+  assert.equal(isValidMessage('Hello {name}'), true);
+  assert.equal(isValidMessage('Hello {name'), false);
+  assert.equal(isValidMessage('{count, plural, one {# item}}'), false);
+});
+
+test('compareMessages accepts a translation that keeps the structure', () => {
+  assert.deepEqual(compareMessages('Hello {name}, you have {n, number} points', 'Bonjour {name}, vous avez {n, number} points'), []);
+});
+
+test('compareMessages reports missing and unknown arguments', () => {
+  assert.deepEqual(compareMessages('Hello {name}', 'Bonjour {nom}'), ['Missing {name}', 'Unknown argument {nom}']);
+  assert.deepEqual(compareMessages('Due {d, date}', 'Échéance {d}'), ['Missing {d, date}']);
+});
+
+test('compareMessages lets plural categories differ but keeps explicit plural options', () => {
+  const source = '{count, plural, =0 {No items} one {# item} other {# items}}';
+  assert.deepEqual(compareMessages(source, '{count, plural, =0 {Aucun} one {# élément} few {# elementy} other {# éléments}}'), []);
+  assert.deepEqual(compareMessages(source, '{count, plural, one {# élément} other {# éléments}}'), ['Missing option(s) =0 in {count, plural}']);
+});
+
+test('compareMessages keeps every select option', () => {
+  const source = '{gender, select, female {She} male {He} other {They}}';
+  assert.deepEqual(compareMessages(source, '{gender, select, female {Elle} male {Il} other {Iel}}'), []);
+  assert.deepEqual(compareMessages(source, '{gender, select, female {Elle} other {Iel}}'), ['Missing option(s) male in {gender, select}']);
+});
+
+test('compareMessages requires "#" in plurals that use it', () => {
+  assert.deepEqual(
+    compareMessages('{count, plural, one {# item} other {# items}}', '{count, plural, one {un élément} other {des éléments}}'),
+    ['"#" is missing in {count, plural}'],
+  );
+  // "#" in any option of the plural is enough
+  assert.deepEqual(compareMessages('{count, plural, one {# item} other {# items}}', '{count, plural, one {un élément} other {# éléments}}'), []);
+});
+
+test('compareMessages reports missing and unknown rich-text tags', () => {
+  assert.deepEqual(compareMessages('Read the <link>terms</link>', 'Lisez les <link>conditions</link>'), []);
+  assert.deepEqual(compareMessages('Read the <link>terms</link>', 'Lisez les <a>conditions</a>'), ['Missing tag <link>', 'Unknown tag <a>']);
+});
+
+test('compareMessages reports translations that do not parse, and skips invalid sources', () => {
+  assert.equal(compareMessages('Hello {name}', 'Bonjour {name').length, 1);
+  assert.match(compareMessages('Hello {name}', 'Bonjour {name')[0], /^Invalid ICU message: /);
+  assert.deepEqual(compareMessages('Hello {name', 'Bonjour'), []);
+  assert.deepEqual(compareMessages('Hello', 42), ['Translation is not a string']);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeControlCharacters, extractJson, validateJsonShape, parseJsonReply } = require('../jsonReply');
+
+const UPDATED_FILE_SCHEMA = {
+  type: 'object',
+  properties: { needsUpdate: { type: 'boolean' }, updatedCode: { type: 'string' } },
+  required: ['needsUpdate', 'updatedCode'],
+};
+
+test('extractJson parses a plain reply as is', () => {
+  assert.deepEqual(extractJson('{ "a": 1, "b": [true, null] }'), { a: 1, b: [true, null] });
+});
+
+test('extractJson strips code fences', () => {
+  assert.deepEqual(extractJson('```json\n{ "title": "Bonjour" }\n```'), { title: 'Bonjour' });
+  assert.deepEqual(extractJson('```\n{ "title": "Bonjour" }\n```'), { title: 'Bonjour' });
+});
+
+test('extractJson finds the object inside prose, skipping braces in strings', () => {
+  assert.deepEqual(extractJson('Sure! Here it is: { "text": "a } b {", "n": 2 } Hope it helps {:'), { text: 'a } b {', n: 2 });
+  assert.deepEqual(extractJson('Use {this} as { "ok": true }'), { ok: true });
+});
+
+test('extractJson escapes raw line breaks and tabs inside strings', () => {
+  const reply = '{ "updatedCode": "line 1\nline 2\tindented", "needsUpdate": true }';
+  assert.deepEqual(extractJson(reply), { updatedCode: 'line 1\nline 2\tindented', needsUpdate: true });
+  assert.equal(escapeControlCharacters('{ "a": "x\ny" }\n'), '{ "a": "x\\ny" }\n');
+  assert.equal(escapeControlCharacters('{ "a": "say \\"hi\\"\n" }'), '{ "a": "say \\"hi\\"\\n" }');
+});
+
+test('extractJson throws on empty replies and replies without JSON', () => {
+  assert.throws(() => extractJson('   '), /The reply is empty/);
+  assert.throws(() => extractJson(undefined), /The reply is empty/);
+  assert.throws(() => extractJson('I cannot translate this.'), /The reply is not valid JSON: /);
+});
+
+test('validateJsonShape reports wrong types, missing and unexpected keys', () => {
+  assert.deepEqual(validateJsonShape({ needsUpdate: false, updatedCode: '' }, UPDATED_FILE_SCHEMA), []);
+  assert.deepEqual(validateJsonShape({ needsUpdate: 'no' }, UPDATED_FILE_SCHEMA), [
+    '$.updatedCode is missing',
+    '$.needsUpdate must be boolean, got string',
+  ]);
+  assert.deepEqual(validateJsonShape([], UPDATED_FILE_SCHEMA), ['$ must be object, got array']);
+  assert.deepEqual(
+    validateJsonShape({ a: 'x', b: 'y' }, { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false }),
+    ['$.b is not expected'],
+  );
+});
+
+test('validateJsonShape checks array items, additionalProperties schemas and integers as numbers', () => {
+  const schema = { type: 'object', additionalProperties: { type: 'array', items: { type: 'number' } } };
+  assert.deepEqual(validateJsonShape({ a: [1, 2.5], b: [3, 'x'] }, schema), ['$.b[1] must be number, got string']);
+  assert.deepEqual(validateJsonShape(null, { type: ['string', 'null'] }), []);
+  assert.deepEqual(validateJsonShape({ anything: 1 }, undefined), []);
+});
+
+test('parseJsonReply repairs the reply, then throws with every shape problem', () => {
+  assert.deepEqual(
+    parseJsonReply('Sure!\n```json\n{ "needsUpdate": false, "updatedCode": "" }\n```', UPDATED_FILE_SCHEMA),
+    { needsUpdate: false, updatedCode: '' },
+  );
+  assert.throws(
+    () => parseJsonReply('{ "needsUpdate": 1 }', UPDATED_FILE_SCHEMA),
+    { message: 'The reply does not match the expected JSON: $.updatedCode is missing; $.needsUpdate must be boolean, got integer' },
+  );
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildXliff, parseXliff } = require('../xliff');
+
+test('buildXliff and parseXliff round-trip units, notes and metadata', () => {
+  const document = buildXliff({
+    srcLang: 'en',
+    trgLang: 'fr',
+    files: [{
+      id: 'common',
+      original: 'messages/en/common.json',
+      units: [
+        {
+          id: 'Cart.items',
+          source: '{count, plural, one {# item} other {# items}} & <b>more</b>',
+          target: '{count, plural, one {# article} other {# articles}} & <b>plus</b>',
+          state: 'reviewed',
+          notes: [{ category: 'description', text: 'Badge "cart" <header>' }],
+          metadata: { sourceHash: '3f2a9c0d51b7e8aa', targetHash: '', ignored: undefined },
+        },
+        { id: 'Cart.empty', source: 'Your cart is empty' },
+      ],
+    }],
+  });
+
+  assert.deepEqual(parseXliff(document), {
+    srcLang: 'en',
+    trgLang: 'fr',
+    units: [
+      {
+        id: 'Cart.items',
+        fileId: 'common',
+        source: '{count, plural, one {# item} other {# items}} & <b>more</b>',
+        target: '{count, plural, one {# article} other {# articles}} & <b>plus</b>',
+        state: 'reviewed',
+        metadata: { sourceHash: '3f2a9c0d51b7e8aa', targetHash: '' },
+        notes: [{ category: 'description', text: 'Badge "cart" <header>' }],
+      },
+      {
+        id: 'Cart.empty',
+        fileId: 'common',
+        source: 'Your cart is empty',
+        target: null,
+        state: 'initial',
+        metadata: {},
+        notes: [],
+      },
+    ],
+  });
+});
+
+test('parseXliff reads units in groups, CDATA and character references', () => {
+  const { units } = parseXliff(`<?xml version="1.0"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="de">
+  <file id="f1">
+    <group id="g1">
+      <unit id="a"><segment state="translated"><source>Tom &amp; Jerry</source><target><![CDATA[Tom & <i>Jerry</i>]]></target></segment></unit>
+    </group>
+    <unit id="b"><segment state="final"><source>caf&#233;</source><target>Caf&#xE9;</target></segment></unit>
+  </file>
+</xliff>`);
+  assert.deepEqual(units.map(({ id, source, target, state }) => ({ id, source, target, state })), [
+    { id: 'b', source: 'café', target: 'Café', state: 'final' },
+    { id: 'a', source: 'Tom & Jerry', target: 'Tom & <i>Jerry</i>', state: 'translated' },
+  ]);
+});
+
+test('parseXliff rejects documents it cannot merge safely', () => {
+  const wrap = body => `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="fr"><file id="f">${body}</file></xliff>`;
+  assert.throws(() => parseXliff('<root/>'), /Not an XLIFF document/);
+  assert.throws(() => parseXliff('<xliff version="1.2" srcLang="en" trgLang="fr"></xliff>'), /Unsupported XLIFF version "1.2"/);
+  assert.throws(() => parseXliff(wrap('<unit id="a"><segment state="done"><source>x</source></segment></unit>')), /unknown state "done"/);
+  assert.throws(() => parseXliff(wrap('<unit id="a"><segment><source>Hi <ph id="1"/></source></segment></unit>')), /inline markup <ph> is not supported/);
+  assert.throws(() => parseXliff(wrap('<unit id="a"><segment><source>x</segment></unit>')), /Unexpected <\/segment>/);
+});
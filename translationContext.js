@@ -0,0 +1,125 @@
+/**
+ * translationContext.js
+ *
+ * Context passed along with every translation request, shared by makeMultilingual.js and
+ * populateLocales.js:
+ *
+ *   - Per-locale style settings, read from a `localeStyles` entry in next-intl.config.js:
+ *
+ *         localeStyles: {
+ *           de: { formality: 'formal', tone: 'friendly', audience: 'small business owners' },
+ *           ja: { formality: 'formal', tone: 'polite (desu/masu)' },
+ *         }
+ *
+ *     formality is "formal" or "informal" (DeepL maps it to its formality parameter);
+ *     tone and audience are free text for LLM providers and human translators.
+ *
+ *   - Per-key descriptions in a common.meta.json sidecar next to the reference locale's
+ *     messages (messages/en/common.meta.json, or messages/en.meta.json with the flat messages
+ *     layout), keyed by dotted key path:
+ *
+ *         { "UserProfile.title": "Page heading of the profile page, next to the avatar" }
+ *
+ *     The refactor step fills in descriptions for the keys it creates; edit them freely, they
+ *     are never overwritten.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const META_FILE_NAME = 'common.meta.json';
+
+// -------------------------------------------------------------------------------------
+// Locale Styles
+// -------------------------------------------------------------------------------------
+
+/** Reads `localeStyles` from next-intl.config.js (empty when the file or the entry is missing). */
+function loadLocaleStyles(configPath = path.resolve('next-intl.config.js')) {
+  if (!fs.existsSync(configPath)) return {};
+  return require(configPath).localeStyles || {};
+}
+
+/** Style for `locale`, falling back to its base language ("de-AT" -> "de"). */
+function getLocaleStyle(styles, locale) {
+  return styles?.[locale] || styles?.[String(locale).split('-')[0]] || null;
+}
+
+/** Stable id of a style, so translation memory entries of different styles are kept apart. */
+function getStyleId(style) {
+  if (!style) return '';
+  const parts = Object.keys(style).sort().map(key => `${key}=${style[key]}`);
+  return parts.length ? `|${parts.join(',')}` : '';
+}
+
+/** Prompt lines describing the style, or an empty string. */
+function formatStyleInstructions(style) {
+  if (!style) return '';
+  const lines = [];
+  if (style.formality === 'formal') lines.push('Use formal address (e.g. "Sie" in German, "vous" in French, polite forms in Japanese).');
+  else if (style.formality === 'informal') lines.push('Use informal address (e.g. "du" in German, "tu" in French, plain forms in Japanese).');
+  else if (style.formality) lines.push(`Formality: ${style.formality}.`);
+  if (style.tone) lines.push(`Tone: ${style.tone}.`);
+  if (style.audience) lines.push(`Audience: ${style.audience}.`);
+  return lines.join('\n');
+}
+
+// -------------------------------------------------------------------------------------
+// Per-Key Descriptions
+// -------------------------------------------------------------------------------------
+
+/** messages/en/common.meta.json, or messages/en.meta.json for the flat messages layout. */
+function getMetaPath(localeFolder, referenceLocale, layout) {
+  return layout === 'flat'
+    ? path.join(localeFolder, `${referenceLocale}.meta.json`)
+    : path.join(localeFolder, referenceLocale, META_FILE_NAME);
+}
+
+function loadMessageMeta(localeFolder, referenceLocale, layout) {
+  const metaPath = getMetaPath(localeFolder, referenceLocale, layout);
+  const before = fs.existsSync(metaPath) ? fs.readFileSync(metaPath, 'utf8') : '';
+  const descriptions = before ? JSON.parse(before) : {};
+  let dirty = false;
+
+  function serialize() {
+    const sorted = {};
+    for (const keyPath of Object.keys(descriptions).sort()) sorted[keyPath] = descriptions[keyPath];
+    return JSON.stringify(sorted, null, 2) + '\n';
+  }
+
+  return {
+    metaPath,
+    get(keyPath) {
+      return descriptions[keyPath];
+    },
+    /** Adds descriptions for keys that do not have one yet. Returns how many were added. */
+    fill(newDescriptions) {
+      let added = 0;
+      for (const [keyPath, description] of Object.entries(newDescriptions || {})) {
+        if (descriptions[keyPath] || typeof description !== 'string' || !description.trim()) continue;
+        descriptions[keyPath] = description.trim();
+        added++;
+        dirty = true;
+      }
+      return added;
+    },
+    /** { filePath, before, after } of the pending change, or null when nothing changed. */
+    getUpdate() {
+      return dirty ? { filePath: metaPath, before, after: serialize() } : null;
+    },
+    save() {
+      if (!dirty) return;
+      fs.mkdirSync(path.dirname(metaPath), { recursive: true });
+      fs.writeFileSync(metaPath, serialize(), 'utf8');
+      dirty = false;
+    },
+  };
+}
+
+module.exports = {
+  META_FILE_NAME,
+  loadLocaleStyles,
+  getLocaleStyle,
+  getStyleId,
+  formatStyleInstructions,
+  loadMessageMeta,
+};
@@ -0,0 +1,117 @@
+/**
+ * translationLock.js
+ *
+ * Tracks which version of the reference text every translation was produced from.
+ *
+ * The lock file (<locale folder>/.i18n-lock.json) stores, per target locale and dotted key
+ * path, a hash of the reference-locale source text at the time the key was translated:
+ *
+ *     {
+ *       "version": 1,
+ *       "locales": {
+ *         "en": { "UserProfile.title": "3f2a9c0d51b7e8aa" }
+ *       },
+ *       "reviewed": {
+ *         "en": { "UserProfile.title": "3f2a9c0d51b7e8aa" }
+ *       }
+ *     }
+ *
+ * When the reference text of a key changes, its hash no longer matches and the translation
+ * is reported as outdated. "reviewed" lists the translations a human reviewer signed off
+ * (imported from XLIFF with state reviewed/final); translating a key again clears it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCK_FILE_NAME = '.i18n-lock.json';
+const LOCK_VERSION = 1;
+// Never matches a source hash, so the key is reported as outdated until it is translated again
+const OUTDATED = 'outdated';
+
+function hashSource(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex').slice(0, 16);
+}
+
+function getLockPath(localeFolder) {
+  return path.join(localeFolder, LOCK_FILE_NAME);
+}
+
+function loadTranslationLock(localeFolder) {
+  const lockPath = getLockPath(localeFolder);
+  let locales = {};
+  let reviewed = {};
+  if (fs.existsSync(lockPath)) {
+    const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    locales = lock.locales || {};
+    reviewed = lock.reviewed || {};
+  }
+
+  return {
+    lockPath,
+    /** Remembers that `keyPath` in `locale` was translated from `sourceText`. */
+    record(locale, keyPath, sourceText) {
+      locales[locale] = locales[locale] || {};
+      locales[locale][keyPath] = hashSource(sourceText);
+      if (reviewed[locale]) delete reviewed[locale][keyPath];
+    },
+    /** Records a translation of `sourceText` that a reviewer approved. */
+    markReviewed(locale, keyPath, sourceText) {
+      this.record(locale, keyPath, sourceText);
+      reviewed[locale] = reviewed[locale] || {};
+      reviewed[locale][keyPath] = hashSource(sourceText);
+    },
+    /** True when the translation was made from a different reference text (untracked keys are not outdated). */
+    isOutdated(locale, keyPath, sourceText) {
+      const hash = locales[locale]?.[keyPath];
+      return hash !== undefined && hash !== hashSource(sourceText);
+    },
+    /** True when a reviewer approved the translation of exactly this reference text. */
+    isReviewed(locale, keyPath, sourceText) {
+      return reviewed[locale]?.[keyPath] === hashSource(sourceText);
+    },
+    /** Flags `keyPath` in `locale` as outdated, e.g. when it still holds the untranslated source text. */
+    markOutdated(locale, keyPath) {
+      locales[locale] = locales[locale] || {};
+      locales[locale][keyPath] = OUTDATED;
+      if (reviewed[locale]) delete reviewed[locale][keyPath];
+    },
+    /**
+     * Compares the current reference entries ([{ path, value }], as produced by flattenObject)
+     * against the lock. Returns the outdated entries plus the keys that are translated but not
+     * tracked yet (those are adopted as up to date by the next record()/save()).
+     */
+    diff(locale, referenceEntries, targetEntries) {
+      const tracked = locales[locale] || {};
+      const translatedPaths = new Set(targetEntries.map(entry => entry.path));
+      const outdated = [];
+      const untracked = [];
+      for (const entry of referenceEntries) {
+        if (!translatedPaths.has(entry.path)) continue;
+        if (tracked[entry.path] === undefined) untracked.push(entry);
+        else if (tracked[entry.path] !== hashSource(entry.value)) outdated.push(entry);
+      }
+      return { outdated, untracked };
+    },
+    save() {
+      const sort = (byLocale) => {
+        const sorted = {};
+        for (const locale of Object.keys(byLocale).sort()) {
+          sorted[locale] = {};
+          for (const keyPath of Object.keys(byLocale[locale]).sort()) sorted[locale][keyPath] = byLocale[locale][keyPath];
+        }
+        return sorted;
+      };
+      const lock = { version: LOCK_VERSION, locales: sort(locales) };
+      if (Object.values(reviewed).some(keys => Object.keys(keys).length > 0)) lock.reviewed = sort(reviewed);
+      fs.writeFileSync(lockPath, JSON.stringify(lock, null, 2) + '\n', 'utf8');
+    },
+  };
+}
+
+module.exports = {
+  LOCK_FILE_NAME,
+  hashSource,
+  loadTranslationLock,
+};
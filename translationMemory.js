@@ -0,0 +1,85 @@
+/**
+ * translationMemory.js
+ *
+ * Persistent translation memory shared by makeMultilingual.js and populateLocales.js.
+ *
+ * Entries are keyed by (provider/model, source locale, target locale, source text), so the
+ * same string is only ever sent once per provider and language pair, across namespaces,
+ * runs and tools. The file is written with sorted keys, so an unchanged project produces
+ * a byte-identical memory (and byte-identical locale files).
+ *
+ * Default location: ".translation-memory.json" next to the locale folder
+ * (e.g. messages/ -> ./.translation-memory.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MEMORY_FILE_NAME = '.translation-memory.json';
+const MEMORY_VERSION = 1;
+
+function getDefaultMemoryPath(localeFolder) {
+  return path.join(path.dirname(path.resolve(localeFolder)), MEMORY_FILE_NAME);
+}
+
+function hashEntry(providerId, fromLang, toLang, text) {
+  return crypto.createHash('sha256').update(JSON.stringify([providerId, fromLang, toLang, text])).digest('hex');
+}
+
+/**
+ * Loads (or starts) a translation memory. Pass `null` as filePath for a memory that only
+ * lives for the current run.
+ */
+function createTranslationMemory(filePath) {
+  let entries = {};
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, 'utf8')).entries || {};
+    } catch (err) {
+      console.warn(`⚠️ Ignoring unreadable translation memory ${filePath}: ${err.message}`);
+    }
+  }
+  const stats = { hits: 0, misses: 0, added: 0 };
+  let dirty = false;
+
+  return {
+    filePath,
+    stats,
+    get(providerId, fromLang, toLang, text) {
+      const entry = entries[hashEntry(providerId, fromLang, toLang, text)];
+      if (entry) {
+        stats.hits++;
+        return entry.target;
+      }
+      stats.misses++;
+      return undefined;
+    },
+    set(providerId, fromLang, toLang, text, translated) {
+      const hash = hashEntry(providerId, fromLang, toLang, text);
+      if (entries[hash] && entries[hash].target === translated) return;
+      entries[hash] = { provider: providerId, from: fromLang, to: toLang, source: text, target: translated };
+      stats.added++;
+      dirty = true;
+    },
+    save() {
+      if (!filePath || !dirty) return;
+      const sorted = {};
+      for (const hash of Object.keys(entries).sort()) sorted[hash] = entries[hash];
+      fs.writeFileSync(filePath, JSON.stringify({ version: MEMORY_VERSION, entries: sorted }, null, 2) + '\n', 'utf8');
+      dirty = false;
+    },
+  };
+}
+
+function formatMemoryStats(memory) {
+  const { hits, misses, added } = memory.stats;
+  return `Translation memory: ${hits} hit(s), ${misses} miss(es), ${added} new entr${added === 1 ? 'y' : 'ies'}`;
+}
+
+module.exports = {
+  MEMORY_FILE_NAME,
+  getDefaultMemoryPath,
+  createTranslationMemory,
+  formatMemoryStats,
+};
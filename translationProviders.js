@@ -0,0 +1,367 @@
+/**
+ * translationProviders.js
+ *
+ * Machine-translation providers shared by makeMultilingual.js and populateLocales.js.
+ *
+ * Every provider exposes the same interface:
+ *
+ *     const provider = createTranslationProvider('deepl', { model, verbose });
+ *     provider.checkConfig();                        // -> error message or null
+ *     await provider.translate(text, fromLang, toLang);
+ *
+ * translate() accepts a 4th `{ problems, glossary, style, description }` argument: the problems
+ * of a rejected previous attempt (see icuMessage.js), the glossary rules that apply
+ * (see glossary.js), the target locale style and the key description (see translationContext.js).
+ * LLM providers put all of it in the prompt. Classic MT providers enforce the glossary by
+ * swapping its terms for protected markup; DeepL also uses the formality and the description.
+ * translateJson() and translateBatch() take `{ glossary, style, descriptions: { [key]: text } }`,
+ * translateBatch() with glossary rules per key.
+ *
+ * Providers that can translate a whole JSON value in one request (LLMs) also expose
+ * provider.translateJson(jsonString, fromLang, toLang). Callers fall back to
+ * translating leaf strings one by one for the others.
+ *
+ * Providers that accept many strings per request also expose
+ * provider.translateBatch({ [key]: text }, fromLang, toLang) -> { [key]: translated }, limited
+ * to provider.maxBatchSize entries when set. The result is not validated: keys may be missing.
+ *
+ * Supported providers:
+ *   - openai          (default) Chat completions. Needs OPENAI_API_KEY, or any OpenAI-compatible
+ *                     server configured through OPENAI_BASE_URL (see openaiClient.js).
+ *   - deepl           DeepL API. Needs DEEPL_API_KEY (DEEPL_API_URL defaults to the free endpoint).
+ *   - libretranslate  Self-hosted LibreTranslate. LIBRETRANSLATE_URL (default: http://localhost:5000),
+ *                     optional LIBRETRANSLATE_API_KEY.
+ *   - google          Google Cloud Translation v2. Needs GOOGLE_TRANSLATE_API_KEY.
+ */
+
+const { loadFetch, checkOpenAIConfig, createChatCompletion } = require('./openaiClient');
+const { extractJson, validateJsonShape } = require('./jsonReply');
+const { formatGlossaryInstructions, mergeGlossaryRules } = require('./glossary');
+const { formatStyleInstructions } = require('./translationContext');
+
+const DEFAULT_PROVIDER = 'openai';
+
+const ICU_INSTRUCTIONS = 'Keep ICU MessageFormat syntax intact: never translate argument names, formats (plural, select, number, date), selectors (=0, one, other, ...), "#" or <tags>; only translate the text inside them.';
+
+async function postJson(url, payload, headers = {}) {
+  const doFetch = await loadFetch();
+  const response = await doFetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload),
+  });
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`API Error: ${response.status} - ${error}`);
+  }
+  return response.json();
+}
+
+// -------------------------------------------------------------------------------------
+// Placeholder Protection
+// -------------------------------------------------------------------------------------
+// Classic MT engines happily translate "{firstName}". Simple ICU arguments are swapped
+// for markup the engines leave alone and restored afterwards. Glossary terms get the same
+// treatment: do-not-translate terms are restored as is, required terms as their translation.
+// The engines read the result as XML/HTML, so the rest of the text is escaped: callers decode
+// the reply with decodeHtmlEntities() before restorePlaceholders().
+
+function escapeMarkup(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function protectPlaceholders(text, glossary) {
+  const placeholders = [];
+  const keep = new Set(glossary?.doNotTranslate || []);
+  const targets = new Map((glossary?.terms || []).map(({ source, target }) => [source.toLowerCase(), target]));
+  const terms = [...keep, ...(glossary?.terms || []).map(({ source }) => source)]
+    .sort((a, b) => b.length - a.length)
+    .map(term => `(?<![\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`);
+  const regex = new RegExp(['\\{\\s*[A-Za-z0-9_]+\\s*\\}', ...terms].join('|'), 'giu');
+  const protect = (match) => {
+    let restored = match;
+    if (!match.startsWith('{') && !keep.has(match)) {
+      if (!targets.has(match.toLowerCase())) return escapeMarkup(match); // do-not-translate term with another casing
+      restored = targets.get(match.toLowerCase());
+    }
+    placeholders.push(restored);
+    return `<x i="${placeholders.length - 1}"/>`;
+  };
+  let protectedText = '';
+  let last = 0;
+  for (const match of text.matchAll(regex)) {
+    protectedText += escapeMarkup(text.slice(last, match.index)) + protect(match[0]);
+    last = match.index + match[0].length;
+  }
+  protectedText += escapeMarkup(text.slice(last));
+  return { protectedText, placeholders };
+}
+
+function restorePlaceholders(text, placeholders) {
+  return text.replace(/<x\s+i="(\d+)"\s*\/?>(<\/x>)?/g, (match, index) => placeholders[index] ?? match);
+}
+
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// -------------------------------------------------------------------------------------
+// OpenAI
+// -------------------------------------------------------------------------------------
+
+/** Prompt instructions: ICU rules, glossary, locale style and where the strings are used. */
+function getPromptInstructions({ glossary, style, descriptions } = {}) {
+  const lines = [ICU_INSTRUCTIONS];
+  for (const block of [formatGlossaryInstructions(glossary), formatStyleInstructions(style)]) {
+    if (block) lines.push(...block.split('\n'));
+  }
+  const described = Object.entries(descriptions || {}).filter(([, description]) => description);
+  if (described.length > 0) {
+    const usage = described.map(([key, description]) => (key ? `"${key}": ${description}` : description));
+    lines.push(`Where ${described.length === 1 && !described[0][0] ? 'the text is' : 'the strings are'} used: ${usage.join('; ')}`);
+  }
+  return lines;
+}
+
+function createOpenAIProvider({ model = 'gpt-4o-mini', verbose = false } = {}) {
+  async function complete(prompt, { maxTokens, temperature, responseFormat }) {
+    const content = await createChatCompletion(prompt, { model, maxTokens, temperature, responseFormat });
+    return content?.trim();
+  }
+
+  return {
+    name: 'openai',
+    model,
+    checkConfig() {
+      return checkOpenAIConfig();
+    },
+    async translate(text, fromLang, toLang, { problems = [], glossary, style, description } = {}) {
+      const retryHint = problems.length
+        ? `\nA previous translation was rejected because: ${problems.join('; ')}.\n`
+        : '';
+      const instructions = getPromptInstructions({ glossary, style, descriptions: { '': description } });
+      const prompt = `Translate the following text from ${fromLang} to ${toLang}.
+Preserve any placeholders like {this} in the text. Keep the translation concise and accurate.
+${instructions.join('\n')}
+Respond only with the translated text without any explanations or formatting.
+${retryHint}
+Text to translate: "${text}"`;
+      if (verbose) console.log({ prompt });
+      const translatedText = await complete(prompt, { maxTokens: 2000, temperature: 0.1 });
+      if (!translatedText) throw new Error('No content returned from OpenAI.');
+      return translatedText.replace(/^"(.*)"$/, '$1'); // Remove surrounding quotes if present
+    },
+    async translateJson(json, fromLang, toLang, { glossary, style, descriptions } = {}) {
+      const instructions = getPromptInstructions({ glossary, style, descriptions });
+      const prompt = `Please translate the following json locale object values from ${fromLang} to ${toLang}:
+"${json}"
+- ${instructions.join('\n- ')}
+- Return only the same json locale but translated into the requested language, with no extra commentary nor \`\`\`json wrapper.
+- I will do a JSON.parse() of the entire answer, so make sure is a json compilant answer.
+`.trim();
+      if (verbose) console.log({ prompt });
+      // A single string is sent as a JSON string, which JSON mode cannot return
+      const responseFormat = json.trim().startsWith('{') ? { name: 'translated_locale', schema: { type: 'object' } } : undefined;
+      return complete(prompt, { maxTokens: 1000, temperature: 0, responseFormat });
+    },
+    async translateBatch(entries, fromLang, toLang, { glossary = {}, style, descriptions } = {}) {
+      const json = JSON.stringify(entries, null, 2);
+      const instructions = getPromptInstructions({
+        glossary: mergeGlossaryRules(Object.values(glossary)),
+        style,
+        descriptions,
+      });
+      const prompt = `Translate the values of the following JSON object from ${fromLang} to ${toLang}.
+- Preserve any placeholders like {this} in the values. Keep the translations concise and accurate.
+- ${instructions.join('\n- ')}
+- Keep every key exactly as it is and do not add or drop keys.
+- Respond only with the JSON object, with no extra commentary nor \`\`\`json wrapper.
+
+${json}`;
+      if (verbose) console.log({ prompt });
+      // Translations are usually a bit longer than the source; leave room for the JSON syntax
+      const schema = {
+        type: 'object',
+        properties: Object.fromEntries(Object.keys(entries).map(key => [key, { type: 'string' }])),
+        required: Object.keys(entries),
+      };
+      const content = await complete(prompt, {
+        maxTokens: Math.ceil(json.length / 2) + 500,
+        temperature: 0,
+        responseFormat: { name: 'translations', schema },
+      });
+      if (!content) throw new Error('No content returned from OpenAI.');
+      const translated = extractJson(content);
+      // Missing keys are retried one by one by the caller; anything but an object is unusable
+      const problems = validateJsonShape(translated, { type: 'object' });
+      if (problems.length > 0) throw new Error(`The reply does not match the expected JSON: ${problems.join('; ')}`);
+      return translated;
+    },
+  };
+}
+
+/** Maps a { key: text } batch onto an array based API, one placeholder set per entry. */
+async function translateArrayBatch(entries, glossary = {}, translateTexts) {
+  const keys = Object.keys(entries);
+  const prepared = keys.map(key => protectPlaceholders(entries[key], glossary[key]));
+  const translated = await translateTexts(prepared.map(entry => entry.protectedText));
+  const result = {};
+  keys.forEach((key, index) => {
+    if (typeof translated[index] === 'string') {
+      result[key] = restorePlaceholders(translated[index], prepared[index].placeholders);
+    }
+  });
+  return result;
+}
+
+// -------------------------------------------------------------------------------------
+// DeepL
+// -------------------------------------------------------------------------------------
+// Target languages DeepL only accepts with a variant; the rest take the bare language (DE, FR)
+const DEEPL_BRITISH_REGIONS = ['GB', 'UK', 'IE', 'AU', 'NZ', 'ZA', 'IN'];
+const DEEPL_TRADITIONAL_CHINESE = ['HANT', 'TW', 'HK', 'MO'];
+
+/** DeepL target code of a locale: en -> EN-US, en-GB -> EN-GB, pt -> PT-BR, pt-PT -> PT-PT, zh-TW -> ZH-HANT. */
+function toDeepLTargetLang(locale) {
+  const [language, ...subtags] = String(locale).toUpperCase().split(/[-_]/);
+  if (language === 'EN') return subtags.some(tag => DEEPL_BRITISH_REGIONS.includes(tag)) ? 'EN-GB' : 'EN-US';
+  if (language === 'PT') return subtags.includes('PT') ? 'PT-PT' : 'PT-BR';
+  if (language === 'ZH') return subtags.some(tag => DEEPL_TRADITIONAL_CHINESE.includes(tag)) ? 'ZH-HANT' : 'ZH-HANS';
+  return language;
+}
+
+function createDeepLProvider() {
+  const apiUrl = process.env.DEEPL_API_URL || 'https://api-free.deepl.com/v2/translate';
+  const FORMALITY = { formal: 'prefer_more', informal: 'prefer_less' };
+
+  async function requestTranslations(texts, fromLang, toLang, style, context) {
+    const payload = {
+      text: texts,
+      source_lang: fromLang.split(/[-_]/)[0].toUpperCase(),
+      target_lang: toDeepLTargetLang(toLang),
+      tag_handling: 'xml',
+      ignore_tags: ['x'],
+    };
+    // prefer_* falls back silently for languages without formality support
+    if (FORMALITY[style?.formality]) payload.formality = FORMALITY[style.formality];
+    if (context) payload.context = context;
+    const data = await postJson(apiUrl, payload, {
+      Authorization: `DeepL-Auth-Key ${process.env.DEEPL_API_KEY}`,
+    });
+    return (data?.translations || []).map(translation => decodeHtmlEntities(translation.text));
+  }
+
+  return {
+    name: 'deepl',
+    model: 'deepl',
+    checkConfig() {
+      return process.env.DEEPL_API_KEY ? null : 'DEEPL_API_KEY environment variable required';
+    },
+    async translate(text, fromLang, toLang, { glossary, style, description } = {}) {
+      const { protectedText, placeholders } = protectPlaceholders(text, glossary);
+      const [translated] = await requestTranslations([protectedText], fromLang, toLang, style, description);
+      if (translated === undefined) throw new Error('No translation returned from DeepL.');
+      return restorePlaceholders(translated, placeholders);
+    },
+    maxBatchSize: 50,
+    async translateBatch(entries, fromLang, toLang, { glossary, style } = {}) {
+      return translateArrayBatch(entries, glossary, texts => requestTranslations(texts, fromLang, toLang, style));
+    },
+  };
+}
+
+// -------------------------------------------------------------------------------------
+// LibreTranslate
+// -------------------------------------------------------------------------------------
+function createLibreTranslateProvider() {
+  const baseUrl = (process.env.LIBRETRANSLATE_URL || 'http://localhost:5000').replace(/\/+$/, '');
+  return {
+    name: 'libretranslate',
+    model: 'libretranslate',
+    checkConfig() {
+      return null;
+    },
+    async translate(text, fromLang, toLang, { glossary } = {}) {
+      const { protectedText, placeholders } = protectPlaceholders(text, glossary);
+      const payload = {
+        q: protectedText,
+        source: fromLang.split('-')[0],
+        target: toLang.split('-')[0],
+        format: 'html',
+      };
+      if (process.env.LIBRETRANSLATE_API_KEY) payload.api_key = process.env.LIBRETRANSLATE_API_KEY;
+      const data = await postJson(`${baseUrl}/translate`, payload);
+      if (data?.translatedText === undefined) throw new Error('No translation returned from LibreTranslate.');
+      return restorePlaceholders(decodeHtmlEntities(data.translatedText), placeholders);
+    },
+  };
+}
+
+// -------------------------------------------------------------------------------------
+// Google Cloud Translation (v2)
+// -------------------------------------------------------------------------------------
+function createGoogleProvider() {
+  const apiUrl = process.env.GOOGLE_TRANSLATE_API_URL || 'https://translation.googleapis.com/language/translate/v2';
+  return {
+    name: 'google',
+    model: 'google-v2',
+    checkConfig() {
+      return process.env.GOOGLE_TRANSLATE_API_KEY ? null : 'GOOGLE_TRANSLATE_API_KEY environment variable required';
+    },
+    async translate(text, fromLang, toLang, { glossary } = {}) {
+      const { protectedText, placeholders } = protectPlaceholders(text, glossary);
+      const url = `${apiUrl}?key=${encodeURIComponent(process.env.GOOGLE_TRANSLATE_API_KEY)}`;
+      const data = await postJson(url, {
+        q: [protectedText],
+        source: fromLang,
+        target: toLang,
+        format: 'html',
+      });
+      const translated = data?.data?.translations?.[0]?.translatedText;
+      if (translated === undefined) throw new Error('No translation returned from Google Translate.');
+      return restorePlaceholders(decodeHtmlEntities(translated), placeholders);
+    },
+    maxBatchSize: 128,
+    async translateBatch(entries, fromLang, toLang, { glossary } = {}) {
+      return translateArrayBatch(entries, glossary, async (texts) => {
+        const url = `${apiUrl}?key=${encodeURIComponent(process.env.GOOGLE_TRANSLATE_API_KEY)}`;
+        const data = await postJson(url, { q: texts, source: fromLang, target: toLang, format: 'html' });
+        return (data?.data?.translations || []).map(translation => decodeHtmlEntities(translation.translatedText));
+      });
+    },
+  };
+}
+
+// -------------------------------------------------------------------------------------
+// Factory
+// -------------------------------------------------------------------------------------
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  deepl: createDeepLProvider,
+  libretranslate: createLibreTranslateProvider,
+  google: createGoogleProvider,
+};
+
+function createTranslationProvider(name = DEFAULT_PROVIDER, options = {}) {
+  const factory = PROVIDERS[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown translation provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  createTranslationProvider,
+  protectPlaceholders,
+  restorePlaceholders,
+  toDeepLTargetLang,
+};
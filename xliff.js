@@ -0,0 +1,205 @@
+/**
+ * xliff.js
+ *
+ * Reads and writes the subset of XLIFF 2.0 used to exchange messages with translation
+ * agencies (see exchangeXliff.js):
+ *
+ *     <xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="fr">
+ *       <file id="common" original="messages/en/common.json">
+ *         <unit id="UserProfile.title">
+ *           <mda:metadata><mda:metaGroup category="next-intl">
+ *             <mda:meta type="sourceHash">3f2a9c0d51b7e8aa</mda:meta>
+ *           </mda:metaGroup></mda:metadata>
+ *           <notes><note category="description">Page heading of the profile page</note></notes>
+ *           <segment state="translated"><source>Profile</source><target>Profil</target></segment>
+ *         </unit>
+ *       </file>
+ *     </xliff>
+ *
+ * Messages are written as plain text, so ICU syntax and rich-text tags (<b>...</b>) stay
+ * intact as escaped characters. Inline XLIFF markup (<ph>, <pc>, ...) is not supported.
+ */
+
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+const METADATA_NAMESPACE = 'urn:oasis:names:tc:xliff:metadata:2.0';
+const STATES = ['initial', 'translated', 'reviewed', 'final'];
+
+// -------------------------------------------------------------------------------------
+// Writing
+// -------------------------------------------------------------------------------------
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatUnit(unit) {
+  const lines = [`    <unit id="${escapeXml(unit.id)}">`];
+  const metadata = Object.entries(unit.metadata || {}).filter(([, value]) => value !== undefined && value !== null);
+  if (metadata.length > 0) {
+    lines.push('      <mda:metadata>', '        <mda:metaGroup category="next-intl">');
+    for (const [type, value] of metadata) {
+      lines.push(`          <mda:meta type="${escapeXml(type)}">${escapeXml(value)}</mda:meta>`);
+    }
+    lines.push('        </mda:metaGroup>', '      </mda:metadata>');
+  }
+  if (unit.notes && unit.notes.length > 0) {
+    lines.push('      <notes>');
+    for (const note of unit.notes) {
+      const category = note.category ? ` category="${escapeXml(note.category)}"` : '';
+      lines.push(`        <note${category}>${escapeXml(note.text)}</note>`);
+    }
+    lines.push('      </notes>');
+  }
+  lines.push(`      <segment state="${unit.state || 'initial'}">`);
+  lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+  if (unit.target !== undefined && unit.target !== null) {
+    lines.push(`        <target>${escapeXml(unit.target)}</target>`);
+  }
+  lines.push('      </segment>', '    </unit>');
+  return lines.join('\n');
+}
+
+/**
+ * Builds an XLIFF 2.0 document.
+ * files: [{ id, original, units: [{ id, source, target, state, metadata, notes: [{ category, text }] }] }]
+ * metadata is a flat { type: value } map, written as <mda:meta> entries.
+ */
+function buildXliff({ srcLang, trgLang, files }) {
+  const parts = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF_NAMESPACE}" xmlns:mda="${METADATA_NAMESPACE}" version="2.0" srcLang="${escapeXml(srcLang)}" trgLang="${escapeXml(trgLang)}">`,
+  ];
+  for (const file of files) {
+    const original = file.original ? ` original="${escapeXml(file.original)}"` : '';
+    parts.push(`  <file id="${escapeXml(file.id)}"${original}>`);
+    parts.push(...file.units.map(formatUnit));
+    parts.push('  </file>');
+  }
+  parts.push('</xliff>');
+  return parts.join('\n') + '\n';
+}
+
+// -------------------------------------------------------------------------------------
+// Reading
+// -------------------------------------------------------------------------------------
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity];
+  });
+}
+
+/** Parses XML into { name, attributes, children } elements; text children are strings. */
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = tokenPattern.exec(xml)) !== null) {
+    const [token, cdata, closingName, openingName, attributeText, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.children.push(cdata);
+    } else if (closingName) {
+      if (current.name !== closingName) throw new Error(`Unexpected </${closingName}> (expected </${current.name}>)`);
+      stack.pop();
+    } else if (openingName) {
+      const attributes = {};
+      const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(attributeText)) !== null) {
+        attributes[attribute[1]] = decodeEntities(attribute[2] ?? attribute[3]);
+      }
+      const element = { name: openingName, attributes, children: [] };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (text !== undefined) {
+      current.children.push(decodeEntities(text));
+    } else if (token.startsWith('<') && !/^<(!--|\?|!DOCTYPE)/.test(token)) {
+      throw new Error(`Malformed markup near "${token.slice(0, 40)}"`);
+    }
+  }
+  if (stack.length > 1) throw new Error(`Unclosed <${stack[stack.length - 1].name}>`);
+  return root;
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+function findChildren(element, name) {
+  return element.children.filter(child => typeof child === 'object' && localName(child.name) === name);
+}
+
+function findChild(element, name) {
+  return findChildren(element, name)[0] || null;
+}
+
+function getText(element, unitId) {
+  return element.children.map(child => {
+    if (typeof child === 'string') return child;
+    throw new Error(`Unit "${unitId}": inline markup <${child.name}> is not supported, keep the text as written`);
+  }).join('');
+}
+
+/**
+ * Parses an XLIFF 2.0 document into { srcLang, trgLang, units }, where every unit is
+ * { id, fileId, source, target, state, metadata, notes }. Throws on documents that are not
+ * well-formed XLIFF 2.0.
+ */
+function parseXliff(xml) {
+  const document = parseXml(xml);
+  const xliff = findChild(document, 'xliff');
+  if (!xliff) throw new Error('Not an XLIFF document (no <xliff> element)');
+  if (xliff.attributes.version !== '2.0') throw new Error(`Unsupported XLIFF version "${xliff.attributes.version}" (expected 2.0)`);
+  const { srcLang, trgLang } = xliff.attributes;
+  if (!srcLang || !trgLang) throw new Error('The <xliff> element needs srcLang and trgLang');
+
+  const units = [];
+  for (const file of findChildren(xliff, 'file')) {
+    const unitElements = [...findChildren(file, 'unit'), ...findChildren(file, 'group').flatMap(group => findChildren(group, 'unit'))];
+    for (const unit of unitElements) {
+      const id = unit.attributes.id;
+      if (!id) throw new Error(`A unit in file "${file.attributes.id}" has no id`);
+      const segments = findChildren(unit, 'segment');
+      if (segments.length !== 1) throw new Error(`Unit "${id}" must have exactly one <segment>`);
+      const [segment] = segments;
+      const state = segment.attributes.state || 'initial';
+      if (!STATES.includes(state)) throw new Error(`Unit "${id}" has an unknown state "${state}"`);
+      const source = findChild(segment, 'source');
+      if (!source) throw new Error(`Unit "${id}" has no <source>`);
+      const target = findChild(segment, 'target');
+
+      const metadata = {};
+      for (const group of findChildren(findChild(unit, 'metadata') || { children: [] }, 'metaGroup')) {
+        for (const meta of findChildren(group, 'meta')) metadata[meta.attributes.type] = getText(meta, id).trim();
+      }
+      const notes = findChildren(findChild(unit, 'notes') || { children: [] }, 'note')
+        .map(note => ({ category: note.attributes.category || null, text: getText(note, id) }));
+
+      units.push({
+        id,
+        fileId: file.attributes.id,
+        source: getText(source, id),
+        target: target ? getText(target, id) : null,
+        state,
+        metadata,
+        notes,
+      });
+    }
+  }
+  return { srcLang, trgLang, units };
+}
+
+module.exports = {
+  STATES,
+  buildXliff,
+  parseXliff,
+};